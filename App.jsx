@@ -1,5 +1,5 @@
 // App.jsx
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import ReactFlow, {
   ReactFlowProvider,
   addEdge,
@@ -8,41 +8,97 @@ import ReactFlow, {
   MiniMap,
   Controls,
   Background,
-  MarkerType,
-  Handle,
-  Position,
 } from 'reactflow';
 import 'reactflow/dist/style.css';
 import './style.css';
+import { groupCatalog, findTool } from './utils/catalog.js';
+import ToolPalette from './components/ToolPalette.jsx';
+import useHistory from './hooks/useHistory.js';
+import useCollaboration from './hooks/useCollaboration.js';
+import ProjectsModal from './components/ProjectsModal.jsx';
+import ExportImageModal from './components/ExportImageModal.jsx';
+import DiagramCodeModal from './components/DiagramCodeModal.jsx';
+import LintPanel from './components/LintPanel.jsx';
+import TranslateModal from './components/TranslateModal.jsx';
+import DataEdge from './components/DataEdge.jsx';
+import EdgeInspector from './components/EdgeInspector.jsx';
+import GroupNode from './components/GroupNode.jsx';
+import SideNode, { CatalogContext, SimulationContext } from './components/SideNode.jsx';
+import PortsEditor from './components/PortsEditor.jsx';
+import ToolInspector from './components/ToolInspector.jsx';
+import SimulationPanel from './components/SimulationPanel.jsx';
+import WalkthroughPanel from './components/WalkthroughPanel.jsx';
+import PresentationView from './components/PresentationView.jsx';
+import SelectionToolbar from './components/SelectionToolbar.jsx';
+import LayoutModal from './components/LayoutModal.jsx';
+import GenerateModal from './components/GenerateModal.jsx';
+import DesignGallery from './components/DesignGallery.jsx';
+import ImportModal from './components/ImportModal.jsx';
+import CompareModal from './components/CompareModal.jsx';
+import CompareView from './components/CompareView.jsx';
+import CollabModal from './components/CollabModal.jsx';
+import CollabCursors from './components/CollabCursors.jsx';
+import { createEdge, serializeDiagram, mergeDiagram } from './utils/diagram.js';
+import { normalizeEntry } from './utils/gallery.js';
+import { readDiagram, toDiagramFile } from './utils/schema.js';
+import { downloadText, downloadZip } from './utils/download.js';
+import { exportDiagramImage, renderDiagramPng } from './utils/imageExport.js';
+import { parseDiagramCode, graphToDiagram } from './utils/diagramCode.js';
+import { lintDiagram } from './utils/lint.js';
+import { applyTranslation, swapTool } from './utils/translate.js';
+import { knowledgeFor, alternativesFor } from './utils/knowledge.js';
+import { withEdgeMeta } from './utils/edges.js';
+import { setNodePorts } from './utils/ports.js';
+import { categoryColor } from './utils/nodeStyle.js';
+import { simulate, withSizing, DEFAULT_EVENT_KB } from './utils/simulation.js';
+import { defaultWalkthrough, moveStep, normalizeStep, resolveStep, stepFromSelection } from './utils/walkthrough.js';
+import { cloudTools, generateTerraform } from './utils/terraform.js';
+import { planCompose, generateCompose } from './utils/dockerCompose.js';
+import { planDag, toAirflowDag, toDagsterJob, dagIdFor } from './utils/orchestration.js';
+import { planDocument, toMarkdown, toHtml } from './utils/designDoc.js';
+import { autoLayout, SPACINGS } from './utils/layout.js';
+import { alignNodes, distributeNodes } from './utils/align.js';
+import { selectedFragment, cloneFragment, toClipboardText, parseClipboardText } from './utils/clipboard.js';
+import {
+  createShareLink,
+  decodeDiagram,
+  readShareHash,
+  clearShareHash,
+  WARN_URL_LENGTH,
+  MAX_URL_LENGTH,
+} from './utils/share.js';
+import { createGroupNode, reparentNodes, removeElements, sortNodes, addStageLanes } from './utils/groups.js';
+import {
+  listProjects,
+  loadProject,
+  saveProject,
+  createProject,
+  renameProject,
+  duplicateProject,
+  deleteProject,
+  getCurrentProjectId,
+  setCurrentProjectId,
+} from './utils/projects.js';
 
 let id = 0;
-const getId = () => `node_${id++}`;
+// Set during a live session so that participants never create the same id.
+let idSuffix = '';
+const getId = () => `node_${id++}${idSuffix}`;
+// Moves the counter past every `node_N` id in `nodes`.
+const syncIdCounter = (nodes) =>
+  nodes.forEach((n) => {
+    const m = /^node_(\d+)$/.exec(n.id);
+    if (m) id = Math.max(id, Number(m[1]) + 1);
+  });
 
-function SideNode({ id, data }) {
-  return (
-    <div className="side-node">
-      <button className="node-delete-btn" onClick={() => data.onDelete(id)}>🗑️</button>
-      <Handle type="target" position={Position.Left} style={{ top: '50%', transform: 'translateY(-50%)' }} />
-      {data.isCustom ? (
-        <input
-          className="node-label-input"
-          value={data.label}
-          onChange={(e) => data.onLabelChange(id, e.target.value)}
-        />
-      ) : (
-        <div className="node-label">{data.label}</div>
-      )}
-      <textarea
-        className="node-desc"
-        value={data.description}
-        onChange={(e) => data.onDescriptionChange(id, e.target.value)}
-      />
-      <Handle type="source" position={Position.Right} style={{ top: '50%', transform: 'translateY(-50%)' }} />
-    </div>
-  );
-}
+const signature = (diagram) => JSON.stringify(serializeDiagram(diagram));
 
-const nodeTypes = { sideNode: SideNode };
+// How far each paste or duplicate lands from the nodes it copies.
+const PASTE_OFFSET = 40;
+const isEditing = (e) => e.target.closest?.('input, textarea, [contenteditable="true"]');
+
+const nodeTypes = { sideNode: SideNode, groupNode: GroupNode };
+const edgeTypes = { default: DataEdge };
 
 export default function App() {
   return (
@@ -57,102 +113,411 @@ function PipelineBuilder() {
   const [rfInstance, setRfInstance] = useState(null);
   const [nodes, setNodes] = useState([]);
   const [edges, setEdges] = useState([]);
+  const [steps, setSteps] = useState([]);
+  const [catalog, setCatalog] = useState(null);
   const [groupedTools, setGroupedTools] = useState({});
   const [collapsed, setCollapsed] = useState({});
-  const [descriptions, setDescriptions] = useState({});
+  const [knowledge, setKnowledge] = useState(null);
   const [showModal, setShowModal] = useState(false);
-  const [designFiles, setDesignFiles] = useState([]);
+  const [designFiles, setDesignFiles] = useState(null);
+  const [designDiagrams, setDesignDiagrams] = useState({});
+  const [designErrors, setDesignErrors] = useState({});
+  const [projectId, setProjectId] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [showProjects, setShowProjects] = useState(false);
+  const [projectError, setProjectError] = useState(null);
+  const [showExportImage, setShowExportImage] = useState(false);
+  const [showDiagramCode, setShowDiagramCode] = useState(false);
+  const [showLint, setShowLint] = useState(false);
+  const [showTranslate, setShowTranslate] = useState(false);
+  const [selectedEdgeId, setSelectedEdgeId] = useState(null);
+  const [portsNodeId, setPortsNodeId] = useState(null);
+  const [inspectorClosedFor, setInspectorClosedFor] = useState(null);
+  const [showLayout, setShowLayout] = useState(false);
+  const [readOnly, setReadOnly] = useState(false);
+  const [showGenerate, setShowGenerate] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showCompare, setShowCompare] = useState(false);
+  const [compare, setCompare] = useState(null);
+  const [showCollab, setShowCollab] = useState(false);
+  const [showSimulation, setShowSimulation] = useState(false);
+  const [simOptions, setSimOptions] = useState({ eventKb: DEFAULT_EVENT_KB });
+  const [showWalkthrough, setShowWalkthrough] = useState(false);
+  const [presenting, setPresenting] = useState(false);
+  const [layoutOptions, setLayoutOptions] = useState({
+    direction: 'LR',
+    spacing: 'normal',
+    selectedOnly: false,
+    afterImport: false,
+  });
+  const lastSaved = useRef(null);
+  // The canvas counts as saved while it matches the last design loaded from
+  // the gallery or exported as JSON. Autosave writes into the same project,
+  // so replacing anything else would lose it.
+  const baseline = useRef(null);
+  // The last clipboard text pasted and how often, so repeated pastes cascade.
+  const pasted = useRef({ text: null, count: 0 });
+  const latest = useRef({ nodes, edges, steps });
+  latest.current = { nodes, edges, steps };
+  const { record, undo: undoChange, redo: redoChange, reset, canUndo, canRedo } = useHistory({
+    nodes,
+    edges,
+    steps,
+    setNodes,
+    setEdges,
+    setSteps,
+  });
+
+  // The frame of a running layout animation, whose next frames would
+  // overwrite whatever replaces the nodes meanwhile.
+  const layoutFrame = useRef(null);
+  const stopLayoutAnimation = () => cancelAnimationFrame(layoutFrame.current);
+  const undo = useCallback(() => {
+    stopLayoutAnimation();
+    undoChange();
+  }, [undoChange]);
+  const redo = useCallback(() => {
+    stopLayoutAnimation();
+    redoChange();
+  }, [redoChange]);
 
   const onDescriptionChange = useCallback((nodeId, desc) => {
+    record(`description:${nodeId}`);
     setNodes((nds) =>
       nds.map((n) =>
         n.id === nodeId ? { ...n, data: { ...n.data, description: desc } } : n
       )
     );
-  }, []);
+  }, [record]);
 
-  const handleDeleteNode = useCallback((nodeId) => {
-    setNodes((nds) => nds.filter((n) => n.id !== nodeId));
-    setEdges((eds) =>
-      eds.filter((e) => e.source !== nodeId && e.target !== nodeId)
-    );
-  }, []);
+  // Members of a deleted group stay on the canvas.
+  const deleteElements = useCallback((ids) => {
+    record();
+    const next = removeElements(latest.current, ids);
+    setNodes(next.nodes);
+    setEdges(next.edges);
+  }, [record]);
+
+  const handleDeleteNode = useCallback((nodeId) => deleteElements({ nodeIds: [nodeId] }), [deleteElements]);
 
   const handleLabelChange = useCallback((nodeId, label) => {
+    record(`label:${nodeId}`);
     setNodes((nds) =>
       nds.map((n) =>
         n.id === nodeId ? { ...n, data: { ...n.data, label } } : n
       )
     );
+  }, [record]);
+
+  const handleResizeStart = useCallback(() => record(), [record]);
+
+  const handleEditPorts = useCallback((nodeId) => {
+    setSelectedEdgeId(null);
+    setPortsNodeId(nodeId);
   }, []);
 
+  const nodeCallbacks = useMemo(() => ({
+    onDescriptionChange,
+    onDelete: handleDeleteNode,
+    onLabelChange: handleLabelChange,
+    onResizeStart: handleResizeStart,
+    onEditPorts: handleEditPorts,
+  }), [onDescriptionChange, handleDeleteNode, handleLabelChange, handleResizeStart, handleEditPorts]);
+
+  const withCallbacks = useCallback((n) => ({
+    ...n,
+    data: {
+      ...n.data,
+      ...nodeCallbacks,
+      isCustom: n.data.isCustom || false,
+    },
+  }), [nodeCallbacks]);
+
+  const applyDiagram = useCallback(({ nodes: inN = [], edges: inE = [], steps: inS = [] }) => {
+    stopLayoutAnimation();
+    id = 0;
+    syncIdCounter(inN);
+    const sorted = sortNodes(inN.map(withCallbacks));
+    const normalized = inS.map(normalizeStep);
+    setNodes(sorted);
+    setEdges(inE);
+    setSteps(normalized);
+    return { nodes: sorted, edges: inE, steps: normalized };
+  }, [withCallbacks]);
+
+  // Adds `diagram` to the right of the canvas, renaming clashing ids, and
+  // selects it so it can be moved as a whole.
+  const mergeIntoCanvas = useCallback((diagram) => {
+    record();
+    const merged = mergeDiagram(latest.current, diagram, { makeId: getId });
+    syncIdCounter(merged.nodes);
+    const added = new Set(merged.addedIds);
+    setNodes(
+      sortNodes(
+        merged.nodes.map((n) => (added.has(n.id) ? { ...withCallbacks(n), selected: true } : { ...n, selected: false }))
+      )
+    );
+    setEdges(merged.edges);
+  }, [record, withCallbacks]);
+
   const loadDiagram = useCallback((jsonPath) => {
     fetch(jsonPath)
       .then((res) => res.json())
-      .then(({ nodes: inN = [], edges: inE = [] }) => {
-        let maxIndex = -1;
-        const remapped = inN.map((n) => {
-          const m = /^node_(\d+)$/.exec(n.id);
-          if (m) {
-            const idx = Number(m[1]);
-            if (idx > maxIndex) maxIndex = idx;
-          }
-          return {
-            ...n,
-            data: {
-              ...n.data,
-              onDescriptionChange,
-              onDelete: handleDeleteNode,
-              onLabelChange: handleLabelChange,
-              isCustom: n.data.isCustom || false,
-            },
-          };
-        });
-        id = maxIndex + 1;
-        setNodes(remapped);
-        setEdges(inE);
-      })
+      .then((diagram) => (baseline.current = signature(applyDiagram(readDiagram(diagram)))))
       .catch(console.error);
-  }, [onDescriptionChange, handleDeleteNode, handleLabelChange]);
+  }, [applyDiagram]);
+
+  const hasUnsavedChanges = () =>
+    latest.current.nodes.length > 0 && signature(latest.current) !== baseline.current;
+
+  const saveNow = useCallback(() => {
+    if (!projectId) return;
+    try {
+      const snapshot = serializeDiagram(latest.current);
+      const json = JSON.stringify(snapshot);
+      if (json === lastSaved.current) return;
+      saveProject(projectId, snapshot);
+      lastSaved.current = json;
+    } catch (err) {
+      console.error('Autosave failed:', err);
+    }
+  }, [projectId]);
+
+  // A room that already has a diagram opens as a new project, so the
+  // diagram on the canvas stays as it was in its own.
+  const adoptRoom = useCallback((room) => {
+    saveNow();
+    const project = createProject(`Live session ${room}`);
+    setCurrentProjectId(project.id);
+    setProjectId(project.id);
+    lastSaved.current = null;
+    setSteps([]);
+    reset();
+  }, [saveNow, reset]);
 
+  const collab = useCollaboration({
+    nodes,
+    edges,
+    setNodes,
+    setEdges,
+    decorate: withCallbacks,
+    onAdoptRoom: adoptRoom,
+  });
   useEffect(() => {
+    idSuffix = collab.session ? `_${collab.self.id.slice(2)}` : '';
+  }, [collab.session, collab.self]);
+
+  // Another project is not part of the live session, if there is one.
+  // Stored diagrams go through readDiagram() like imported files; one that
+  // is not valid stays closed and My Designs says why. Returns whether the
+  // project was opened.
+  const openProject = useCallback((pid, stored = loadProject(pid)) => {
+    if (!stored) return false;
+    let diagram;
+    try {
+      diagram = readDiagram(stored);
+    } catch (err) {
+      const name = listProjects().find((p) => p.id === pid)?.name || pid;
+      setProjectError({ file: name, message: err.message, problems: err.problems || [] });
+      setShowProjects(true);
+      return false;
+    }
+    collab.leave();
+    setCurrentProjectId(pid);
+    setProjectId(pid);
+    setProjectError(null);
+    lastSaved.current = JSON.stringify(stored);
+    applyDiagram(diagram);
+    reset();
+    setReadOnly(false);
+    clearShareHash();
+    return true;
+  }, [applyDiagram, reset, collab.leave]);
+
+  // Restore the last open project, or start a new one from the template.
+  const restoreProject = useCallback(() => {
+    try {
+      const pid = getCurrentProjectId() || listProjects()[0]?.id;
+      const saved = pid && loadProject(pid);
+      if (saved) {
+        // A project that cannot be read is not autosaved over.
+        if (!openProject(pid, saved)) setProjects(listProjects());
+        return;
+      }
+      const project = createProject('Untitled design');
+      setCurrentProjectId(project.id);
+      setProjectId(project.id);
+    } catch (err) {
+      console.error('Local storage unavailable:', err);
+    }
     loadDiagram('architecture-template.json');
-  }, [loadDiagram]);
+  }, [loadDiagram, openProject]);
+
+  // A share link shows its diagram read-only, outside of any project, so
+  // nothing is autosaved until the viewer makes an editable copy.
+  useEffect(() => {
+    const shared = readShareHash();
+    if (!shared) {
+      restoreProject();
+      return;
+    }
+    decodeDiagram(shared)
+      .then((diagram) => {
+        applyDiagram(readDiagram(diagram));
+        setReadOnly(true);
+      })
+      .catch((err) => {
+        console.error('Invalid share link:', err);
+        alert('This share link is damaged or incomplete. Opening your last design instead.');
+        clearShareHash();
+        restoreProject();
+      });
+  }, [restoreProject, applyDiagram]);
+
+  // Adds a copy of `fragment` with new ids and selects it instead of what
+  // was selected. Pasted nodes that land on a group go into it.
+  const insertFragment = useCallback((fragment, offset) => {
+    record();
+    const clone = cloneFragment(fragment, { makeId: getId, offset });
+    const added = clone.nodes.map((n) => ({ ...withCallbacks(n), selected: true }));
+    setNodes((nds) =>
+      reparentNodes(
+        sortNodes([...nds.map((n) => (n.selected ? { ...n, selected: false } : n)), ...added]),
+        added.filter((n) => !n.parentNode).map((n) => n.id)
+      )
+    );
+    setEdges((eds) => [...eds.map((e) => (e.selected ? { ...e, selected: false } : e)), ...clone.edges]);
+  }, [record, withCallbacks]);
+
+  const duplicateSelection = useCallback(() => {
+    const fragment = selectedFragment(latest.current);
+    if (fragment.nodes.length) insertFragment(fragment, { x: PASTE_OFFSET, y: PASTE_OFFSET });
+  }, [insertFragment]);
+
+  const copySelection = useCallback(async () => {
+    const text = toClipboardText(selectedFragment(latest.current));
+    try {
+      await navigator.clipboard.writeText(text);
+      pasted.current = { text, count: 0 };
+    } catch {
+      alert('Could not copy to the clipboard. Use Ctrl+C instead.');
+    }
+  }, []);
+
+  // The toolbar's Delete and the Delete key.
+  const deleteSelection = useCallback(() => {
+    const { nodes: nds, edges: eds } = latest.current;
+    const nodeIds = nds.filter((n) => n.selected).map((n) => n.id);
+    const edgeIds = eds.filter((e) => e.selected).map((e) => e.id);
+    if (nodeIds.length || edgeIds.length) deleteElements({ nodeIds, edgeIds });
+  }, [deleteElements]);
+
+  const selectedIds = () => latest.current.nodes.filter((n) => n.selected).map((n) => n.id);
+
+  const alignSelection = useCallback((alignment) => {
+    record();
+    setNodes((nds) => alignNodes(nds, selectedIds(), alignment));
+  }, [record]);
+
+  const distributeSelection = useCallback((axis) => {
+    record();
+    setNodes((nds) => distributeNodes(nds, selectedIds(), axis));
+  }, [record]);
+
+  const makeEditableCopy = useCallback(() => {
+    const project = createProject('Shared design', serializeDiagram(latest.current));
+    openProject(project.id);
+  }, [openProject]);
 
   useEffect(() => {
-    const before = (e) => {
+    const timer = setTimeout(saveNow, 500);
+    return () => clearTimeout(timer);
+  }, [nodes, edges, steps, saveNow]);
+
+  useEffect(() => {
+    window.addEventListener('beforeunload', saveNow);
+    return () => window.removeEventListener('beforeunload', saveNow);
+  }, [saveNow]);
+
+  // React Flow's own delete key would take the members of deleted groups along.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (readOnly || presenting || isEditing(e) || !['Delete', 'Backspace'].includes(e.key)) return;
       e.preventDefault();
-      e.returnValue = '';
+      deleteSelection();
     };
-    window.addEventListener('beforeunload', before);
-    return () => window.removeEventListener('beforeunload', before);
-  }, []);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [readOnly, presenting, deleteSelection]);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (readOnly || !(e.ctrlKey || e.metaKey)) return;
+      // Leave text fields outside the canvas (e.g. tool search) to the browser.
+      const editable = isEditing(e);
+      if (editable && !editable.closest('.react-flow')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      } else if (key === 'd' && !editable) {
+        e.preventDefault();
+        duplicateSelection();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [undo, redo, readOnly, duplicateSelection]);
+
+  // Ctrl+C and Ctrl+V go through the browser's copy and paste events, which
+  // need no clipboard permission. Text fields and selected text keep theirs.
+  useEffect(() => {
+    const onCopy = (e) => {
+      if (isEditing(e) || window.getSelection()?.toString()) return;
+      const fragment = selectedFragment(latest.current);
+      if (!fragment.nodes.length) return;
+      e.preventDefault();
+      const text = toClipboardText(fragment);
+      e.clipboardData.setData('text/plain', text);
+      pasted.current = { text, count: 0 };
+    };
+    const onPaste = (e) => {
+      if (readOnly || presenting || isEditing(e)) return;
+      const text = e.clipboardData.getData('text/plain');
+      let fragment;
+      try {
+        fragment = parseClipboardText(text);
+      } catch (err) {
+        alert(`Cannot paste this onto the diagram: ${err.message}`);
+        return;
+      }
+      if (!fragment?.nodes.length) return;
+      e.preventDefault();
+      const count = pasted.current.text === text ? pasted.current.count + 1 : 1;
+      pasted.current = { text, count };
+      insertFragment(fragment, { x: PASTE_OFFSET * count, y: PASTE_OFFSET * count });
+    };
+    document.addEventListener('copy', onCopy);
+    document.addEventListener('paste', onPaste);
+    return () => {
+      document.removeEventListener('copy', onCopy);
+      document.removeEventListener('paste', onPaste);
+    };
+  }, [readOnly, presenting, insertFragment]);
 
   useEffect(() => {
     fetch('tools.json')
       .then((res) => res.json())
       .then((data) => {
-        const platforms = ['AWS', 'Azure', 'GCP', 'Open Source', 'Vendor'];
-        const nested = {};
-        platforms.forEach((p) => (nested[p] = {}));
-        data.forEach((entry) => {
-          platforms.forEach((p) => {
-            const arr = entry[p] || [];
-            if (!arr.length) return;
-            if (!nested[p][entry.category]) nested[p][entry.category] = {};
-            const types = nested[p][entry.category];
-            if (!types[entry.type]) types[entry.type] = [];
-            arr.forEach((toolName) => {
-              if (!types[entry.type].includes(toolName)) {
-                types[entry.type].push(toolName);
-              }
-            });
-          });
-        });
+        const nested = groupCatalog(data);
+        setCatalog(data);
         setGroupedTools(nested);
 
         const init = {};
-        platforms.forEach((p) => {
+        data.platforms.forEach((p) => {
           init[`plat|${p}`] = true;
           Object.entries(nested[p]).forEach(([cat, types]) => {
             init[`cat|${p}|${cat}`] = true;
@@ -167,24 +532,82 @@ function PipelineBuilder() {
   }, []);
 
   useEffect(() => {
-    fetch('toolDescriptions.json')
+    fetch('toolKnowledge.json')
       .then((res) => res.json())
-      .then((arr) => {
-        const map = {};
-        arr.forEach(({ tool, description }) => {
-          map[tool] = description;
-        });
-        setDescriptions(map);
-      })
+      .then(setKnowledge)
       .catch(console.error);
   }, []);
 
-  const onNodesChange = useCallback((changes) => setNodes((nds) => applyNodeChanges(changes, nds)), []);
-  const onEdgesChange = useCallback((changes) => setEdges((eds) => applyEdgeChanges(changes, eds)), []);
-  const onConnect = useCallback((conn) =>
-    setEdges((eds) =>
-      addEdge({ ...conn, animated: true, markerEnd: { type: MarkerType.ArrowClosed } }, eds)
-    ), []);
+  // Deleting a node removes its edges in a separate onEdgesChange call, so
+  // both share a group key to undo as one step.
+  const onNodesChange = useCallback((changes) => {
+    if (changes.some((c) => c.type === 'remove')) record('remove', 50);
+    setNodes((nds) => applyNodeChanges(changes, nds));
+  }, [record]);
+  const onEdgesChange = useCallback((changes) => {
+    if (changes.some((c) => c.type === 'remove')) record('remove', 50);
+    setEdges((eds) => applyEdgeChanges(changes, eds));
+  }, [record]);
+  const onConnect = useCallback((conn) => {
+    record();
+    setEdges((eds) => addEdge(createEdge(conn), eds));
+  }, [record]);
+  const onNodeDragStart = useCallback(() => record(), [record]);
+  // Dropping nodes onto a group puts them inside it; dragging them out releases them.
+  const onNodeDragStop = useCallback((_, node, dragged = [node]) => {
+    setNodes((nds) => reparentNodes(nds, dragged.map((n) => n.id)));
+  }, []);
+  const onSelectionDragStop = useCallback((_, dragged) => {
+    setNodes((nds) => reparentNodes(nds, dragged.map((n) => n.id)));
+  }, []);
+  // Clicking a node brings its inspector back if it was closed, in place of
+  // the ports editor of another node.
+  const onNodeClick = useCallback((_, node) => {
+    setSelectedEdgeId(null);
+    setPortsNodeId((pid) => (pid === node.id ? pid : null));
+    setInspectorClosedFor(null);
+  }, []);
+  const onEdgeClick = useCallback((_, edge) => {
+    setPortsNodeId(null);
+    setSelectedEdgeId(edge.id);
+  }, []);
+  const onPaneClick = useCallback(() => {
+    setSelectedEdgeId(null);
+    setPortsNodeId(null);
+  }, []);
+
+  const updateEdge = useCallback((edgeId, key, value) => {
+    record(`edge:${edgeId}:${key}`);
+    setEdges((eds) => eds.map((e) => (e.id === edgeId ? withEdgeMeta(e, { [key]: value }) : e)));
+  }, [record]);
+
+  const deleteEdge = useCallback((edgeId) => {
+    record();
+    setEdges((eds) => eds.filter((e) => e.id !== edgeId));
+    setSelectedEdgeId(null);
+  }, [record]);
+
+  const applyPorts = useCallback((nodeId, ports) => {
+    record();
+    const next = setNodePorts(latest.current, nodeId, ports);
+    setNodes(next.nodes);
+    setEdges(next.edges);
+  }, [record]);
+
+  const minimapColor = useCallback(
+    (n) => (n.type === 'groupNode' ? '#e9ecef' : categoryColor(findTool(catalog, n.data))),
+    [catalog]
+  );
+
+  const trackCursor = useCallback((e) => {
+    if (!rfInstance) return;
+    const bounds = wrapperRef.current.getBoundingClientRect();
+    collab.moveCursor(rfInstance.project({ x: e.clientX - bounds.left, y: e.clientY - bounds.top }));
+  }, [rfInstance, collab.moveCursor]);
+
+  const selectedEdge = edges.find((e) => e.id === selectedEdgeId);
+  const portsNode = nodes.find((n) => n.id === portsNodeId);
+  const nodeLabel = (nid) => nodes.find((n) => n.id === nid)?.data.label || nid;
 
   const onDragOver = useCallback((e) => {
     e.preventDefault();
@@ -202,129 +625,532 @@ function PipelineBuilder() {
     }
     const position = rfInstance.project({ x: e.clientX - bounds.left, y: e.clientY - bounds.top });
     const nid = getId();
-    setNodes((nds) => [
-      ...nds,
-      {
+    let node;
+    if (payload.group) {
+      node = createGroupNode(nid, payload.group, position);
+      node.data = { ...node.data, ...nodeCallbacks };
+    } else {
+      node = {
         id: nid,
         type: 'sideNode',
         position,
         data: {
           id: nid,
           label: payload.label,
-          description: descriptions[payload.label] || '',
-          onDescriptionChange,
-          onDelete: handleDeleteNode,
-          onLabelChange: handleLabelChange,
+          ...(payload.toolId ? { toolId: payload.toolId } : {}),
+          description: knowledgeFor(knowledge, findTool(catalog, payload))?.summary || '',
+          ...nodeCallbacks,
           isCustom: payload.isCustom || false,
         },
-      },
-    ]);
-  }, [rfInstance, descriptions, onDescriptionChange, handleDeleteNode, handleLabelChange]);
+      };
+    }
+    record();
+    setNodes((nds) => reparentNodes(sortNodes([...nds, node]), [nid]));
+  }, [rfInstance, catalog, knowledge, record, nodeCallbacks]);
 
-  const exportJson = useCallback(() => {
-    const blob = new Blob([JSON.stringify({ nodes, edges }, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'architecture.json';
-    a.click();
-  }, [nodes, edges]);
-
-  const importJson = useCallback((e) => {
-    const file = e.target.files[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        const { nodes: inN = [], edges: inE = [] } = JSON.parse(reader.result);
-        let maxIndex = -1;
-        const remapped = inN.map((n) => {
-          const m = /^node_(\d+)$/.exec(n.id);
-          if (m) {
-            const idx = Number(m[1]);
-            if (idx > maxIndex) maxIndex = idx;
-          }
-          return {
-            ...n,
-            data: {
-              ...n.data,
-              onDescriptionChange,
-              onDelete: handleDeleteNode,
-              onLabelChange: handleLabelChange,
-              isCustom: n.data.isCustom || false,
-            },
+  const addLanes = useCallback(() => {
+    record();
+    setNodes((nds) =>
+      addStageLanes(nds, { makeId: getId, toolOf: (n) => findTool(catalog, n.data) }).map((n) =>
+        n.data.onDelete ? n : { ...n, data: { ...n.data, ...nodeCallbacks } }
+      )
+    );
+  }, [catalog, record, nodeCallbacks]);
+
+  // Lays out the whole diagram, or only the selected nodes when asked to and
+  // something is selected.
+  const layoutNodes = useCallback((nds, eds, options) => {
+    const selected = nds.filter((n) => n.selected).map((n) => n.id);
+    return autoLayout(nds, eds, {
+      direction: options.direction,
+      ...SPACINGS[options.spacing],
+      only: options.selectedOnly && selected.length ? selected : null,
+    });
+  }, []);
+
+  // Moves nodes to their new position over `duration` ms; sizes change at once.
+  const animateNodes = useCallback((targets, duration = 400) => {
+    stopLayoutAnimation();
+    const from = new Map(latest.current.nodes.map((n) => [n.id, n.position]));
+    const start = performance.now();
+    const step = (now) => {
+      const t = Math.min((now - start) / duration, 1);
+      const ease = 1 - (1 - t) ** 3;
+      setNodes((nds) =>
+        nds.map((n) => {
+          const target = targets.get(n.id);
+          if (!target) return n;
+          const a = from.get(n.id) || target.position;
+          const position = {
+            x: a.x + (target.position.x - a.x) * ease,
+            y: a.y + (target.position.y - a.y) * ease,
           };
-        });
-        id = maxIndex + 1;
-        setNodes(remapped);
-        setEdges(inE);
-      } catch {
-        alert('Invalid JSON file.');
-      }
+          return { ...n, style: target.style, position };
+        })
+      );
+      if (t < 1) layoutFrame.current = requestAnimationFrame(step);
+    };
+    layoutFrame.current = requestAnimationFrame(step);
+  }, []);
+
+  const runLayout = useCallback((options = layoutOptions) => {
+    const { nodes: nds, edges: eds } = latest.current;
+    if (!nds.length) return;
+    record();
+    const laid = layoutNodes(nds, eds, options);
+    animateNodes(new Map(laid.map((n) => [n.id, n])));
+    if (!options.selectedOnly) setTimeout(() => rfInstance?.fitView({ duration: 300 }), 450);
+  }, [layoutOptions, layoutNodes, animateNodes, record, rfInstance]);
+
+  const prepareImport = useCallback((diagram) => {
+    if (!layoutOptions.afterImport || !diagram.nodes?.length) return diagram;
+    setTimeout(() => rfInstance?.fitView(), 0);
+    return { ...diagram, nodes: layoutNodes(diagram.nodes, diagram.edges || [], { ...layoutOptions, selectedOnly: false }) };
+  }, [layoutOptions, layoutNodes, rfInstance]);
+
+  const copyShareLink = useCallback(async () => {
+    let link;
+    try {
+      link = await createShareLink({ nodes, edges, steps });
+    } catch (err) {
+      console.error(err);
+      alert(`Could not create a share link: ${err.message}`);
+      return;
+    }
+    if (link.length > MAX_URL_LENGTH) {
+      alert(
+        `This diagram is too large for a share link (${link.length} characters, the limit is ${MAX_URL_LENGTH}). ` +
+          'Use Export JSON and send the file instead.'
+      );
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(link.url);
+    } catch {
+      window.prompt('Copy this share link:', link.url);
+      return;
+    }
+    alert(
+      link.length > WARN_URL_LENGTH
+        ? `Share link copied. It is ${link.length} characters long: some mail clients and chat apps cut off ` +
+            'links this long, so check that it opens, or send the exported JSON instead.'
+        : 'Share link copied to the clipboard.'
+    );
+  }, [nodes, edges, steps]);
+
+  // Planning every target is too slow to redo on each drag frame, so only
+  // while the Generate dialog is open.
+  const generateTargets = useMemo(() => {
+    if (!showGenerate) return [];
+    const diagram = { nodes, edges };
+    const compose = catalog ? planCompose(diagram, catalog) : { services: [], skipped: [] };
+    let dag = null;
+    let dagError = null;
+    try {
+      dag = catalog ? planDag(diagram, catalog) : null;
+    } catch (err) {
+      dagError = err;
+    }
+    const doc = planDocument(diagram, catalog);
+    const projectName = () => listProjects().find((p) => p.id === projectId)?.name;
+    const dagId = () => dagIdFor(projectName());
+    // Without a plan the description says why there is none.
+    const dagTarget = (targetId, name, render) => {
+      const unavailable = dagError?.message || (dag ? null : 'The tool catalog is still loading.');
+      return {
+        id: targetId,
+        name,
+        description:
+          unavailable ||
+          `${name} with ${dag.tasks.length} task(s), ` +
+            (dag.schedule ? `scheduled "${dag.schedule.cron}" from ${dag.schedule.from.join(', ')}.` : 'triggered manually.'),
+        unavailable,
+        nodeIds: dagError?.nodeIds,
+        run: () => downloadText(render(dag, { dagId: dagId() }), `${dagId()}.py`, 'text/x-python'),
+      };
     };
-    reader.readAsText(file);
-    e.target.value = '';
-  }, [onDescriptionChange, handleDeleteNode, handleLabelChange]);
+    return [
+      {
+        id: 'terraform',
+        name: 'Terraform',
+        description: 'Zip with provider, variable and resource stubs for the AWS, Azure and GCP tools, plus IAM placeholders for the data flows.',
+        unavailable: catalog && cloudTools(diagram, catalog).length ? null : 'The design uses no AWS, Azure or GCP tools.',
+        run: () => downloadZip(generateTerraform(diagram, catalog).files, 'terraform.zip'),
+      },
+      {
+        id: 'compose',
+        name: 'Docker Compose sandbox',
+        description:
+          `docker-compose.yml with ${compose.services.length} service(s) and a README with their URLs.` +
+          (compose.skipped.length ? ` Not included: ${compose.skipped.map((s) => s.label).join(', ')}.` : ''),
+        unavailable: compose.services.length ? null : 'The design uses no open-source tools that run in a container.',
+        run: () => downloadZip(generateCompose(diagram, catalog).files, 'sandbox.zip'),
+      },
+      dagTarget('airflow', 'Airflow DAG', toAirflowDag),
+      dagTarget('dagster', 'Dagster job', toDagsterJob),
+      {
+        id: 'document',
+        name: 'Architecture document',
+        description:
+          `Markdown and standalone HTML with the diagram, ${doc.stages.flatMap((s) => s.components).length} ` +
+          `component(s) by stage and platform, ${doc.flows.length} data flow(s) in order and ` +
+          `${doc.custom.length} custom component(s).`,
+        unavailable: !catalog ? 'The tool catalog is still loading.' : nodes.length ? null : 'The diagram is empty.',
+        run: async () => {
+          const title = projectName() || undefined;
+          const png = await renderDiagramPng(wrapperRef.current.querySelector('.react-flow__viewport'), nodes);
+          await downloadZip(
+            {
+              'architecture.md': toMarkdown(doc, { title, image: 'diagram.png' }),
+              'architecture.html': toHtml(doc, { title, image: png }),
+              'diagram.png': await (await fetch(png)).blob(),
+            },
+            'architecture-doc.zip'
+          );
+        },
+      },
+    ];
+  }, [showGenerate, nodes, edges, catalog, projectId]);
+
+  const exportJson = useCallback(() => {
+    downloadText(JSON.stringify(toDiagramFile({ nodes, edges, steps }), null, 2), 'architecture.json', 'application/json');
+    baseline.current = signature({ nodes, edges, steps });
+  }, [nodes, edges, steps]);
+
+  const exportImage = useCallback((options) => {
+    const viewportEl = wrapperRef.current.querySelector('.react-flow__viewport');
+    return exportDiagramImage(viewportEl, nodes, options);
+  }, [nodes]);
+
+  // `diagram` has been through readDiagram() in the import dialog.
+  const importJson = useCallback((diagram, mode) => {
+    if (mode === 'merge') {
+      mergeIntoCanvas(prepareImport(diagram));
+      setTimeout(() => rfInstance?.fitView({ duration: 400 }), 0);
+      return;
+    }
+    record();
+    applyDiagram(prepareImport(diagram));
+  }, [record, applyDiagram, mergeIntoCanvas, prepareImport, rfInstance]);
+
+  // Throws on unparsable input so the caller can report it.
+  const importDiagramCode = useCallback((text) => {
+    const graph = parseDiagramCode(text);
+    const diagram = graphToDiagram(graph, { resolveTool: (label) => findTool(catalog, { label }) });
+    record();
+    applyDiagram(diagram);
+    setTimeout(() => rfInstance?.fitView(), 0);
+  }, [catalog, rfInstance, record, applyDiagram]);
+
+  const findings = useMemo(() => lintDiagram({ nodes, edges }, { catalog }), [nodes, edges, catalog]);
+
+  const simulation = useMemo(
+    () => (showSimulation ? simulate({ nodes, edges }, simOptions) : null),
+    [showSimulation, nodes, edges, simOptions]
+  );
+  const selectedNode = useMemo(() => {
+    const selected = nodes.filter((n) => n.selected);
+    return selected.length === 1 && selected[0].type === 'sideNode' ? selected[0] : null;
+  }, [nodes]);
+
+  const selectedTool = selectedNode && findTool(catalog, selectedNode.data);
+  // The edge inspector, the ports editor and the tool inspector share the
+  // left-hand side, so only one of them is shown.
+  const leftPanel =
+    (selectedEdge && 'edge') ||
+    (portsNode && !readOnly && 'ports') ||
+    (selectedNode && inspectorClosedFor !== selectedNode.id && 'tool') ||
+    null;
+
+  // The new tool's summary replaces a description nobody has edited yet.
+  const swapSelectedTool = useCallback((tool) => {
+    record();
+    const previous = findTool(catalog, selectedNode.data);
+    setNodes((nds) =>
+      swapTool(nds, selectedNode.id, tool, {
+        description: knowledgeFor(knowledge, tool)?.summary || '',
+        previousDefault: knowledgeFor(knowledge, previous)?.summary || '',
+      })
+    );
+  }, [catalog, knowledge, selectedNode, record]);
+
+  const updateSizing = useCallback((nodeId, changes) => {
+    record(`sizing:${nodeId}`);
+    setNodes((nds) => nds.map((n) => (n.id === nodeId ? { ...n, data: withSizing(n.data, changes) } : n)));
+  }, [record]);
+
+  // The validation, simulation and walkthrough panels share the right-hand side.
+  const toggleLint = () => {
+    setShowSimulation(false);
+    setShowWalkthrough(false);
+    setShowLint((v) => !v);
+  };
+  const toggleSimulation = () => {
+    setShowLint(false);
+    setShowWalkthrough(false);
+    setShowSimulation((v) => !v);
+  };
+  const toggleWalkthrough = () => {
+    setShowLint(false);
+    setShowSimulation(false);
+    setShowWalkthrough((v) => !v);
+  };
+
+  const focusNodes = useCallback((nodeIds) => {
+    setNodes((nds) => nds.map((n) => ({ ...n, selected: nodeIds.includes(n.id) })));
+    rfInstance?.fitView({ nodes: nodeIds.map((nid) => ({ id: nid })), padding: 0.4, duration: 400, maxZoom: 1.2 });
+  }, [rfInstance]);
+
+  const presentedSteps = useMemo(
+    () => (presenting ? (steps.length ? steps : defaultWalkthrough({ nodes, edges })) : null),
+    [presenting, steps, nodes, edges]
+  );
+  const selectedNodeCount = nodes.filter((n) => n.selected).length;
+  const selectionCount = selectedNodeCount + edges.filter((e) => e.selected).length;
+
+  const addStep = useCallback(() => {
+    record();
+    setSteps((sts) => [...sts, stepFromSelection(latest.current, { title: `Step ${sts.length + 1}` })]);
+  }, [record]);
+  // Typing in a step's title or narration undoes as a whole.
+  const changeStep = useCallback((index, changes) => {
+    record(`step:${index}:${Object.keys(changes).join()}`);
+    setSteps((sts) => sts.map((s, i) => (i === index ? { ...s, ...changes } : s)));
+  }, [record]);
+  const editSteps = useCallback((update) => {
+    record();
+    setSteps(update);
+  }, [record]);
+  const setStepFromSelection = useCallback((index) => {
+    const { nodeIds, edgeIds } = stepFromSelection(latest.current);
+    changeStep(index, { nodeIds, edgeIds });
+  }, [changeStep]);
+  const showStep = useCallback((index) => {
+    const shown = resolveStep(latest.current.steps[index], latest.current);
+    setEdges((eds) => eds.map((e) => ({ ...e, selected: shown.edgeIds.has(e.id) })));
+    focusNodes([...shown.nodeIds]);
+  }, [focusNodes]);
+
+  const translateDiagram = useCallback((plan, choices) => {
+    record();
+    setNodes((nds) => applyTranslation({ nodes: nds, edges: [] }, catalog, plan, choices).nodes);
+    setShowTranslate(false);
+  }, [catalog, record]);
 
   const clearDiagram = useCallback(() => {
+    record();
     setNodes([]);
     setEdges([]);
-  }, []);
+    setSteps([]);
+  }, [record]);
 
+  // A design that fails to load keeps its error until it is tried again.
+  const fetchDesign = (file) => {
+    setDesignErrors(({ [file]: _, ...rest }) => rest);
+    fetch(`${import.meta.env.BASE_URL}designs/${file}`)
+      .then((r) => {
+        if (!r.ok) throw new Error(`${r.status} ${r.statusText}`.trim());
+        return r.json();
+      })
+      .then((diagram) => setDesignDiagrams((d) => ({ ...d, [file]: readDiagram(diagram) })))
+      .catch((err) => {
+        console.error(`Failed to load design ${file}:`, err);
+        setDesignErrors((e) => ({ ...e, [file]: err.message }));
+      });
+  };
+
+  // The index first, then every design for its preview; designs already
+  // fetched are kept for the rest of the session.
   const fetchDesignFiles = async () => {
     try {
-      const base = import.meta.env.BASE_URL;
-      const res = await fetch(`${base}designs/index.json`);
-      const entries = await res.json();
+      const res = await fetch(`${import.meta.env.BASE_URL}designs/index.json`);
+      const entries = (await res.json()).map(normalizeEntry);
       setDesignFiles(entries);
+      entries.filter(({ file }) => !designDiagrams[file]).forEach(({ file }) => fetchDesign(file));
     } catch (err) {
       console.error('Failed to load designs:', err);
+      setDesignFiles([]);
     }
   };
 
+  const refreshProjects = () => setProjects(listProjects());
+
+  const handleShowProjects = () => {
+    saveNow();
+    refreshProjects();
+    setProjectError(null);
+    setShowProjects(true);
+  };
+
+  const handleOpenProject = (pid) => {
+    saveNow();
+    if (openProject(pid)) setShowProjects(false);
+  };
+
+  const handleCreateProject = () => {
+    saveNow();
+    const project = createProject('Untitled design');
+    openProject(project.id);
+    setShowProjects(false);
+  };
+
+  const handleRenameProject = (pid, name) => {
+    renameProject(pid, name);
+    refreshProjects();
+  };
+
+  const handleDuplicateProject = (pid) => {
+    saveNow();
+    duplicateProject(pid);
+    refreshProjects();
+  };
+
+  const handleDeleteProject = (pid) => {
+    deleteProject(pid);
+    if (pid === projectId) {
+      const next = listProjects()[0] || createProject('Untitled design');
+      if (!openProject(next.id)) setProjectId(null);
+    }
+    refreshProjects();
+  };
+
   const toggle = useCallback((key) => {
     setCollapsed((c) => ({ ...c, [key]: !c[key] }));
   }, []);
 
-  const ToolItem = ({ label, isCustom = false }) => (
-    <div
-      className="tool"
-      draggable
-      onDragStart={(e) =>
-        e.dataTransfer.setData('application/reactflow', JSON.stringify({ label, isCustom }))
-      }
-    >
-      {label}
-    </div>
-  );
-
   const handleLoadDesign = () => {
     fetchDesignFiles();
     setShowModal(true);
   };
 
-  const handleSelectDesign = (filename) => {
+  const handleOpenDesign = (entry) => {
+    if (
+      hasUnsavedChanges() &&
+      !window.confirm(
+        `Replace the current diagram with "${entry.title}"? Your changes to it will be lost.\n\n` +
+          'Use Insert instead to add the design next to it.'
+      )
+    ) {
+      return;
+    }
+    setShowModal(false);
+    record();
+    baseline.current = signature(applyDiagram(prepareImport(designDiagrams[entry.file])));
+    setTimeout(() => rfInstance?.fitView(), 0);
+  };
+
+  const handleInsertDesign = (entry) => {
     setShowModal(false);
-    clearDiagram();
-    const base = import.meta.env.BASE_URL;
-    loadDiagram(`${base}designs/${filename}`);
+    mergeIntoCanvas(prepareImport(designDiagrams[entry.file]));
+    setTimeout(() => rfInstance?.fitView({ duration: 400 }), 0);
   };
 
   return (
     <div className="dndflow">
       {showModal && (
-        <div className="modal-backdrop" onClick={() => setShowModal(false)}>
-          <div className="modal" onClick={(e) => e.stopPropagation()}>
-            <h3>Select a Design</h3>
-            <div className="modal-list">
-              {designFiles.map(({ file, description }) => (
-                <div key={file} className="modal-item" onClick={() => handleSelectDesign(file)}>
-                  {description}
-                </div>
-              ))}
-            </div>
-          </div>
-        </div>
+        <DesignGallery
+          entries={designFiles}
+          diagrams={designDiagrams}
+          errors={designErrors}
+          onRetry={fetchDesign}
+          onOpen={handleOpenDesign}
+          onInsert={handleInsertDesign}
+          onClose={() => setShowModal(false)}
+        />
+      )}
+
+      {showProjects && (
+        <ProjectsModal
+          projects={projects}
+          currentId={projectId}
+          error={projectError}
+          onOpen={handleOpenProject}
+          onCreate={handleCreateProject}
+          onRename={handleRenameProject}
+          onDuplicate={handleDuplicateProject}
+          onDelete={handleDeleteProject}
+          onClose={() => setShowProjects(false)}
+        />
+      )}
+
+      {showImport && (
+        <ImportModal canMerge={nodes.length > 0} onImport={importJson} onClose={() => setShowImport(false)} />
+      )}
+
+      {showCompare && (
+        <CompareModal
+          canvas={serializeDiagram({ nodes, edges })}
+          onCompare={(versions) => {
+            setShowCompare(false);
+            setCompare(versions);
+          }}
+          onClose={() => setShowCompare(false)}
+        />
+      )}
+
+      {compare && <CompareView before={compare.before} after={compare.after} onClose={() => setCompare(null)} />}
+
+      {presentedSteps?.length > 0 && (
+        <PresentationView
+          nodes={nodes}
+          edges={edges}
+          steps={presentedSteps}
+          catalog={catalog}
+          onClose={() => setPresenting(false)}
+        />
+      )}
+
+      {showCollab && <CollabModal collab={collab} onClose={() => setShowCollab(false)} />}
+
+      {showExportImage && (
+        <ExportImageModal onExport={exportImage} onClose={() => setShowExportImage(false)} />
+      )}
+
+      {showDiagramCode && (
+        <DiagramCodeModal
+          nodes={nodes}
+          edges={edges}
+          onImport={importDiagramCode}
+          onClose={() => setShowDiagramCode(false)}
+        />
+      )}
+
+      {showLayout && (
+        <LayoutModal
+          options={layoutOptions}
+          selectedCount={selectedNodeCount}
+          onSave={(options) => {
+            setLayoutOptions(options);
+            setShowLayout(false);
+          }}
+          onApply={(options) => {
+            setLayoutOptions(options);
+            setShowLayout(false);
+            runLayout(options);
+          }}
+          onClose={() => setShowLayout(false)}
+        />
+      )}
+
+      {showGenerate && (
+        <GenerateModal
+          targets={generateTargets}
+          onFocus={(nodeIds) => {
+            setShowGenerate(false);
+            focusNodes(nodeIds);
+          }}
+          onClose={() => setShowGenerate(false)}
+        />
+      )}
+
+      {showTranslate && catalog && (
+        <TranslateModal
+          nodes={nodes}
+          edges={edges}
+          catalog={catalog}
+          onApply={translateDiagram}
+          onClose={() => setShowTranslate(false)}
+        />
       )}
 
       <aside className="tools-pane">
@@ -338,99 +1164,164 @@ function PipelineBuilder() {
             <img src="LDE-Logo.png" alt="LDE Logo" />
           </a>
         </div>
-        <div className="tools-header">Tools</div>
-        <div className="tools-content">
-          {Object.entries(groupedTools).map(([platform, categories]) => {
-            const pKey = `plat|${platform}`;
-            return (
-              <div key={platform} className="tools-category">
-                <div
-                  className="tools-category-header tools-level-1"
-                  onClick={() => toggle(pKey)}
-                >
-                  {platform}{' '}
-                  <span className="toggle-indicator">{collapsed[pKey] ? '+' : '–'}</span>
-                </div>
-                <div className={`tools-items ${collapsed[pKey] ? '' : 'expanded'}`}>
-                  {Object.entries(categories).map(([category, types]) => {
-                    const cKey = `cat|${platform}|${category}`;
-                    const typeKeys = Object.keys(types);
-                    return (
-                      <div key={category}>
-                        <div
-                          className="tools-category-header tools-level-2"
-                          onClick={() => toggle(cKey)}
-                        >
-                          {category}{' '}
-                          <span className="toggle-indicator">{collapsed[cKey] ? '+' : '–'}</span>
-                        </div>
-                        <div className={`tools-items ${collapsed[cKey] ? '' : 'expanded'}`}>
-                          {typeKeys.map((type) => {
-                            const tKey = `type|${platform}|${category}|${type}`;
-                            return (
-                              <React.Fragment key={type}>
-                                <div
-                                  className="tools-category-header tools-level-3"
-                                  onClick={() => toggle(tKey)}
-                                >
-                                  {type}{' '}
-                                  <span className="toggle-indicator">{collapsed[tKey] ? '+' : '–'}</span>
-                                </div>
-                                <div className={`tools-items ${collapsed[tKey] ? '' : 'expanded'}`}>
-                                  {types[type].map((t) => (
-                                    <ToolItem key={t} label={t} />
-                                  ))}
-                                </div>
-                              </React.Fragment>
-                            );
-                          })}
-                        </div>
-                      </div>
-                    );
-                  })}
-                  <div className="tools-footer" style={{ padding: '8px' }}>
-                    <ToolItem label="➕ Custom Element" isCustom={true} />
-                  </div>
-                </div>
-              </div>
-            );
-          })}
-        </div>
+        <ToolPalette groupedTools={groupedTools} collapsed={collapsed} onToggle={toggle} onAddLanes={readOnly ? undefined : addLanes} />
       </aside>
 
-      <div className="reactflow-wrapper" ref={wrapperRef}>
-        <div className="toolbar-left">
-          <button onClick={clearDiagram}>Clear Diagram</button>
-          <button onClick={handleLoadDesign}>Load Design</button>
-        </div>
+      <div
+        className={`reactflow-wrapper${readOnly ? ' read-only' : ''}`}
+        ref={wrapperRef}
+        onMouseMove={collab.session ? trackCursor : undefined}
+        onMouseLeave={collab.session ? () => collab.moveCursor(null) : undefined}
+      >
+        {readOnly ? (
+          <div className="toolbar-left">
+            <span className="read-only-banner">Shared design · read-only</span>
+            <button onClick={makeEditableCopy}>Make editable copy</button>
+          </div>
+        ) : (
+          <div className="toolbar-left">
+            <button onClick={clearDiagram}>Clear Diagram</button>
+            <button onClick={handleLoadDesign}>Load Design</button>
+            <button onClick={undo} disabled={!canUndo} title="Undo (Ctrl+Z)">↶ Undo</button>
+            <button onClick={redo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">↷ Redo</button>
+            <button onClick={() => runLayout()} title="Arrange the nodes following the data flow">Auto-layout</button>
+            <button onClick={() => setShowLayout(true)} title="Auto-layout options">⚙</button>
+            <button onClick={() => setShowTranslate(true)} disabled={!catalog}>Convert to…</button>
+            <button onClick={toggleLint}>
+              Validate{findings.length ? ` (${findings.length})` : ''}
+            </button>
+            <button onClick={toggleSimulation} title="Load, bottleneck and latency from the nodes' sizing hints">
+              {showSimulation ? 'Stop simulation' : 'Simulate'}
+            </button>
+            <button onClick={toggleWalkthrough} title="Steps for presenting the design">
+              Walkthrough{steps.length ? ` (${steps.length})` : ''}
+            </button>
+          </div>
+        )}
         <div className="toolbar">
+          <button onClick={handleShowProjects}>My Designs</button>
+          <button
+            onClick={() => setPresenting(true)}
+            disabled={!nodes.length}
+            title={steps.length ? 'Present the walkthrough' : 'Walk through the nodes in data-flow order'}
+          >
+            ▶ Present
+          </button>
+          {!readOnly && (
+            <button className={`collab-btn collab-${collab.status}`} onClick={() => setShowCollab(true)}>
+              {collab.session ? `● Live (${collab.peers.length + 1})` : 'Collaborate…'}
+            </button>
+          )}
+          <button onClick={copyShareLink}>Copy share link</button>
           <button onClick={exportJson}>Export JSON</button>
-          <label className="import-label">
-            Import JSON
-            <input
-              type="file"
-              accept="application/json"
-              onChange={importJson}
-              style={{ display: 'none' }}
-            />
-          </label>
+          <button onClick={() => setShowExportImage(true)}>Export Image</button>
+          <button onClick={() => setShowDiagramCode(true)}>Diagram as Code</button>
+          <button onClick={() => setShowGenerate(true)}>Generate…</button>
+          <button onClick={() => setShowCompare(true)}>Compare…</button>
+          {!readOnly && <button onClick={() => setShowImport(true)}>Import JSON</button>}
         </div>
-        <ReactFlow
-          nodes={nodes}
-          edges={edges}
-          onInit={setRfInstance}
-          onNodesChange={onNodesChange}
-          onEdgesChange={onEdgesChange}
-          onConnect={onConnect}
-          onDragOver={onDragOver}
-          onDrop={onDrop}
-          nodeTypes={nodeTypes}
-          fitView
-        >
-          <MiniMap />
-          <Controls />
-          <Background variant="dots" gap={12} size={1} />
-        </ReactFlow>
+        {showLint && (
+          <LintPanel findings={findings} onSelect={focusNodes} onClose={() => setShowLint(false)} />
+        )}
+        {simulation && !readOnly && (
+          <SimulationPanel
+            result={simulation}
+            options={simOptions}
+            selectedNode={selectedNode}
+            labelOf={nodeLabel}
+            onOptionsChange={setSimOptions}
+            onSizingChange={updateSizing}
+            onSelect={focusNodes}
+            onClose={() => setShowSimulation(false)}
+          />
+        )}
+        {selectedNodeCount > 0 && !readOnly && (
+          <SelectionToolbar
+            count={selectedNodeCount}
+            onAlign={alignSelection}
+            onDistribute={distributeSelection}
+            onCopy={copySelection}
+            onDuplicate={duplicateSelection}
+            onDelete={deleteSelection}
+          />
+        )}
+        {showWalkthrough && !readOnly && (
+          <WalkthroughPanel
+            steps={steps}
+            selectionCount={selectionCount}
+            onAdd={addStep}
+            onChange={changeStep}
+            onUseSelection={setStepFromSelection}
+            onShow={showStep}
+            onMove={(index, offset) => editSteps((sts) => moveStep(sts, index, offset))}
+            onDelete={(index) => editSteps((sts) => sts.filter((_, i) => i !== index))}
+            onStartFromDefault={() => editSteps(defaultWalkthrough({ nodes, edges }))}
+            onPresent={nodes.length ? () => setPresenting(true) : undefined}
+            onClose={() => setShowWalkthrough(false)}
+          />
+        )}
+        {leftPanel === 'edge' && (
+          <EdgeInspector
+            edge={selectedEdge}
+            sourceLabel={nodeLabel(selectedEdge.source)}
+            targetLabel={nodeLabel(selectedEdge.target)}
+            onChange={(key, value) => updateEdge(selectedEdge.id, key, value)}
+            onDelete={() => deleteEdge(selectedEdge.id)}
+            onClose={() => setSelectedEdgeId(null)}
+          />
+        )}
+        {leftPanel === 'tool' && (
+          <ToolInspector
+            key={selectedNode.id}
+            node={selectedNode}
+            tool={selectedTool}
+            entry={knowledgeFor(knowledge, selectedTool)}
+            alternatives={alternativesFor(catalog, selectedTool)}
+            onSwap={readOnly ? undefined : swapSelectedTool}
+            onClose={() => setInspectorClosedFor(selectedNode.id)}
+          />
+        )}
+        {leftPanel === 'ports' && (
+          <PortsEditor
+            key={portsNode.id}
+            node={portsNode}
+            onApply={(ports) => applyPorts(portsNode.id, ports)}
+            onClose={() => setPortsNodeId(null)}
+          />
+        )}
+        <CatalogContext.Provider value={catalog}>
+          <SimulationContext.Provider value={simulation}>
+            <ReactFlow
+              nodes={nodes}
+              edges={edges}
+              onInit={setRfInstance}
+              onNodesChange={onNodesChange}
+              onEdgesChange={onEdgesChange}
+              onConnect={onConnect}
+              nodesDraggable={!readOnly}
+              nodesConnectable={!readOnly}
+              deleteKeyCode={null}
+              multiSelectionKeyCode={['Meta', 'Control']}
+              onNodeDragStart={onNodeDragStart}
+              onSelectionDragStart={onNodeDragStart}
+              onNodeDragStop={onNodeDragStop}
+              onSelectionDragStop={onSelectionDragStop}
+              onDragOver={onDragOver}
+              onDrop={readOnly ? undefined : onDrop}
+              nodeTypes={nodeTypes}
+              edgeTypes={edgeTypes}
+              onNodeClick={onNodeClick}
+              onEdgeClick={readOnly ? undefined : onEdgeClick}
+              onPaneClick={onPaneClick}
+              fitView
+            >
+              <MiniMap nodeColor={minimapColor} nodeStrokeWidth={3} />
+              <Controls />
+              <Background variant="dots" gap={12} size={1} />
+              {collab.session && <CollabCursors peers={collab.peers} />}
+            </ReactFlow>
+          </SimulationContext.Provider>
+        </CatalogContext.Provider>
       </div>
     </div>
   );
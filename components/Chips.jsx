@@ -0,0 +1,21 @@
+// components/Chips.jsx
+import React from 'react';
+
+// Toggleable filter chips; `selected` is the list of active options.
+export default function Chips({ options, selected, onChange }) {
+  const toggle = (o) =>
+    onChange(selected.includes(o) ? selected.filter((s) => s !== o) : [...selected, o]);
+  return (
+    <div className="chips">
+      {options.map((o) => (
+        <button
+          key={o}
+          className={`chip ${selected.includes(o) ? 'active' : ''}`}
+          onClick={() => toggle(o)}
+        >
+          {o}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+// components/CollabCursors.jsx
+import React from 'react';
+import { useStore } from 'reactflow';
+
+const transformSelector = (s) => s.transform;
+const nodesSelector = (s) => s.nodeInternals;
+
+// Other participants' pointers and selected nodes, drawn over the canvas.
+// Must be rendered inside <ReactFlow>.
+export default function CollabCursors({ peers }) {
+  const [tx, ty, zoom] = useStore(transformSelector);
+  const nodeInternals = useStore(nodesSelector);
+  const toScreen = ({ x, y }) => ({ left: x * zoom + tx, top: y * zoom + ty });
+
+  return (
+    <div className="collab-layer">
+      {peers.map((peer) => (
+        <React.Fragment key={peer.id}>
+          {(peer.selection || []).map((nid) => {
+            const node = nodeInternals.get(nid);
+            if (!node?.width || !node.positionAbsolute) return null;
+            return (
+              <div
+                key={nid}
+                className="collab-selection"
+                style={{
+                  ...toScreen(node.positionAbsolute),
+                  width: node.width * zoom,
+                  height: node.height * zoom,
+                  borderColor: peer.color,
+                }}
+              />
+            );
+          })}
+          {peer.cursor && (
+            <div className="collab-cursor" style={toScreen(peer.cursor)}>
+              <svg width="14" height="18" viewBox="0 0 14 18">
+                <path d="M0 0 L14 10 L7 11 L4 18 Z" fill={peer.color} stroke="#fff" />
+              </svg>
+              <span style={{ background: peer.color }}>{peer.name}</span>
+            </div>
+          )}
+        </React.Fragment>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+// components/CollabModal.jsx
+import React, { useState } from 'react';
+
+const SETTINGS_KEY = 'etl-pipeline-app:collab';
+const STATUS_TEXT = {
+  connecting: 'Connecting…',
+  online: 'Connected',
+  offline: 'Connection lost, reconnecting. Your changes are sent when it is back.',
+};
+
+const loadSettings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const randomRoom = () => `workshop-${Math.random().toString(36).slice(2, 7)}`;
+
+// Starts or joins a live session, or shows the one in progress.
+export default function CollabModal({ collab, onClose }) {
+  const saved = loadSettings();
+  const [form, setForm] = useState({
+    url: saved.url || `ws://${window.location.hostname || 'localhost'}:8787`,
+    room: randomRoom(),
+    name: saved.name || '',
+  });
+  const [error, setError] = useState(null);
+  const set = (key) => (e) => setForm((f) => ({ ...f, [key]: e.target.value }));
+
+  const join = () => {
+    const settings = { url: form.url.trim(), room: form.room.trim(), name: form.name.trim() || 'Guest' };
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify({ url: settings.url, name: settings.name }));
+    } catch {
+      // Not remembering the settings is fine.
+    }
+    try {
+      collab.join(settings);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    onClose();
+  };
+
+  if (collab.session) {
+    return (
+      <div className="modal-backdrop" onClick={onClose}>
+        <div className="modal" onClick={(e) => e.stopPropagation()}>
+          <h3>Live session “{collab.session.room}”</h3>
+          <div className="modal-hint">{STATUS_TEXT[collab.status]} · {collab.session.url}</div>
+          <div className="modal-list">
+            <div className="modal-item collab-peer">
+              <span className="collab-dot" style={{ background: collab.self.color }} />
+              {collab.session.name} (you)
+            </div>
+            {collab.peers.map((p) => (
+              <div key={p.id} className="modal-item collab-peer">
+                <span className="collab-dot" style={{ background: p.color }} />
+                {p.name}
+              </div>
+            ))}
+          </div>
+          <div className="modal-actions">
+            <button onClick={onClose}>Close</button>
+            <button
+              onClick={() => {
+                collab.leave();
+                onClose();
+              }}
+            >
+              Leave session
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h3>Collaborate live</h3>
+        <div className="modal-form">
+          <label>
+            Relay server
+            <input type="text" value={form.url} onChange={set('url')} />
+          </label>
+          <label>
+            Room
+            <input type="text" value={form.room} onChange={set('room')} />
+          </label>
+          <label>
+            Your name
+            <input type="text" value={form.name} onChange={set('name')} placeholder="Guest" />
+          </label>
+        </div>
+        <div className="modal-hint">
+          Everyone who joins the same room on the same relay edits one diagram. A new room starts from your
+          canvas; a room that already has a diagram opens as a new project, and your current design stays in
+          My Designs. Run your own relay
+          with <code>npm run relay</code>.
+        </div>
+        {error && <div className="import-error">{error}</div>}
+        <div className="modal-actions">
+          <button onClick={onClose}>Cancel</button>
+          <button onClick={join} disabled={!form.url.trim() || !form.room.trim()}>Join</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+// components/CompareModal.jsx
+import React, { useState } from 'react';
+import { readDiagram } from '../utils/schema.js';
+import FileError from './FileError.jsx';
+
+const SIDES = [
+  ['before', 'Before (current)'],
+  ['after', 'After (proposed)'],
+];
+
+// Picks the two versions to compare: a diagram JSON file or the canvas each.
+export default function CompareModal({ canvas, onCompare, onClose }) {
+  const [picked, setPicked] = useState({ before: null, after: null });
+  const [error, setError] = useState(null);
+
+  const pick = (side, version) => setPicked((p) => ({ ...p, [side]: version }));
+
+  const handleFile = (side) => async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      pick(side, { name: file.name, diagram: readDiagram(await file.text()) });
+      setError(null);
+    } catch (err) {
+      setError({ file: file.name, message: err.message, problems: err.problems || [] });
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h3>Compare versions</h3>
+        <div className="modal-form">
+          {SIDES.map(([side, title]) => (
+            <div key={side} className="compare-side">
+              <div>
+                {title}
+                <div className="modal-hint">{picked[side]?.name || 'Nothing chosen yet'}</div>
+              </div>
+              <span className="compare-pick">
+                <button onClick={() => pick(side, { name: 'canvas', diagram: canvas })}>Canvas</button>
+                <label className="import-label">
+                  File…
+                  <input type="file" accept="application/json,.json" onChange={handleFile(side)} style={{ display: 'none' }} />
+                </label>
+              </span>
+            </div>
+          ))}
+        </div>
+        {error && <FileError error={error} />}
+        <div className="modal-actions">
+          <button onClick={onClose}>Cancel</button>
+          <button onClick={() => onCompare(picked)} disabled={!picked.before || !picked.after}>
+            Compare
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+// components/CompareView.jsx
+import React, { useMemo, useState } from 'react';
+import ReactFlow, { ReactFlowProvider, Background, Controls, Handle, Position, MarkerType } from 'reactflow';
+import { diffDiagrams, overlayDiagram, diffSummary, diffCounts } from '../utils/diff.js';
+
+const STATUSES = ['added', 'removed', 'changed'];
+
+function Changes({ changes }) {
+  return changes.map((c) => (
+    <div key={c.field} className="diff-change">
+      <span className="diff-field">{c.field}</span> <del>{c.from || '—'}</del> → <ins>{c.to || '—'}</ins>
+    </div>
+  ));
+}
+
+function DiffNode({ data }) {
+  return (
+    <div className={`diff-node diff-${data.status}`}>
+      <Handle type="target" position={Position.Left} style={{ top: '50%', transform: 'translateY(-50%)' }} />
+      <div className="node-label">{data.label}</div>
+      {data.status !== 'unchanged' && <div className="diff-badge">{data.status}</div>}
+      <Changes changes={data.changes} />
+      <Handle type="source" position={Position.Right} style={{ top: '50%', transform: 'translateY(-50%)' }} />
+    </div>
+  );
+}
+
+function DiffGroup({ data }) {
+  return (
+    <div className={`group-node group-${data.kind || 'group'} diff-group diff-${data.status}`}>
+      <div className="group-header">
+        {data.label}
+        {data.status !== 'unchanged' && <span className="diff-badge">{data.status}</span>}
+      </div>
+      <Changes changes={data.changes} />
+    </div>
+  );
+}
+
+const nodeTypes = { diffNode: DiffNode, diffGroup: DiffGroup };
+const defaultEdgeOptions = { markerEnd: { type: MarkerType.ArrowClosed } };
+
+// Full-screen overlay of two diagram versions, coloured by what changed.
+// `before`/`after`: `{ name, diagram }`.
+export default function CompareView({ before, after, onClose }) {
+  const diff = useMemo(() => diffDiagrams(before.diagram, after.diagram), [before, after]);
+  const overlay = useMemo(() => overlayDiagram(diff), [diff]);
+  const summary = useMemo(
+    () => diffSummary(diff, { beforeName: before.name, afterName: after.name }),
+    [diff, before.name, after.name]
+  );
+  const counts = diffCounts(diff);
+  const [showSummary, setShowSummary] = useState(false);
+
+  const copySummary = async () => {
+    try {
+      await navigator.clipboard.writeText(summary);
+      alert('Change summary copied to the clipboard.');
+    } catch {
+      setShowSummary(true);
+    }
+  };
+
+  return (
+    <div className="compare-view">
+      <div className="compare-toolbar">
+        <strong>{before.name} → {after.name}</strong>
+        {STATUSES.map((s) => (
+          <span key={s} className={`diff-legend diff-${s}`}>
+            {s}: {counts[s].nodes} node(s), {counts[s].edges} flow(s)
+          </span>
+        ))}
+        <span className="compare-actions">
+          <button onClick={copySummary}>Copy summary</button>
+          <button onClick={() => setShowSummary((v) => !v)}>{showSummary ? 'Hide summary' : 'Show summary'}</button>
+          <button onClick={onClose}>Close</button>
+        </span>
+      </div>
+      <div className="compare-canvas">
+        <ReactFlowProvider>
+          <ReactFlow
+            nodes={overlay.nodes}
+            edges={overlay.edges}
+            nodeTypes={nodeTypes}
+            defaultEdgeOptions={defaultEdgeOptions}
+            nodesDraggable={false}
+            nodesConnectable={false}
+            fitView
+          >
+            <Background />
+            <Controls showInteractive={false} />
+          </ReactFlow>
+        </ReactFlowProvider>
+        {showSummary && <textarea className="code-area compare-summary" readOnly value={summary} />}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+// components/DataEdge.jsx
+import React from 'react';
+import { BaseEdge, EdgeLabelRenderer, getBezierPath } from 'reactflow';
+import { edgeSummary } from '../utils/edges.js';
+
+// Bezier edge that shows its label and data-flow metadata (flow mode, format, volume).
+export default function DataEdge({
+  id,
+  sourceX,
+  sourceY,
+  targetX,
+  targetY,
+  sourcePosition,
+  targetPosition,
+  style,
+  markerEnd,
+  interactionWidth,
+  label,
+  data,
+  selected,
+}) {
+  const [path, labelX, labelY] = getBezierPath({ sourceX, sourceY, sourcePosition, targetX, targetY, targetPosition });
+  const summary = edgeSummary({ data });
+  return (
+    <>
+      <BaseEdge id={id} path={path} style={style} markerEnd={markerEnd} interactionWidth={interactionWidth} />
+      {(label || summary) && (
+        <EdgeLabelRenderer>
+          <div
+            className={`edge-label ${selected ? 'selected' : ''}`}
+            style={{ transform: `translate(-50%, -50%) translate(${labelX}px, ${labelY}px)` }}
+          >
+            {label && <div className="edge-label-text">{label}</div>}
+            {summary && <div className="edge-label-meta">{summary}</div>}
+          </div>
+        </EdgeLabelRenderer>
+      )}
+    </>
+  );
+}
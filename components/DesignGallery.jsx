@@ -0,0 +1,74 @@
+// components/DesignGallery.jsx
+import React, { useMemo, useState } from 'react';
+import { filterDesigns, galleryTags } from '../utils/gallery.js';
+import Chips from './Chips.jsx';
+import DesignPreview from './DesignPreview.jsx';
+
+// Author and date only for entries whose index lists them.
+const metaOf = (entry) =>
+  [entry.platforms.join(', '), entry.difficulty, entry.author, entry.updated && `updated ${entry.updated}`]
+    .filter(Boolean)
+    .join(' · ');
+
+// `entries`: normalized index entries (null while loading);
+// `diagrams`: design JSON by file, filled in as the files arrive;
+// `errors`: why a file failed to load, by file, until `onRetry(file)`.
+export default function DesignGallery({ entries, diagrams, errors, onOpen, onInsert, onRetry, onClose }) {
+  const [query, setQuery] = useState('');
+  const [tags, setTags] = useState([]);
+  const allTags = useMemo(() => galleryTags(entries || []), [entries]);
+  const shown = useMemo(() => filterDesigns(entries || [], { query, tags }), [entries, query, tags]);
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+        <h3>Select a Design</h3>
+        <input
+          className="tools-search"
+          type="search"
+          placeholder="Search designs…"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          autoFocus
+        />
+        <Chips options={allTags} selected={tags} onChange={setTags} />
+        <div className="modal-list gallery">
+          {!entries && <div className="tools-empty">Loading designs…</div>}
+          {entries && !shown.length && <div className="tools-empty">No design matches.</div>}
+          {shown.map((entry) => (
+            <div key={entry.file} className="gallery-card">
+              <DesignPreview diagram={diagrams[entry.file]} />
+              <div className="gallery-info">
+                <strong>{entry.title}</strong>
+                {entry.title !== entry.description && <div>{entry.description}</div>}
+                {metaOf(entry) && <div className="modal-hint">{metaOf(entry)}</div>}
+                {errors[entry.file] && (
+                  <div className="gallery-error">Could not load this design: {errors[entry.file]}</div>
+                )}
+                {entry.tags.length > 0 && (
+                  <div className="gallery-tags">
+                    {entry.tags.map((t) => <span key={t} className="chip">{t}</span>)}
+                  </div>
+                )}
+              </div>
+              <div className="gallery-buttons">
+                {errors[entry.file] && <button onClick={() => onRetry(entry.file)}>Retry</button>}
+                <button onClick={() => onOpen(entry)} disabled={!diagrams[entry.file]}>Open</button>
+                <button
+                  onClick={() => onInsert(entry)}
+                  disabled={!diagrams[entry.file]}
+                  title="Add the design next to the current diagram"
+                >
+                  Insert
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+        <div className="modal-actions">
+          <button onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
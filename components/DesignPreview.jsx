@@ -0,0 +1,46 @@
+// components/DesignPreview.jsx
+import React from 'react';
+import { absolutePosition, isGroupNode, sizeOf } from '../utils/groups.js';
+
+const PADDING = 20;
+
+// A static SVG thumbnail of a design: boxes for the nodes, lines for the edges.
+export default function DesignPreview({ diagram, width = 220, height = 130 }) {
+  if (!diagram) return <div className="design-preview design-preview-empty" style={{ width, height }} />;
+
+  const byId = new Map(diagram.nodes.map((n) => [n.id, n]));
+  const boxes = new Map(
+    diagram.nodes.map((n) => [n.id, { ...absolutePosition(n, byId), ...sizeOf(n), group: isGroupNode(n) }])
+  );
+  const all = [...boxes.values()];
+  const minX = Math.min(...all.map((b) => b.x)) - PADDING;
+  const minY = Math.min(...all.map((b) => b.y)) - PADDING;
+  const maxX = Math.max(...all.map((b) => b.x + b.width)) + PADDING;
+  const maxY = Math.max(...all.map((b) => b.y + b.height)) + PADDING;
+  const centre = (b) => [b.x + b.width / 2, b.y + b.height / 2];
+
+  return (
+    <svg
+      className="design-preview"
+      width={width}
+      height={height}
+      viewBox={all.length ? `${minX} ${minY} ${maxX - minX} ${maxY - minY}` : '0 0 100 100'}
+      preserveAspectRatio="xMidYMid meet"
+    >
+      {all.filter((b) => b.group).map((b, i) => (
+        <rect key={`g${i}`} className="preview-group" x={b.x} y={b.y} width={b.width} height={b.height} rx={12} />
+      ))}
+      {diagram.edges.map((e) => {
+        const from = boxes.get(e.source);
+        const to = boxes.get(e.target);
+        if (!from || !to) return null;
+        const [x1, y1] = centre(from);
+        const [x2, y2] = centre(to);
+        return <line key={e.id} className="preview-edge" x1={x1} y1={y1} x2={x2} y2={y2} />;
+      })}
+      {all.filter((b) => !b.group).map((b, i) => (
+        <rect key={`n${i}`} className="preview-node" x={b.x} y={b.y} width={b.width} height={b.height} rx={12} />
+      ))}
+    </svg>
+  );
+}
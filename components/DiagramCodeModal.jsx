@@ -0,0 +1,89 @@
+// components/DiagramCodeModal.jsx
+import React, { useMemo, useState } from 'react';
+import { CODE_FORMATS } from '../utils/diagramCode.js';
+import { downloadText } from '../utils/download.js';
+
+export default function DiagramCodeModal({ nodes, edges, onImport, onClose }) {
+  const [tab, setTab] = useState('export');
+  const [format, setFormat] = useState('mermaid');
+  const [direction, setDirection] = useState('LR');
+  const [source, setSource] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  const code = useMemo(
+    () => CODE_FORMATS[format].serialize({ nodes, edges }, { direction }),
+    [format, direction, nodes, edges]
+  );
+
+  const copy = () =>
+    navigator.clipboard.writeText(code).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    });
+
+  const readFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text().then(setSource);
+    e.target.value = '';
+  };
+
+  const handleImport = () => {
+    try {
+      onImport(source);
+      onClose();
+    } catch (err) {
+      alert(`Could not import diagram: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+        <h3>Diagram as Code</h3>
+        <div className="modal-tabs">
+          <button className={tab === 'export' ? 'active' : ''} onClick={() => setTab('export')}>Export</button>
+          <button className={tab === 'import' ? 'active' : ''} onClick={() => setTab('import')}>Import</button>
+        </div>
+        {tab === 'export' ? (
+          <>
+            <div className="modal-form modal-form-inline">
+              <select value={format} onChange={(e) => setFormat(e.target.value)}>
+                {Object.entries(CODE_FORMATS).map(([key, f]) => (
+                  <option key={key} value={key}>{f.name}</option>
+                ))}
+              </select>
+              <select value={direction} onChange={(e) => setDirection(e.target.value)}>
+                <option value="LR">Left to right</option>
+                <option value="TB">Top to bottom</option>
+              </select>
+            </div>
+            <textarea className="code-area" readOnly value={code} />
+            <div className="modal-actions">
+              <button onClick={copy}>{copied ? 'Copied ✓' : 'Copy'}</button>
+              <button onClick={() => downloadText(code, `architecture.${CODE_FORMATS[format].extension}`)}>
+                Download
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            <textarea
+              className="code-area"
+              placeholder={'Paste a Mermaid flowchart or Graphviz DOT digraph…\n\nflowchart LR\n  api["API Gateway"] --> fn["Lambda"]'}
+              value={source}
+              onChange={(e) => setSource(e.target.value)}
+            />
+            <div className="modal-actions">
+              <label className="import-label">
+                Open file…
+                <input type="file" accept=".mmd,.mermaid,.md,.dot,.gv,.txt" onChange={readFile} style={{ display: 'none' }} />
+              </label>
+              <button onClick={handleImport} disabled={!source.trim()}>Import (replaces canvas)</button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
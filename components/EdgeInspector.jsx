@@ -0,0 +1,53 @@
+// components/EdgeInspector.jsx
+import React from 'react';
+import { FLOW_MODES, DATA_FORMATS, LINE_STYLES } from '../utils/edges.js';
+
+export default function EdgeInspector({ edge, sourceLabel, targetLabel, onChange, onDelete, onClose }) {
+  const data = edge.data || {};
+  const field = (key) => (e) => onChange(key, e.target.value);
+  return (
+    <div className="side-panel side-panel-left edge-inspector">
+      <div className="side-panel-header">
+        {sourceLabel} → {targetLabel}
+        <button className="side-panel-close" onClick={onClose}>✕</button>
+      </div>
+      <div className="modal-form inspector-form">
+        <label>
+          Label
+          <input type="text" value={edge.label || ''} placeholder="e.g. raw orders" onChange={field('label')} />
+        </label>
+        <label>
+          Flow
+          <select value={data.flow || ''} onChange={field('flow')}>
+            <option value="">–</option>
+            {Object.entries(FLOW_MODES).map(([key, name]) => (
+              <option key={key} value={key}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Format
+          <input type="text" list="edge-formats" value={data.format || ''} onChange={field('format')} />
+          <datalist id="edge-formats">
+            {DATA_FORMATS.map((f) => <option key={f} value={f} />)}
+          </datalist>
+        </label>
+        <label>
+          Frequency / volume
+          <input type="text" value={data.volume || ''} placeholder="e.g. hourly, 5k events/s" onChange={field('volume')} />
+        </label>
+        <label>
+          Line
+          <select value={data.lineStyle || 'solid'} onChange={field('lineStyle')}>
+            {Object.keys(LINE_STYLES).map((s) => (
+              <option key={s} value={s}>{s}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div className="modal-actions inspector-actions">
+        <button onClick={onDelete}>Delete edge</button>
+      </div>
+    </div>
+  );
+}
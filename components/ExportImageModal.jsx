@@ -0,0 +1,82 @@
+// components/ExportImageModal.jsx
+import React, { useState } from 'react';
+
+export default function ExportImageModal({ onExport, onClose }) {
+  const [options, setOptions] = useState({
+    format: 'png',
+    scale: 2,
+    area: 'full',
+    background: 'white',
+    includeDescriptions: true,
+  });
+  const [busy, setBusy] = useState(false);
+  const set = (key) => (e) =>
+    setOptions((o) => ({ ...o, [key]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }));
+
+  const handleExport = async () => {
+    setBusy(true);
+    try {
+      await onExport({ ...options, scale: Number(options.scale) });
+      onClose();
+    } catch (err) {
+      console.error(err);
+      alert(`Export failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h3>Export Image</h3>
+        <div className="modal-form">
+          <label>
+            Format
+            <select value={options.format} onChange={set('format')}>
+              <option value="png">PNG</option>
+              <option value="svg">SVG (vector)</option>
+              <option value="pdf">PDF</option>
+            </select>
+          </label>
+          {options.format !== 'svg' && (
+            <label>
+              Scale
+              <select value={options.scale} onChange={set('scale')}>
+                {[1, 2, 3, 4].map((s) => (
+                  <option key={s} value={s}>{s}×</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label>
+            Area
+            <select value={options.area} onChange={set('area')}>
+              <option value="full">Full diagram</option>
+              <option value="viewport">Current viewport</option>
+            </select>
+          </label>
+          <label>
+            Background
+            <select value={options.background} onChange={set('background')}>
+              <option value="white">White</option>
+              <option value="transparent">Transparent</option>
+            </select>
+          </label>
+          <label className="checkbox">
+            <input
+              type="checkbox"
+              checked={options.includeDescriptions}
+              onChange={set('includeDescriptions')}
+            />
+            Include node descriptions
+          </label>
+        </div>
+        <div className="modal-actions">
+          <button onClick={onClose}>Cancel</button>
+          <button onClick={handleExport} disabled={busy}>{busy ? 'Exporting…' : 'Export'}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+// components/FileError.jsx
+import React from 'react';
+
+const MAX_PROBLEMS = 20;
+
+// Why a diagram file was rejected: `error` is `{ file, message, problems }`
+// with the problems reported by readDiagram().
+export default function FileError({ error }) {
+  return (
+    <div className="import-error">
+      <strong>{error.file}: {error.message}</strong>
+      {error.problems.length > 0 && (
+        <ul>
+          {error.problems.slice(0, MAX_PROBLEMS).map((p, i) => (
+            <li key={i}>
+              {p.path && <code>{p.path}</code>} {p.message}
+            </li>
+          ))}
+          {error.problems.length > MAX_PROBLEMS && <li>…and {error.problems.length - MAX_PROBLEMS} more</li>}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+// components/GenerateModal.jsx
+import React, { useState } from 'react';
+
+// `targets`: [{ id, name, description, unavailable (reason or null), nodeIds (the nodes at fault), run }]
+export default function GenerateModal({ targets, onFocus, onClose }) {
+  const [busy, setBusy] = useState(null);
+
+  const generate = async (target) => {
+    setBusy(target.id);
+    try {
+      await target.run();
+      onClose();
+    } catch (err) {
+      console.error(err);
+      alert(`Generating ${target.name} failed: ${err.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+        <h3>Generate code and docs</h3>
+        <div className="modal-list">
+          {targets.map((t) => (
+            <div key={t.id} className="generate-item">
+              <div>
+                <strong>{t.name}</strong>
+                <div className="modal-hint">{t.unavailable || t.description}</div>
+              </div>
+              {t.nodeIds && <button onClick={() => onFocus(t.nodeIds)}>Show steps</button>}
+              <button onClick={() => generate(t)} disabled={Boolean(t.unavailable) || busy !== null}>
+                {busy === t.id ? 'Generating…' : 'Download'}
+              </button>
+            </div>
+          ))}
+        </div>
+        <div className="modal-actions">
+          <button onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+// components/GroupNode.jsx
+import React from 'react';
+import { NodeResizer } from 'reactflow';
+
+// Container for other nodes: a VPC, an account, a medallion layer, a lane…
+// Members are attached through `parentNode`, see utils/groups.js.
+export default function GroupNode({ id, data, selected }) {
+  return (
+    <div className={`group-node group-${data.kind || 'group'}`}>
+      <NodeResizer
+        isVisible={selected}
+        minWidth={160}
+        minHeight={100}
+        onResizeStart={() => data.onResizeStart?.(id)}
+      />
+      <div className="group-header">
+        <input
+          className="group-label-input nodrag"
+          value={data.label}
+          onChange={(e) => data.onLabelChange(id, e.target.value)}
+        />
+        <button className="node-delete-btn" onClick={() => data.onDelete(id)}>🗑️</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+// components/ImportModal.jsx
+import React, { useState } from 'react';
+import { readDiagram } from '../utils/schema.js';
+import FileError from './FileError.jsx';
+
+export default function ImportModal({ canMerge, onImport, onClose }) {
+  const [mode, setMode] = useState('replace');
+  const [error, setError] = useState(null);
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        onImport(readDiagram(reader.result), canMerge ? mode : 'replace');
+        onClose();
+      } catch (err) {
+        setError({ file: file.name, message: err.message, problems: err.problems || [] });
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h3>Import JSON</h3>
+        <div className="modal-form">
+          <label className="checkbox">
+            <input type="radio" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+            Replace the current diagram
+          </label>
+          <label className="checkbox">
+            <input
+              type="radio"
+              checked={mode === 'merge'}
+              onChange={() => setMode('merge')}
+              disabled={!canMerge}
+            />
+            Add it next to the current diagram
+          </label>
+        </div>
+        {error && <FileError error={error} />}
+        <div className="modal-actions">
+          <button onClick={onClose}>Cancel</button>
+          <label className="import-label">
+            Choose file…
+            <input type="file" accept="application/json,.json" onChange={handleFile} style={{ display: 'none' }} />
+          </label>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+// components/LayoutModal.jsx
+import React, { useState } from 'react';
+import { SPACINGS } from '../utils/layout.js';
+
+export default function LayoutModal({ options: initial, selectedCount, onApply, onSave, onClose }) {
+  const [options, setOptions] = useState(initial);
+  const set = (key) => (e) =>
+    setOptions((o) => ({ ...o, [key]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }));
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h3>Auto-layout</h3>
+        <div className="modal-form">
+          <label>
+            Direction
+            <select value={options.direction} onChange={set('direction')}>
+              <option value="LR">Left to right</option>
+              <option value="TB">Top to bottom</option>
+            </select>
+          </label>
+          <label>
+            Spacing
+            <select value={options.spacing} onChange={set('spacing')}>
+              {Object.keys(SPACINGS).map((s) => (
+                <option key={s} value={s}>{s[0].toUpperCase() + s.slice(1)}</option>
+              ))}
+            </select>
+          </label>
+          <label className="checkbox">
+            <input type="checkbox" checked={options.selectedOnly} onChange={set('selectedOnly')} />
+            Only the selected nodes{selectedCount ? ` (${selectedCount})` : ''}
+          </label>
+          <label className="checkbox">
+            <input type="checkbox" checked={options.afterImport} onChange={set('afterImport')} />
+            Lay out imported and loaded designs
+          </label>
+        </div>
+        <div className="modal-actions">
+          <button onClick={onClose}>Cancel</button>
+          <button onClick={() => onSave(options)}>Save</button>
+          <button onClick={() => onApply(options)}>Apply</button>
+        </div>
+      </div>
+    </div>
+  );
+}
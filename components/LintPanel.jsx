@@ -0,0 +1,31 @@
+// components/LintPanel.jsx
+import React from 'react';
+
+const ICONS = { error: '⛔', warning: '⚠️', info: 'ℹ️' };
+
+export default function LintPanel({ findings, onSelect, onClose }) {
+  return (
+    <div className="side-panel lint-panel">
+      <div className="side-panel-header">
+        Validation
+        <button className="side-panel-close" onClick={onClose}>✕</button>
+      </div>
+      {findings.length === 0 ? (
+        <div className="side-panel-empty">No issues found 🎉</div>
+      ) : (
+        <ul className="lint-list">
+          {findings.map((f, i) => (
+            <li
+              key={`${f.rule}-${i}`}
+              className={`lint-item lint-${f.severity} ${f.nodeIds.length ? 'clickable' : ''}`}
+              onClick={() => f.nodeIds.length && onSelect(f.nodeIds)}
+            >
+              <span className="lint-icon">{ICONS[f.severity]}</span>
+              <span>{f.message}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+// components/PortsEditor.jsx
+import React, { useState } from 'react';
+import { parsePortList } from '../utils/ports.js';
+
+// Names the input and output ports of a node, e.g. "raw, curated".
+export default function PortsEditor({ node, onApply, onClose }) {
+  const [form, setForm] = useState({
+    inputs: (node.data.inputs || []).join(', '),
+    outputs: (node.data.outputs || []).join(', '),
+  });
+  const set = (key) => (e) => setForm((f) => ({ ...f, [key]: e.target.value }));
+  const apply = () => onApply({ inputs: parsePortList(form.inputs), outputs: parsePortList(form.outputs) });
+
+  return (
+    <div className="side-panel side-panel-left ports-editor">
+      <div className="side-panel-header">
+        Ports of {node.data.label}
+        <button className="side-panel-close" onClick={onClose}>✕</button>
+      </div>
+      <div className="modal-form inspector-form">
+        <label>
+          Inputs
+          <input type="text" value={form.inputs} placeholder="one unnamed input" onChange={set('inputs')} />
+        </label>
+        <label>
+          Outputs
+          <input type="text" value={form.outputs} placeholder="e.g. raw, curated" onChange={set('outputs')} />
+        </label>
+      </div>
+      <div className="modal-hint">
+        Separate names with commas; leave a side empty for a single unnamed port. Flows on a port you remove
+        move to the first port on that side.
+      </div>
+      <div className="modal-actions inspector-actions">
+        <button onClick={apply}>Apply</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+// components/PresentationView.jsx
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import ReactFlow, { ReactFlowProvider, Background, useReactFlow, useNodesInitialized } from 'reactflow';
+import SideNode, { CatalogContext } from './SideNode.jsx';
+import GroupNode from './GroupNode.jsx';
+import DataEdge from './DataEdge.jsx';
+import { resolveStep } from '../utils/walkthrough.js';
+
+const nodeTypes = { sideNode: SideNode, groupNode: GroupNode };
+const edgeTypes = { default: DataEdge };
+
+const NEXT_KEYS = ['ArrowRight', 'ArrowDown', 'PageDown', ' ', 'Enter'];
+const PREVIOUS_KEYS = ['ArrowLeft', 'ArrowUp', 'PageUp'];
+
+// Groups around a focused node stay visible, only less prominent.
+const nodeClass = (n, shown, nodes) => {
+  if (shown.nodeIds.has(n.id)) return 'step-focus';
+  const holdsFocus = nodes.some((c) => c.parentNode === n.id && shown.nodeIds.has(c.id));
+  return holdsFocus ? 'step-context' : 'step-dim';
+};
+
+function Stage({ nodes, edges, shown }) {
+  const { fitView } = useReactFlow();
+  const ready = useNodesInitialized();
+
+  useEffect(() => {
+    if (!ready) return;
+    fitView({ nodes: [...shown.nodeIds].map((nid) => ({ id: nid })), padding: 0.3, duration: 600, maxZoom: 1.5 });
+  }, [ready, shown, fitView]);
+
+  const stagedNodes = useMemo(
+    () => nodes.map((n) => ({ ...n, selected: false, className: nodeClass(n, shown, nodes) })),
+    [nodes, shown]
+  );
+  const stagedEdges = useMemo(
+    () =>
+      edges.map((e) => {
+        const focused = shown.edgeIds.has(e.id);
+        return { ...e, selected: false, animated: focused || e.animated, className: focused ? 'step-focus' : 'step-dim' };
+      }),
+    [edges, shown]
+  );
+
+  return (
+    <ReactFlow
+      nodes={stagedNodes}
+      edges={stagedEdges}
+      nodeTypes={nodeTypes}
+      edgeTypes={edgeTypes}
+      nodesDraggable={false}
+      nodesConnectable={false}
+      elementsSelectable={false}
+      deleteKeyCode={null}
+      proOptions={{ hideAttribution: true }}
+    >
+      <Background variant="dots" gap={12} size={1} />
+    </ReactFlow>
+  );
+}
+
+// Full-screen walkthrough of the design: each step zooms to its nodes and
+// edges, dims the rest and shows its narration. Arrow keys, Page Up/Down
+// and Space move between steps; Escape ends the presentation.
+export default function PresentationView({ nodes, edges, steps, catalog, onClose }) {
+  const rootRef = useRef(null);
+  const [index, setIndex] = useState(0);
+  const step = steps[index];
+  const shown = useMemo(() => resolveStep(step, { nodes, edges }), [step, nodes, edges]);
+  const go = (offset) => setIndex((i) => Math.min(Math.max(i + offset, 0), steps.length - 1));
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (NEXT_KEYS.includes(e.key)) go(1);
+      else if (PREVIOUS_KEYS.includes(e.key)) go(-1);
+      else if (e.key === 'Home') setIndex(0);
+      else if (e.key === 'End') setIndex(steps.length - 1);
+      else if (e.key === 'Escape') onClose();
+      else return;
+      e.preventDefault();
+      e.stopPropagation();
+    };
+    window.addEventListener('keydown', onKeyDown, true);
+    return () => window.removeEventListener('keydown', onKeyDown, true);
+  }, [steps.length, onClose]);
+
+  // Browsers only allow full screen in response to a click, which opening
+  // the presentation is; if it is refused the view still fills the window.
+  useEffect(() => {
+    rootRef.current.requestFullscreen?.().catch(() => {});
+    return () => {
+      if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+    };
+  }, []);
+
+  return (
+    <div className="presentation-view read-only" ref={rootRef}>
+      <CatalogContext.Provider value={catalog}>
+        <ReactFlowProvider>
+          <Stage nodes={nodes} edges={edges} shown={shown} />
+        </ReactFlowProvider>
+      </CatalogContext.Provider>
+      <div className="presentation-caption">
+        <div className="presentation-title">
+          <span className="presentation-count">{index + 1} / {steps.length}</span>
+          {step.title}
+        </div>
+        {step.narration && <div className="presentation-narration">{step.narration}</div>}
+        <div className="presentation-controls">
+          <button onClick={() => go(-1)} disabled={index === 0} title="Previous step (←)">◀ Previous</button>
+          <button onClick={() => go(1)} disabled={index === steps.length - 1} title="Next step (→ or Space)">Next ▶</button>
+          <button onClick={onClose} title="End the presentation (Esc)">End</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+// components/ProjectsModal.jsx
+import React, { useState } from 'react';
+import FileError from './FileError.jsx';
+
+const formatTime = (ts) => new Date(ts).toLocaleString();
+
+export default function ProjectsModal({
+  projects,
+  currentId,
+  error,
+  onOpen,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onDelete,
+  onClose,
+}) {
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState('');
+
+  const startRename = (p) => {
+    setEditing(p.id);
+    setDraft(p.name);
+  };
+  const commitRename = () => {
+    if (draft.trim()) onRename(editing, draft.trim());
+    setEditing(null);
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <h3>My Designs</h3>
+        <div className="modal-actions">
+          <button onClick={onCreate}>➕ New design</button>
+        </div>
+        {error && <FileError error={error} />}
+        <div className="modal-list">
+          {projects.map((p) => (
+            <div key={p.id} className={`modal-item project-item ${p.id === currentId ? 'current' : ''}`}>
+              <div className="project-info" onClick={() => editing !== p.id && onOpen(p.id)}>
+                {editing === p.id ? (
+                  <input
+                    autoFocus
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    onBlur={commitRename}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') commitRename();
+                      if (e.key === 'Escape') setEditing(null);
+                    }}
+                  />
+                ) : (
+                  <div className="project-name">{p.name}</div>
+                )}
+                <div className="project-time">Last modified {formatTime(p.updatedAt)}</div>
+              </div>
+              <div className="project-buttons">
+                <button title="Rename" onClick={() => startRename(p)}>✏️</button>
+                <button title="Duplicate" onClick={() => onDuplicate(p.id)}>📄</button>
+                <button
+                  title="Delete"
+                  onClick={() => window.confirm(`Delete "${p.name}"?`) && onDelete(p.id)}
+                >
+                  🗑️
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+// components/SelectionToolbar.jsx
+import React from 'react';
+import { ALIGNMENTS } from '../utils/align.js';
+
+const ICONS = { left: '⇤', center: '↔', right: '⇥', top: '⤒', middle: '↕', bottom: '⤓' };
+
+// Commands for the nodes selected on the canvas; shown while there are any.
+export default function SelectionToolbar({ count, onAlign, onDistribute, onCopy, onDuplicate, onDelete }) {
+  return (
+    <div className="selection-toolbar">
+      <span className="modal-hint">{count} selected</span>
+      {Object.entries(ALIGNMENTS).map(([key, { label }]) => (
+        <button key={key} onClick={() => onAlign(key)} disabled={count < 2} title={label}>
+          {ICONS[key]}
+        </button>
+      ))}
+      <button onClick={() => onDistribute('x')} disabled={count < 3} title="Distribute horizontally">
+        ⋯
+      </button>
+      <button onClick={() => onDistribute('y')} disabled={count < 3} title="Distribute vertically">
+        ⋮
+      </button>
+      <button onClick={onCopy} title="Copy (Ctrl+C)">Copy</button>
+      <button onClick={onDuplicate} title="Duplicate (Ctrl+D)">Duplicate</button>
+      <button onClick={onDelete} title="Delete (Del)">Delete</button>
+    </div>
+  );
+}
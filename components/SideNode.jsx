@@ -0,0 +1,102 @@
+// components/SideNode.jsx
+import React, { createContext, useContext, useEffect, useMemo } from 'react';
+import { Handle, Position, useUpdateNodeInternals } from 'reactflow';
+import { findTool } from '../utils/catalog.js';
+import { nodeAppearance } from '../utils/nodeStyle.js';
+import { portsOf } from '../utils/ports.js';
+import { formatRate, formatUtilisation } from '../utils/simulation.js';
+
+/** The tool catalog, for nodes to look up their category and platform. */
+export const CatalogContext = createContext(null);
+/** The result of simulate() while the simulation is shown, otherwise null. */
+export const SimulationContext = createContext(null);
+
+const NODE_HEIGHT = 80;
+const PORT_SPACING = 20;
+// Ports that fit the default height; more make the node taller.
+const FITTING_PORTS = 3;
+
+// Handles spread evenly along one side, with their names next to them.
+function Ports({ type, names }) {
+  const position = type === 'target' ? Position.Left : Position.Right;
+  return names.map((name, i) => {
+    const top = `${((i + 1) / (names.length + 1)) * 100}%`;
+    return (
+      <React.Fragment key={name ?? ''}>
+        <Handle
+          type={type}
+          id={name ?? undefined}
+          position={position}
+          style={{ top, transform: 'translateY(-50%)' }}
+        />
+        {name !== null && <span className={`port-label port-${type}`} style={{ top }}>{name}</span>}
+      </React.Fragment>
+    );
+  });
+}
+
+// A tool on the canvas, coloured by its catalog category, with a platform
+// badge, the tool's icon if it has one and its input/output ports. While the
+// simulation runs it is outlined by utilisation and shows its load.
+export default function SideNode({ id, data }) {
+  const catalog = useContext(CatalogContext);
+  const simulation = useContext(SimulationContext);
+  const sim = simulation?.nodes.get(id);
+  const tool = useMemo(() => findTool(catalog, data), [catalog, data.toolId, data.label]);
+  const look = nodeAppearance(tool);
+  const inputs = portsOf(data, 'inputs');
+  const outputs = portsOf(data, 'outputs');
+  const rows = Math.max(inputs.length, outputs.length);
+
+  // React Flow measures handles once; tell it when they change.
+  const updateNodeInternals = useUpdateNodeInternals();
+  const portKey = JSON.stringify([inputs, outputs]);
+  useEffect(() => updateNodeInternals(id), [id, portKey, updateNodeInternals]);
+
+  return (
+    <div
+      className={`side-node${sim ? ` sim-${sim.level}` : ''}${simulation?.bottleneck === id ? ' sim-bottleneck' : ''}`}
+      style={{
+        '--node-color': look.color,
+        ...(rows > FITTING_PORTS ? { height: NODE_HEIGHT + (rows - FITTING_PORTS) * PORT_SPACING } : {}),
+      }}
+      title={tool ? `${tool.name} · ${tool.platform} · ${tool.category} / ${tool.type}` : undefined}
+    >
+      {look.badge && <span className="node-badge">{look.badge}</span>}
+      <button className="node-delete-btn" onClick={() => data.onDelete(id)}>🗑️</button>
+      <Ports type="target" names={inputs} />
+      <div className="node-header">
+        {look.icon && (
+          <svg className="node-icon" viewBox="0 0 24 24" role="img" aria-label={look.icon.title}>
+            <path d={look.icon.path} fill={`#${look.icon.hex}`} />
+          </svg>
+        )}
+        {data.isCustom ? (
+          <input
+            className="node-label-input"
+            value={data.label}
+            onChange={(e) => data.onLabelChange(id, e.target.value)}
+          />
+        ) : (
+          <div className="node-label">{data.label}</div>
+        )}
+      </div>
+      <textarea
+        className="node-desc"
+        value={data.description}
+        onChange={(e) => data.onDescriptionChange(id, e.target.value)}
+      />
+      <button className="node-ports-btn" title="Input and output ports" onClick={() => data.onEditPorts(id)}>
+        ⇄
+      </button>
+      <Ports type="source" names={outputs} />
+      {sim && (sim.load > 0 || sim.capacity) && (
+        <div className="node-sim">
+          {formatRate(sim.load)}
+          {sim.capacity ? ` · ${formatUtilisation(sim.utilisation)}` : ''}
+          {simulation.bottleneck === id ? ' · bottleneck' : ''}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+// components/SimulationPanel.jsx
+import React from 'react';
+import { RATE_UNITS, formatLatency, formatRate, formatUtilisation } from '../utils/simulation.js';
+
+function RateField({ label, sizing, valueKey, unitKey, placeholder, onChange }) {
+  return (
+    <label>
+      {label}
+      <span className="sim-rate">
+        <input
+          type="number"
+          min="0"
+          value={sizing[valueKey] ?? ''}
+          placeholder={placeholder}
+          onChange={(e) => onChange({ [valueKey]: e.target.value === '' ? '' : Number(e.target.value) })}
+        />
+        <select value={sizing[unitKey] || RATE_UNITS[0]} onChange={(e) => onChange({ [unitKey]: e.target.value })}>
+          {RATE_UNITS.map((u) => <option key={u} value={u}>{u}</option>)}
+        </select>
+      </span>
+    </label>
+  );
+}
+
+function NumberField({ label, sizing, valueKey, placeholder, onChange }) {
+  return (
+    <label>
+      {label}
+      <input
+        type="number"
+        min="0"
+        value={sizing[valueKey] ?? ''}
+        placeholder={placeholder}
+        onChange={(e) => onChange({ [valueKey]: e.target.value === '' ? '' : Number(e.target.value) })}
+      />
+    </label>
+  );
+}
+
+// Sizing hints of the selected node, and what the simulation makes of the
+// whole design: the bottleneck and the latency of every source → sink path.
+export default function SimulationPanel({
+  result,
+  options,
+  selectedNode,
+  labelOf,
+  onOptionsChange,
+  onSizingChange,
+  onSelect,
+  onClose,
+}) {
+  const sizing = selectedNode?.data.sizing || {};
+  const stats = selectedNode && result.nodes.get(selectedNode.id);
+  const bottleneck = result.bottleneck && result.nodes.get(result.bottleneck);
+  const change = (changes) => onSizingChange(selectedNode.id, changes);
+
+  return (
+    <div className="side-panel simulation-panel">
+      <div className="side-panel-header">
+        Simulation
+        <button className="side-panel-close" onClick={onClose}>✕</button>
+      </div>
+      <div className="modal-form inspector-form">
+        <label>
+          Average event size (KB), to convert GB/h
+          <input
+            type="number"
+            min="0.001"
+            step="any"
+            value={options.eventKb}
+            onChange={(e) => Number(e.target.value) > 0 && onOptionsChange({ ...options, eventKb: Number(e.target.value) })}
+          />
+        </label>
+      </div>
+
+      {selectedNode ? (
+        <div className="sim-section">
+          <strong>{selectedNode.data.label}</strong>
+          {stats && (
+            <div className="modal-hint">
+              Load {formatRate(stats.load)}
+              {stats.capacity ? `, ${formatUtilisation(stats.utilisation)} of ${formatRate(stats.capacity)}` : ''}
+            </div>
+          )}
+          <div className="modal-form inspector-form">
+            <RateField
+              label="Input volume (sources)"
+              sizing={sizing}
+              valueKey="inputRate"
+              unitKey="inputUnit"
+              placeholder="none"
+              onChange={change}
+            />
+            <RateField
+              label="Capacity"
+              sizing={sizing}
+              valueKey="capacity"
+              unitKey="capacityUnit"
+              placeholder="unknown"
+              onChange={change}
+            />
+            <NumberField label="Processing latency (ms)" sizing={sizing} valueKey="latencyMs" placeholder="0" onChange={change} />
+            <NumberField label="Batch interval (s)" sizing={sizing} valueKey="batchInterval" placeholder="streaming" onChange={change} />
+          </div>
+        </div>
+      ) : (
+        <div className="side-panel-empty">
+          Select a node to give it a capacity and latency; give the sources an input volume.
+        </div>
+      )}
+
+      <div className="sim-section">
+        <strong>Bottleneck</strong>
+        {bottleneck ? (
+          <div className="lint-item clickable" onClick={() => onSelect([result.bottleneck])}>
+            {labelOf(result.bottleneck)}: {formatUtilisation(bottleneck.utilisation)} of its capacity
+          </div>
+        ) : (
+          <div className="modal-hint">No node with both a load and a capacity.</div>
+        )}
+      </div>
+
+      <div className="sim-section">
+        <strong>End-to-end latency</strong>
+        {!result.paths.length && <div className="modal-hint">No source → sink paths.</div>}
+        <ul className="lint-list">
+          {result.paths.map((p) => (
+            <li
+              key={p.nodeIds.join('>')}
+              className={`lint-item clickable ${p.latencyMs === Infinity ? 'lint-error' : ''}`}
+              onClick={() => onSelect(p.nodeIds)}
+            >
+              <span className="sim-path">{p.nodeIds.map(labelOf).join(' → ')}</span>
+              <span className="sim-latency">{formatLatency(p.latencyMs)}</span>
+            </li>
+          ))}
+        </ul>
+        {result.truncated && <div className="modal-hint">Only the first {result.paths.length} paths are listed.</div>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+// components/ToolInspector.jsx
+import React from 'react';
+import { HOSTING, PROCESSING } from '../utils/knowledge.js';
+
+function List({ title, items }) {
+  if (!items?.length) return null;
+  return (
+    <div className="kb-section">
+      <div className="kb-title">{title}</div>
+      <ul>
+        {items.map((item) => <li key={item}>{item}</li>)}
+      </ul>
+    </div>
+  );
+}
+
+// What the selected node's tool is good at, and the tools that could
+// replace it on other platforms. `onSwap` is left out when read-only.
+export default function ToolInspector({ node, tool, entry, alternatives, onSwap, onClose }) {
+  return (
+    <div className="side-panel side-panel-left tool-inspector">
+      <div className="side-panel-header">
+        {node.data.label}
+        <button className="side-panel-close" onClick={onClose}>✕</button>
+      </div>
+      {!tool ? (
+        <div className="side-panel-empty">Custom component: it is not a tool from the catalog.</div>
+      ) : (
+        <>
+          <div className="kb-section modal-hint">
+            {tool.name} · {tool.platform} · {tool.category} / {tool.type}
+          </div>
+          {entry ? (
+            <>
+              <div className="kb-section">
+                <p>{entry.summary}</p>
+                <div className="kb-tags">
+                  <span className="chip">{PROCESSING[entry.processing]}</span>
+                  <span className="chip">{HOSTING[entry.hosting]}</span>
+                </div>
+              </div>
+              <div className="kb-section">
+                <div className="kb-title">Typical use</div>
+                {entry.typicalUse}
+              </div>
+              <List title="Strengths" items={entry.strengths} />
+              <List title="Limits" items={entry.limits} />
+              {entry.docs && (
+                <div className="kb-section">
+                  <a href={entry.docs} target="_blank" rel="noopener noreferrer">Documentation ↗</a>
+                </div>
+              )}
+            </>
+          ) : (
+            <div className="side-panel-empty">
+              No knowledge base entry for {tool.name} yet; add one to <code>public/toolKnowledge.json</code>.
+            </div>
+          )}
+          <div className="kb-section">
+            <div className="kb-title">Alternatives</div>
+            {!alternatives.length && <div className="modal-hint">No tool of this kind on other platforms.</div>}
+            {alternatives.map(({ platform, tools }) => (
+              <div key={platform} className="kb-alternatives">
+                <span className="kb-platform">{platform}</span>
+                {tools.map((t) => (
+                  <span key={t.id} className="kb-alternative">
+                    {t.name}
+                    {t.closest && <span className="modal-hint"> (closest)</span>}
+                    {onSwap && (
+                      <button title={`Replace ${tool.name} with ${t.name}, keeping its connections`} onClick={() => onSwap(t)}>
+                        Swap
+                      </button>
+                    )}
+                  </span>
+                ))}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
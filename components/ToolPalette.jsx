@@ -0,0 +1,196 @@
+// components/ToolPalette.jsx
+import React, { useMemo, useState } from 'react';
+import { CATEGORIES } from '../utils/catalog.js';
+import { matchTool } from '../utils/fuzzy.js';
+import { GROUP_KINDS } from '../utils/groups.js';
+import Chips from './Chips.jsx';
+
+// Wraps the characters at `indices` in <mark>, merging consecutive runs.
+function Highlight({ text, indices = [] }) {
+  if (!indices.length) return text;
+  const hits = new Set(indices);
+  const parts = [];
+  let start = 0;
+  for (let i = 1; i <= text.length; i++) {
+    if (i === text.length || hits.has(i) !== hits.has(start)) {
+      const chunk = text.slice(start, i);
+      parts.push(hits.has(start) ? <mark key={start}>{chunk}</mark> : chunk);
+      start = i;
+    }
+  }
+  return parts;
+}
+
+// The best score in a branch of search results: `{ [key]: items or branch }`.
+const bestScore = (branch) =>
+  Math.max(...Object.values(branch).map((v) => (Array.isArray(v) ? v[0].match.score : bestScore(v))));
+
+// Branches with the best hits first, as the tree is rendered in key order.
+const byBestScore = (branch) =>
+  Object.fromEntries(Object.entries(branch).sort(([, a], [, b]) => bestScore(b) - bestScore(a)));
+
+function ToolItem({ label, toolId, isCustom = false, match }) {
+  return (
+    <div
+      className="tool"
+      draggable
+      onDragStart={(e) =>
+        e.dataTransfer.setData('application/reactflow', JSON.stringify({ label, toolId, isCustom }))
+      }
+    >
+      <Highlight text={label} indices={match?.field === 'name' ? match.indices : []} />
+      {match?.field === 'alias' && (
+        <span className="tool-alias">
+          {' '}(<Highlight text={match.text} indices={match.indices} />)
+        </span>
+      )}
+    </div>
+  );
+}
+
+function GroupItem({ kind, label }) {
+  return (
+    <div
+      className="tool"
+      draggable
+      onDragStart={(e) =>
+        e.dataTransfer.setData('application/reactflow', JSON.stringify({ label, group: kind }))
+      }
+    >
+      ▭ {label}
+    </div>
+  );
+}
+
+/**
+ * Sidebar tool tree (platform → category → type) with fuzzy search over tool
+ * names and aliases and platform/category filter chips. While a search is
+ * active every branch containing a hit is shown expanded, best matches first.
+ */
+export default function ToolPalette({ groupedTools, collapsed, onToggle, onAddLanes }) {
+  const [query, setQuery] = useState('');
+  const [platforms, setPlatforms] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const searching = query.trim() !== '';
+
+  const visible = useMemo(() => {
+    const result = {};
+    Object.entries(groupedTools).forEach(([platform, cats]) => {
+      if (platforms.length && !platforms.includes(platform)) return;
+      const shownCats = {};
+      Object.entries(cats).forEach(([category, types]) => {
+        if (categories.length && !categories.includes(category)) return;
+        const shownTypes = {};
+        Object.entries(types).forEach(([type, tools]) => {
+          const items = tools
+            .map((tool) => ({ tool, match: searching ? matchTool(query, tool) : null }))
+            .filter((item) => !searching || item.match);
+          if (searching) items.sort((a, b) => b.match.score - a.match.score);
+          if (items.length) shownTypes[type] = items;
+        });
+        if (Object.keys(shownTypes).length) shownCats[category] = searching ? byBestScore(shownTypes) : shownTypes;
+      });
+      if (!searching) result[platform] = shownCats;
+      else if (Object.keys(shownCats).length) result[platform] = byBestScore(shownCats);
+    });
+    return searching ? byBestScore(result) : result;
+  }, [groupedTools, platforms, categories, query, searching]);
+
+  const isOpen = (key) => searching || !collapsed[key];
+  const hitCount = Object.values(visible).reduce(
+    (n, cats) => n + Object.values(cats).reduce(
+      (m, types) => m + Object.values(types).reduce((k, items) => k + items.length, 0), 0), 0);
+
+  return (
+    <>
+      <div className="tools-header">Tools</div>
+      <div className="tools-filters">
+        <input
+          className="tools-search"
+          type="search"
+          placeholder="Search tools…"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => e.key === 'Escape' && setQuery('')}
+        />
+        <Chips options={Object.keys(groupedTools)} selected={platforms} onChange={setPlatforms} />
+        <Chips options={CATEGORIES} selected={categories} onChange={setCategories} />
+      </div>
+      <div className="tools-content">
+        {!searching && (
+          <div className="tools-category">
+            <div className="tools-category-header tools-level-1" onClick={() => onToggle('containers')}>
+              Containers{' '}
+              <span className="toggle-indicator">{isOpen('containers') ? '–' : '+'}</span>
+            </div>
+            <div className={`tools-items ${isOpen('containers') ? 'expanded' : ''}`}>
+              <div className="tools-groups">
+                {Object.entries(GROUP_KINDS).map(([kind, { label }]) => (
+                  <GroupItem key={kind} kind={kind} label={label} />
+                ))}
+              </div>
+              <div className="tools-footer" style={{ padding: '0 8px 8px' }}>
+                <button className="tools-lanes-btn" onClick={onAddLanes} disabled={!onAddLanes}>Add stage swimlanes</button>
+              </div>
+            </div>
+          </div>
+        )}
+        {searching && hitCount === 0 && <div className="tools-empty">No tools match “{query}”.</div>}
+        {Object.entries(visible).map(([platform, cats]) => {
+          const pKey = `plat|${platform}`;
+          return (
+            <div key={platform} className="tools-category">
+              <div
+                className="tools-category-header tools-level-1"
+                onClick={() => onToggle(pKey)}
+              >
+                {platform}{' '}
+                <span className="toggle-indicator">{isOpen(pKey) ? '–' : '+'}</span>
+              </div>
+              <div className={`tools-items ${isOpen(pKey) ? 'expanded' : ''}`}>
+                {Object.entries(cats).map(([category, types]) => {
+                  const cKey = `cat|${platform}|${category}`;
+                  return (
+                    <div key={category}>
+                      <div
+                        className="tools-category-header tools-level-2"
+                        onClick={() => onToggle(cKey)}
+                      >
+                        {category}{' '}
+                        <span className="toggle-indicator">{isOpen(cKey) ? '–' : '+'}</span>
+                      </div>
+                      <div className={`tools-items ${isOpen(cKey) ? 'expanded' : ''}`}>
+                        {Object.entries(types).map(([type, items]) => {
+                          const tKey = `type|${platform}|${category}|${type}`;
+                          return (
+                            <React.Fragment key={type}>
+                              <div
+                                className="tools-category-header tools-level-3"
+                                onClick={() => onToggle(tKey)}
+                              >
+                                {type}{' '}
+                                <span className="toggle-indicator">{isOpen(tKey) ? '–' : '+'}</span>
+                              </div>
+                              <div className={`tools-items ${isOpen(tKey) ? 'expanded' : ''}`}>
+                                {items.map(({ tool, match }) => (
+                                  <ToolItem key={tool.id} label={tool.name} toolId={tool.id} match={match} />
+                                ))}
+                              </div>
+                            </React.Fragment>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  );
+                })}
+                <div className="tools-footer" style={{ padding: '8px' }}>
+                  <ToolItem label="➕ Custom Element" isCustom={true} />
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,71 @@
+// components/TranslateModal.jsx
+import React, { useMemo, useState } from 'react';
+import { planTranslation } from '../utils/translate.js';
+
+const STATUS_TEXT = {
+  custom: 'Custom – kept',
+  same: 'Already on platform',
+  mapped: 'Mapped',
+  ambiguous: 'Choose a tool',
+  unmapped: 'No equivalent – choose or keep',
+};
+
+export default function TranslateModal({ nodes, edges, catalog, onApply, onClose }) {
+  const [platform, setPlatform] = useState(catalog.platforms[0]);
+  const [choices, setChoices] = useState({});
+  const plan = useMemo(() => planTranslation({ nodes, edges }, catalog, platform), [nodes, edges, catalog, platform]);
+
+  const changePlatform = (p) => {
+    setPlatform(p);
+    setChoices({});
+  };
+  const choose = (nodeId, value) => setChoices((c) => ({ ...c, [nodeId]: value || null }));
+  const open = plan.filter((p) => ['ambiguous', 'unmapped'].includes(p.status) && !choices[p.nodeId]);
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+        <h3>Convert to…</h3>
+        <div className="modal-form modal-form-inline">
+          <select value={platform} onChange={(e) => changePlatform(e.target.value)}>
+            {catalog.platforms.map((p) => (
+              <option key={p} value={p}>{p}</option>
+            ))}
+          </select>
+          <span className="modal-hint">
+            {open.length ? `${open.length} node(s) need a manual choice, or will be kept as they are.` : 'All nodes mapped.'}
+          </span>
+        </div>
+        <div className="modal-list">
+          <table className="translate-table">
+            <tbody>
+              {plan.map((p) => (
+                <tr key={p.nodeId} className={`translate-${p.status}`}>
+                  <td>{p.label}</td>
+                  <td>→</td>
+                  <td>
+                    {p.status === 'ambiguous' || p.status === 'unmapped' ? (
+                      <select value={choices[p.nodeId] || ''} onChange={(e) => choose(p.nodeId, e.target.value)}>
+                        <option value="">Keep “{p.label}”</option>
+                        {p.candidates.map((t) => (
+                          <option key={t.id} value={t.id}>{t.name} ({t.type})</option>
+                        ))}
+                      </select>
+                    ) : (
+                      p.to?.name || p.label
+                    )}
+                  </td>
+                  <td className="translate-status">{STATUS_TEXT[p.status]}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="modal-actions">
+          <button onClick={onClose}>Cancel</button>
+          <button onClick={() => onApply(plan, choices)}>Convert</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+// components/WalkthroughPanel.jsx
+import React from 'react';
+
+// Authoring of the design's walkthrough steps. New steps and "Use selection"
+// take the nodes and edges selected on the canvas. `onPresent` is left out
+// when there is nothing to present.
+export default function WalkthroughPanel({
+  steps,
+  selectionCount,
+  onAdd,
+  onChange,
+  onUseSelection,
+  onShow,
+  onMove,
+  onDelete,
+  onStartFromDefault,
+  onPresent,
+  onClose,
+}) {
+  return (
+    <div className="side-panel walkthrough-panel">
+      <div className="side-panel-header">
+        Walkthrough
+        <button className="side-panel-close" onClick={onClose}>✕</button>
+      </div>
+      <div className="walkthrough-actions">
+        <button onClick={onAdd} disabled={!selectionCount} title="A step focusing the selected nodes and edges">
+          + Step from selection
+        </button>
+        <button onClick={onPresent} disabled={!onPresent}>▶ Present</button>
+      </div>
+      {!steps.length && (
+        <div className="side-panel-empty">
+          No steps yet: Present walks through the nodes in data-flow order.
+          <button className="walkthrough-default" onClick={onStartFromDefault}>Edit that walk as steps</button>
+        </div>
+      )}
+      <ol className="walkthrough-steps">
+        {steps.map((step, i) => (
+          <li key={i} className="walkthrough-step">
+            <div className="modal-form inspector-form">
+              <input
+                value={step.title}
+                placeholder={`Step ${i + 1}`}
+                onChange={(e) => onChange(i, { title: e.target.value })}
+              />
+              <textarea
+                rows={3}
+                value={step.narration}
+                placeholder="Narration"
+                onChange={(e) => onChange(i, { narration: e.target.value })}
+              />
+            </div>
+            <div className="walkthrough-step-footer">
+              <span className="modal-hint">
+                {step.nodeIds.length || step.edgeIds.length
+                  ? `${step.nodeIds.length} node(s), ${step.edgeIds.length} flow(s)`
+                  : 'Whole design'}
+              </span>
+              <button onClick={() => onShow(i)} title="Select this step's nodes and edges on the canvas">Show</button>
+              <button onClick={() => onUseSelection(i)} title="Focus the selected nodes and edges instead">
+                Use selection
+              </button>
+              <button onClick={() => onMove(i, -1)} disabled={i === 0} title="Move up">↑</button>
+              <button onClick={() => onMove(i, 1)} disabled={i === steps.length - 1} title="Move down">↓</button>
+              <button onClick={() => onDelete(i)} title="Delete step">✕</button>
+            </div>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
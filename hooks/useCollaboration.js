@@ -0,0 +1,211 @@
+// hooks/useCollaboration.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { serializeDiagram } from '../utils/diagram.js';
+import { sortNodes } from '../utils/groups.js';
+import { applyOps, colorFor, createDoc, localOps, materialize } from '../utils/collab.js';
+
+const EMPTY = { nodes: [], edges: [] };
+const FLUSH_MS = 50;
+const RETRY_MS = [500, 1000, 2000, 5000];
+// React Flow state that stays with each browser.
+const LOCAL_NODE_FIELDS = ['selected', 'dragging', 'width', 'height'];
+
+const pick = (obj, keys) => Object.fromEntries(keys.filter((k) => k in obj).map((k) => [k, obj[k]]));
+const selectedIds = (nodes) => nodes.filter((n) => n.selected).map((n) => n.id);
+
+/**
+ * Opt-in live session through the relay in server/relay.js. While joined,
+ * local changes to the canvas go out as operations (utils/collab.js) and
+ * remote ones are merged in; `decorate` re-attaches the node callbacks.
+ * Changes made while the connection is down are sent when it comes back.
+ * Before a room's existing diagram replaces a non-empty canvas,
+ * `onAdoptRoom(room)` is called to put the canvas aside.
+ *
+ * Returns `{ status, session, peers, join, leave, moveCursor }`, where
+ * `status` is 'off', 'connecting', 'online' or 'offline'.
+ */
+export default function useCollaboration({ nodes, edges, setNodes, setEdges, decorate, onAdoptRoom }) {
+  const [session, setSession] = useState(null);
+  const [status, setStatus] = useState('off');
+  const [peers, setPeers] = useState({});
+  const self = useRef(null);
+  if (!self.current) {
+    const id = `c_${Math.random().toString(36).slice(2, 10)}`;
+    self.current = { id, color: colorFor(id) };
+  }
+  const latest = useRef({ nodes, edges });
+  latest.current = { nodes, edges };
+  const decorateRef = useRef(decorate);
+  decorateRef.current = decorate;
+  const onAdoptRoomRef = useRef(onAdoptRoom);
+  onAdoptRoomRef.current = onAdoptRoom;
+  const conn = useRef(null);
+
+  const send = (message) => {
+    const ws = conn.current?.ws;
+    if (ws?.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+  };
+
+  // Sends what is queued; batches stay unacknowledged until the relay says so.
+  const flush = () => {
+    const c = conn.current;
+    c.timer = null;
+    if (!c.outbox.length || c.ws?.readyState !== WebSocket.OPEN) return;
+    send({ t: 'ops', ops: c.outbox });
+    c.unacked.push(c.outbox);
+    c.outbox = [];
+  };
+
+  const captureLocal = () => {
+    const c = conn.current;
+    if (!c?.doc) return;
+    const next = serializeDiagram(latest.current);
+    const ops = localOps(c.doc, c.synced, next);
+    c.synced = next;
+    if (!ops.length) return;
+    c.outbox.push(...ops);
+    if (!c.timer) c.timer = setTimeout(flush, FLUSH_MS);
+  };
+
+  const showDoc = () => {
+    const c = conn.current;
+    const { nodes: docNodes, edges: docEdges } = materialize(c.doc);
+    const current = new Map(latest.current.nodes.map((n) => [n.id, n]));
+    const selectedEdges = new Set(latest.current.edges.filter((e) => e.selected).map((e) => e.id));
+    const nextNodes = sortNodes(
+      docNodes.map((n) => decorateRef.current({ ...n, ...pick(current.get(n.id) || {}, LOCAL_NODE_FIELDS) }))
+    );
+    const nextEdges = docEdges.map((e) => (selectedEdges.has(e.id) ? { ...e, selected: true } : e));
+    latest.current = { nodes: nextNodes, edges: nextEdges };
+    c.synced = serializeDiagram(latest.current);
+    setNodes(nextNodes);
+    setEdges(nextEdges);
+  };
+
+  const applyRemote = (ops) => {
+    captureLocal();
+    if (applyOps(conn.current.doc, ops)) showDoc();
+  };
+
+  const handleMessage = (msg) => {
+    const c = conn.current;
+    if (msg.t === 'sync') {
+      c.seq = msg.seq;
+      if (!c.joined && !msg.ops.length) {
+        // A new room starts from this canvas.
+        captureLocal();
+      } else if (!c.joined) {
+        if (latest.current.nodes.length) onAdoptRoomRef.current?.(c.room);
+        applyOps(c.doc, msg.ops);
+        showDoc();
+      } else {
+        applyRemote(msg.ops);
+      }
+      c.joined = true;
+      c.outbox = [...c.unacked.flat(), ...c.outbox];
+      c.unacked = [];
+      flush();
+      setStatus('online');
+    } else if (msg.t === 'ops') {
+      c.seq = Math.max(c.seq, msg.seq);
+      applyRemote(msg.ops);
+    } else if (msg.t === 'ack') {
+      c.seq = Math.max(c.seq, msg.seq);
+      c.unacked.shift();
+    } else if (msg.t === 'peers') {
+      setPeers(Object.fromEntries(msg.peers.map((p) => [p.id, p])));
+    } else if (msg.t === 'presence') {
+      setPeers((p) => ({ ...p, [msg.peer.id]: msg.peer }));
+    } else if (msg.t === 'leave') {
+      setPeers(({ [msg.id]: _, ...rest }) => rest);
+    }
+  };
+
+  const connect = () => {
+    const c = conn.current;
+    setStatus(c.joined ? 'offline' : 'connecting');
+    const ws = new WebSocket(c.url);
+    c.ws = ws;
+    ws.onopen = () => {
+      c.attempt = 0;
+      send({ t: 'hello', room: c.room, since: c.seq, peer: { ...self.current, name: c.name } });
+      send({ t: 'presence', cursor: null, selection: selectedIds(latest.current.nodes) });
+    };
+    ws.onmessage = (e) => {
+      if (conn.current !== c) return;
+      try {
+        handleMessage(JSON.parse(e.data));
+      } catch (err) {
+        console.error('Collaboration message failed:', err);
+      }
+    };
+    ws.onclose = () => {
+      if (conn.current !== c) return;
+      c.ws = null;
+      setPeers({});
+      setStatus('offline');
+      c.retry = setTimeout(connect, RETRY_MS[Math.min(c.attempt++, RETRY_MS.length - 1)]);
+    };
+  };
+
+  const leave = useCallback(() => {
+    const c = conn.current;
+    if (!c) return;
+    conn.current = null;
+    clearTimeout(c.retry);
+    clearTimeout(c.timer);
+    c.ws?.close();
+    setSession(null);
+    setStatus('off');
+    setPeers({});
+  }, []);
+
+  // Throws when `url` is not a WebSocket URL.
+  const join = useCallback(({ url, room, name }) => {
+    if (!/^wss?:\/\//i.test(url)) throw new Error(`"${url}" is not a relay address: it must start with ws:// or wss://.`);
+    leave();
+    conn.current = {
+      url, room, name,
+      doc: createDoc(self.current.id),
+      synced: EMPTY,
+      outbox: [],
+      unacked: [],
+      seq: 0,
+      joined: false,
+      attempt: 0,
+    };
+    try {
+      connect();
+    } catch (err) {
+      leave();
+      throw Object.assign(new Error(`Cannot connect to "${url}": ${err.message}`), { cause: err });
+    }
+    setSession({ url, room, name });
+  }, [leave]);
+
+  useEffect(() => leave, [leave]);
+
+  useEffect(() => {
+    if (!conn.current?.joined) return;
+    captureLocal();
+    const selection = selectedIds(nodes);
+    if (selection.join() !== conn.current.selection?.join()) {
+      conn.current.selection = selection;
+      send({ t: 'presence', cursor: conn.current.cursor ?? null, selection });
+    }
+  }, [nodes, edges]);
+
+  // `position` in flow coordinates, or null when the pointer left the canvas.
+  const moveCursor = useCallback((position) => {
+    const c = conn.current;
+    if (!c?.joined) return;
+    c.cursor = position;
+    if (c.cursorTimer) return;
+    c.cursorTimer = setTimeout(() => {
+      c.cursorTimer = null;
+      send({ t: 'presence', cursor: c.cursor, selection: c.selection ?? selectedIds(latest.current.nodes) });
+    }, FLUSH_MS);
+  }, []);
+
+  return { status, session, peers: Object.values(peers), self: self.current, join, leave, moveCursor };
+}
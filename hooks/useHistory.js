@@ -0,0 +1,65 @@
+// hooks/useHistory.js
+import { useCallback, useRef, useState } from 'react';
+
+/**
+ * Undo/redo stack for the canvas and its walkthrough. Call `record()` right
+ * before a change to snapshot the current `{ nodes, edges, steps }`. Calls
+ * sharing a `groupKey` that follow each other within `groupMs` collapse
+ * into one entry, so typing a label or a description undoes as a whole
+ * rather than per keystroke.
+ */
+export default function useHistory(
+  { nodes, edges, steps, setNodes, setEdges, setSteps },
+  { limit = 100, groupMs = 1000 } = {}
+) {
+  const past = useRef([]);
+  const future = useRef([]);
+  const last = useRef({ key: null, time: 0 });
+  const current = useRef({ nodes, edges, steps });
+  current.current = { nodes, edges, steps };
+  const [, setVersion] = useState(0);
+  const bump = () => setVersion((v) => v + 1);
+
+  const record = useCallback((groupKey = null, within = groupMs) => {
+    const now = Date.now();
+    if (groupKey && last.current.key === groupKey && now - last.current.time < within) {
+      last.current.time = now;
+      return;
+    }
+    past.current = [...past.current.slice(1 - limit), current.current];
+    future.current = [];
+    last.current = { key: groupKey, time: now };
+    bump();
+  }, [limit, groupMs]);
+
+  const restore = (from, to) => {
+    if (!from.current.length) return;
+    const snapshot = from.current[from.current.length - 1];
+    from.current = from.current.slice(0, -1);
+    to.current = [...to.current, current.current];
+    last.current = { key: null, time: 0 };
+    setNodes(snapshot.nodes);
+    setEdges(snapshot.edges);
+    setSteps(snapshot.steps);
+    bump();
+  };
+
+  const undo = useCallback(() => restore(past, future), [setNodes, setEdges, setSteps]);
+  const redo = useCallback(() => restore(future, past), [setNodes, setEdges, setSteps]);
+
+  const reset = useCallback(() => {
+    past.current = [];
+    future.current = [];
+    last.current = { key: null, time: 0 };
+    bump();
+  }, []);
+
+  return {
+    record,
+    undo,
+    redo,
+    reset,
+    canUndo: past.current.length > 0,
+    canRedo: future.current.length > 0,
+  };
+}
@@ -0,0 +1,20 @@
+// scripts/build-catalog.js
+// Builds public/tools.json from the CSV export(s) of the tools guide; by
+// default both exports, tools.csv and tools2.csv. A tool listed in both is
+// kept once.
+//
+//   node scripts/build-catalog.js [input.csv ...] [--out public/tools.json]
+import { readFileSync, writeFileSync } from 'node:fs';
+import { buildCatalog, mergeTools } from '../utils/catalog.js';
+
+const args = process.argv.slice(2);
+const outIndex = args.indexOf('--out');
+const out = outIndex === -1 ? 'public/tools.json' : args[outIndex + 1];
+const inputs = args.filter((_, i) => outIndex === -1 || (i !== outIndex && i !== outIndex + 1));
+if (!inputs.length) inputs.push('tools.csv', 'tools2.csv');
+
+const catalogs = inputs.map((file) => buildCatalog(readFileSync(file, 'utf8')));
+const catalog = { ...catalogs[0], tools: mergeTools(catalogs.flatMap((c) => c.tools)) };
+
+writeFileSync(out, `${JSON.stringify(catalog, null, 2)}\n`);
+console.log(`Wrote ${catalog.tools.length} tools to ${out}`);
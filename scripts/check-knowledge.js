@@ -0,0 +1,14 @@
+// scripts/check-knowledge.js
+// Checks public/toolKnowledge.json against the tool catalog: every tool
+// needs an entry and every entry needs all its fields.
+//
+//   node scripts/check-knowledge.js
+import { readFileSync } from 'node:fs';
+import { checkKnowledge } from '../utils/knowledge.js';
+
+const read = (file) => JSON.parse(readFileSync(`public/${file}`, 'utf8'));
+
+const problems = checkKnowledge(read('toolKnowledge.json'), read('tools.json'));
+problems.forEach((p) => console.error(p));
+console.log(problems.length ? `${problems.length} problem(s) found.` : 'Knowledge base is complete.');
+process.exitCode = problems.length ? 1 : 0;
@@ -0,0 +1,29 @@
+// scripts/migrate-designs.js
+// Rewrites diagram files in the current format version, dropping runtime
+// fields. Files that do not validate are reported and left untouched.
+// Without arguments it migrates the template and the bundled designs.
+//
+//   node scripts/migrate-designs.js [file.json ...]
+import { readFileSync, writeFileSync } from 'node:fs';
+import { readDiagram, toDiagramFile } from '../utils/schema.js';
+
+// The template plus every design in the gallery index.
+const defaultFiles = () => [
+  'public/architecture-template.json',
+  ...JSON.parse(readFileSync('public/designs/index.json', 'utf8')).map((e) => `public/designs/${e.file}`),
+];
+
+const files = process.argv.slice(2);
+let failed = false;
+(files.length ? files : defaultFiles()).forEach((file) => {
+  try {
+    const diagram = readDiagram(readFileSync(file, 'utf8'));
+    writeFileSync(file, `${JSON.stringify(toDiagramFile(diagram), null, 2)}\n`);
+    console.log(`Migrated ${file}`);
+  } catch (err) {
+    failed = true;
+    console.error(`${file}: ${err.message}`);
+    (err.problems || []).forEach((p) => console.error(`  ${p.path} ${p.message}`));
+  }
+});
+if (failed) process.exitCode = 1;
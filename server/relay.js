@@ -0,0 +1,112 @@
+// server/relay.js
+// Self-hostable relay for collaborative sessions. It keeps, per room, the
+// newest operation for every register (see utils/collab.js) and forwards
+// operations and presence between the browsers in the room. Rooms live in
+// memory: they survive reconnects, not a restart of the relay.
+//
+//   node server/relay.js [--port 8787]
+//
+// Messages (JSON over WebSocket):
+//   → { t: 'hello', room, since, peer: { id, name, color } }
+//   ← { t: 'sync', ops, seq }            ops newer than `since`
+//   ← { t: 'peers', peers }              presence of everyone else in the room
+//   → { t: 'ops', ops }                  ← { t: 'ack', seq } to the sender,
+//                                        ← { t: 'ops', ops, seq } to the others
+//   → { t: 'presence', cursor, selection }   ← { t: 'presence', peer } to the others
+//                                        ← { t: 'leave', id } when a peer disconnects
+import { WebSocketServer } from 'ws';
+import { pathToFileURL } from 'node:url';
+import { compareClocks, opKey } from '../utils/collab.js';
+
+export const DEFAULT_PORT = 8787;
+
+function createRoom() {
+  return { seq: 0, registers: new Map(), clients: new Set() };
+}
+
+// Stores `ops`, keeping the newest per register; returns the room's new seq.
+function store(room, ops) {
+  room.seq += 1;
+  ops.forEach((op) => {
+    const key = opKey(op);
+    const current = room.registers.get(key);
+    if (!current || compareClocks(op.clock, current.op.clock) > 0) room.registers.set(key, { op, seq: room.seq });
+  });
+  return room.seq;
+}
+
+// Clocks are compared and counted on by every client (utils/collab.js).
+const isClock = (clock) =>
+  clock !== null && typeof clock === 'object' && Number.isFinite(clock.c) && typeof clock.by === 'string';
+const isOp = (op) => op && (op.kind === 'node' || op.kind === 'edge') && typeof op.id === 'string' && isClock(op.clock);
+
+const send = (ws, message) => ws.readyState === ws.OPEN && ws.send(JSON.stringify(message));
+
+/** Starts a relay; resolves to `{ port, close() }` once it is listening. */
+export function startRelay({ port = DEFAULT_PORT } = {}) {
+  const rooms = new Map();
+  const wss = new WebSocketServer({ port });
+
+  wss.on('connection', (ws) => {
+    let room = null;
+    let peer = null;
+    const others = () => [...room.clients].filter((c) => c !== ws);
+
+    ws.on('message', (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(raw);
+      } catch {
+        return;
+      }
+      if (msg.t === 'hello' && !room && typeof msg.room === 'string' && msg.peer?.id) {
+        if (!rooms.has(msg.room)) rooms.set(msg.room, createRoom());
+        room = rooms.get(msg.room);
+        peer = { id: String(msg.peer.id), name: String(msg.peer.name || 'Guest'), color: msg.peer.color };
+        ws.peer = peer;
+        const since = Number(msg.since) || 0;
+        const ops = [...room.registers.values()].filter((r) => r.seq > since).map((r) => r.op);
+        send(ws, { t: 'sync', ops, seq: room.seq });
+        send(ws, { t: 'peers', peers: others().map((c) => c.peer) });
+        room.clients.add(ws);
+        others().forEach((c) => send(c, { t: 'presence', peer }));
+      } else if (!room) {
+        return;
+      } else if (msg.t === 'ops' && Array.isArray(msg.ops)) {
+        const ops = msg.ops.filter(isOp);
+        const seq = store(room, ops);
+        send(ws, { t: 'ack', seq });
+        others().forEach((c) => send(c, { t: 'ops', ops, seq }));
+      } else if (msg.t === 'presence') {
+        Object.assign(peer, { cursor: msg.cursor ?? null, selection: msg.selection ?? [] });
+        others().forEach((c) => send(c, { t: 'presence', peer }));
+      }
+    });
+
+    ws.on('close', () => {
+      if (!room) return;
+      room.clients.delete(ws);
+      room.clients.forEach((c) => send(c, { t: 'leave', id: peer.id }));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    wss.once('error', reject);
+    wss.once('listening', () =>
+      resolve({
+        port: wss.address().port,
+        close: () => new Promise((done) => {
+          wss.clients.forEach((c) => c.terminate());
+          wss.close(done);
+        }),
+      })
+    );
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const port = Number(portIndex === -1 ? process.env.PORT || DEFAULT_PORT : args[portIndex + 1]);
+  startRelay({ port }).then(({ port: actual }) => console.log(`Relay listening on ws://localhost:${actual}`));
+}
@@ -0,0 +1,67 @@
+// test/catalog.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { buildCatalog, mergeTools, splitToolCell } from '../utils/catalog.js';
+
+test('cells split into tools, keeping known multi-word names together', () => {
+  assert.deepEqual(splitToolCell('Kinesis  Kinesis Firehose SQS'), ['Kinesis', 'Kinesis Firehose', 'SQS']);
+  assert.deepEqual(splitToolCell('AWS Glue Data Catalog Redshift Spectrum'), ['AWS Glue Data Catalog', 'Redshift Spectrum']);
+  assert.deepEqual(splitToolCell('apache kafka RabbitMQ'), ['Apache Kafka', 'RabbitMQ']);
+});
+
+test('parentheses qualify a tool or mark an optional one; repeats are dropped', () => {
+  assert.deepEqual(splitToolCell('Apache Kafka RabbitMQ  Redis (Pub/Sub)'), ['Apache Kafka', 'RabbitMQ', 'Redis']);
+  assert.deepEqual(splitToolCell('(PowerBI)'), ['PowerBI']);
+  assert.deepEqual(splitToolCell('Fivetran Streamsets Talend Streamsets'), ['Fivetran', 'Streamsets', 'Talend']);
+  assert.deepEqual(splitToolCell('  '), []);
+  assert.deepEqual(splitToolCell(undefined), []);
+});
+
+const CSV = [
+  '"Data Engineering Tools Guide"',
+  ',,"AWS","Azure","GCP","Open Source","Vendor"',
+  '"Connect","APIs","API Gateway","API Management",,,',
+  '"Buffer","Message Queues",,,,"Apache Kafka",',
+  ',"Scheduling",,,,"Perfect",',
+  '"Bonus","Notebooks",,,,"Jupyter",',
+].join('\n');
+
+test('the catalog has one record per tool, by platform, stage and type', () => {
+  const { platforms, categories, tools } = buildCatalog(CSV);
+  assert.deepEqual(platforms, ['AWS', 'Azure', 'GCP', 'Open Source', 'Vendor']);
+  assert.deepEqual(categories, ['Connect', 'Buffer', 'Process', 'Store', 'Visualize']);
+  assert.deepEqual(tools.find((t) => t.name === 'API Gateway'), {
+    id: 'aws.apis.api-gateway',
+    name: 'API Gateway',
+    platform: 'AWS',
+    category: 'Connect',
+    type: 'APIs',
+    aliases: ['Amazon API Gateway'],
+    equivalenceGroup: 'api',
+  });
+  // A row without a stage continues the one above; "Bonus" is not a stage.
+  assert.equal(tools.find((t) => t.name === 'Prefect').category, 'Buffer');
+  assert.equal(tools.find((t) => t.name === 'Jupyter'), undefined);
+  // Tools the designs need that the guide lacks.
+  assert.ok(tools.some((t) => t.name === 'Glue Crawler'));
+});
+
+test('renamed tools keep the spelling of the guide as an alias, next to the known aliases', () => {
+  const { tools } = buildCatalog(CSV);
+  assert.deepEqual(tools.find((t) => t.name === 'Prefect').aliases, ['Perfect']);
+  assert.deepEqual(tools.find((t) => t.name === 'Apache Kafka').aliases, ['Kafka']);
+  assert.equal(tools.find((t) => t.name === 'API Management').aliases.includes('API Management'), false);
+});
+
+test('a CSV without the platform header row is rejected', () => {
+  assert.throws(() => buildCatalog('"Connect","APIs","API Gateway"'), /No platform header row/);
+});
+
+test('both exports of the guide give a catalog without split names', () => {
+  const tools = mergeTools(['tools.csv', 'tools2.csv'].flatMap((f) => buildCatalog(readFileSync(f, 'utf8')).tools));
+  const names = tools.map((t) => t.name);
+  ['API Gateway', 'AWS Glue Data Catalog', 'Redshift Spectrum', 'Kinesis Firehose'].forEach((n) => assert.ok(names.includes(n), n));
+  ['API', 'Gateway', 'Apache', 'Firehose'].forEach((n) => assert.ok(!names.includes(n), n));
+  assert.equal(new Set(tools.map((t) => t.id)).size, tools.length);
+});
@@ -0,0 +1,40 @@
+// test/diagram.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeDiagram } from '../utils/diagram.js';
+
+const node = (id, x, extra = {}) => ({ id, type: 'sideNode', position: { x, y: 0 }, data: { id, label: id }, ...extra });
+const edge = (source, target) => ({ id: `reactflow__edge-${source}-${target}`, source, target });
+
+test('merged nodes with taken ids get fresh ones, and their edges and members follow', () => {
+  const base = { nodes: [node('a', 0), node('b', 300)], edges: [edge('a', 'b')] };
+  const incoming = {
+    nodes: [node('a', 0, { type: 'groupNode' }), node('b', 20, { parentNode: 'a' }), node('c', 500)],
+    edges: [edge('b', 'c'), edge('a', 'c')],
+  };
+  let next = 0;
+  const merged = mergeDiagram(base, incoming, { makeId: () => ['b', 'n1', 'n2'][next++] });
+
+  assert.deepEqual(merged.addedIds, ['n1', 'n2', 'c']);
+  const added = merged.nodes.slice(2);
+  assert.deepEqual(added.map((n) => [n.id, n.data.id, n.parentNode]), [['n1', 'n1', undefined], ['n2', 'n2', 'n1'], ['c', 'c', undefined]]);
+  assert.deepEqual(merged.edges.slice(1).map((e) => [e.id, e.source, e.target]), [
+    ['reactflow__edge-n2-c', 'n2', 'c'],
+    ['reactflow__edge-n1-c', 'n1', 'c'],
+  ]);
+});
+
+test('merged top-level nodes go to the right of the base diagram; members keep their place', () => {
+  const base = { nodes: [node('a', 0), node('b', 300)], edges: [] };
+  const incoming = { nodes: [node('g', 50, { type: 'groupNode' }), node('m', 20, { parentNode: 'g' })], edges: [] };
+  const merged = mergeDiagram(base, incoming, { makeId: () => 'x' });
+  // b ends at 300 + 200 (default width), then the gap of 100.
+  assert.deepEqual(merged.nodes.slice(2).map((n) => n.position.x), [600, 20]);
+});
+
+test('merged edges whose id is taken get a fresh one', () => {
+  const base = { nodes: [node('a', 0), node('b', 300)], edges: [{ ...edge('a', 'b'), id: 'e1' }] };
+  const incoming = { nodes: [node('c', 0), node('d', 300)], edges: [{ ...edge('c', 'd'), id: 'e1' }] };
+  const merged = mergeDiagram(base, incoming, { makeId: () => 'x' });
+  assert.deepEqual(merged.edges.map((e) => e.id), ['e1', 'reactflow__edge-c-d-2']);
+});
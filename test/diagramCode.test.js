@@ -0,0 +1,36 @@
+// test/diagramCode.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMermaid } from '../utils/diagramCode.js';
+
+const labelsOf = (text) => parseMermaid(text).edges.map((e) => e.label);
+
+test('edge labels lose their quotes in both arrow forms', () => {
+  assert.deepEqual(labelsOf('flowchart LR\n  A -- "raw events" --> B\n  B -->|"hourly"| C\n  C -- plain --> D'), [
+    'raw events',
+    'hourly',
+    'plain',
+  ]);
+});
+
+test('edge labels with unbalanced quotes are rejected', () => {
+  assert.throws(() => parseMermaid('flowchart LR\n  A -- "raw --> B'), /Unbalanced quotes/);
+  assert.throws(() => parseMermaid('flowchart LR\n  A -->|"raw| B'), /Unbalanced quotes/);
+});
+
+test('ids may contain dashes between other characters', () => {
+  const graph = parseMermaid('flowchart LR\n  my-node --> A\n  A-->B');
+  assert.deepEqual(graph.nodes.map((n) => n.id), ['my-node', 'A', 'B']);
+  assert.deepEqual(graph.edges.map((e) => [e.source, e.target]), [['my-node', 'A'], ['A', 'B']]);
+});
+
+test('node labels with unbalanced quotes or no closing bracket are rejected', () => {
+  assert.throws(() => parseMermaid('flowchart LR\n  A["unterminated] --> B'), /Unbalanced quotes in the label of A/);
+  assert.throws(() => parseMermaid('flowchart LR\n  A[unterminated --> B'), /label of A is not closed/);
+});
+
+test('text left over on a line is rejected', () => {
+  assert.throws(() => parseMermaid('flowchart LR\n  A --> B C'), /Cannot read "C" on line 2/);
+  assert.throws(() => parseMermaid('flowchart LR\n  A -->'), /Cannot read "-->" on line 2/);
+  assert.throws(() => parseMermaid('flowchart LR\n  --> B'), /Cannot read "--> B" on line 2/);
+});
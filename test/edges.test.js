@@ -0,0 +1,19 @@
+// test/edges.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEdge } from '../utils/diagram.js';
+import { withEdgeMeta } from '../utils/edges.js';
+
+test('animation follows the flow mode, also when it is cleared', () => {
+  const edge = { id: 'e', source: 'a', target: 'b', animated: true };
+  const streaming = withEdgeMeta(edge, { flow: 'streaming' });
+  assert.equal(streaming.animated, true);
+  assert.equal(withEdgeMeta(streaming, { flow: 'batch' }).animated, false);
+  assert.equal(withEdgeMeta(streaming, { flow: '' }).animated, false);
+});
+
+test('new edges start out the way an inspector edit leaves them', () => {
+  const edge = createEdge({ source: 'a', target: 'b' });
+  assert.deepEqual(withEdgeMeta(edge, { label: 'orders' }), { ...edge, label: 'orders' });
+  assert.equal(createEdge({ source: 'a', target: 'b', data: { flow: 'cdc' } }).animated, true);
+});
@@ -0,0 +1,33 @@
+// test/groups.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { removeElements } from '../utils/groups.js';
+
+const node = (id, position, parentNode) => ({ id, position, data: {}, ...(parentNode ? { parentNode } : {}) });
+const group = (id, position, parentNode) => ({ ...node(id, position, parentNode), type: 'groupNode' });
+
+test('members of a removed group stay where they were on the canvas', () => {
+  const diagram = {
+    nodes: [group('outer', { x: 100, y: 100 }), group('inner', { x: 10, y: 10 }, 'outer'), node('a', { x: 5, y: 5 }, 'inner')],
+    edges: [],
+  };
+  const { nodes } = removeElements(diagram, { nodeIds: ['inner'] });
+  assert.deepEqual(nodes.find((n) => n.id === 'a'), node('a', { x: 15, y: 15 }, 'outer'));
+
+  const both = removeElements(diagram, { nodeIds: ['outer', 'inner'] });
+  assert.deepEqual(both.nodes, [node('a', { x: 115, y: 115 })]);
+});
+
+test('removes the given edges and the edges of removed nodes', () => {
+  const diagram = {
+    nodes: [node('a', { x: 0, y: 0 }), node('b', { x: 0, y: 0 }), node('c', { x: 0, y: 0 })],
+    edges: [
+      { id: 'ab', source: 'a', target: 'b' },
+      { id: 'bc', source: 'b', target: 'c' },
+      { id: 'ca', source: 'c', target: 'a' },
+    ],
+  };
+  const { nodes, edges } = removeElements(diagram, { nodeIds: ['a'], edgeIds: ['bc'] });
+  assert.deepEqual(nodes.map((n) => n.id), ['b', 'c']);
+  assert.deepEqual(edges, []);
+});
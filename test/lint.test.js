@@ -0,0 +1,77 @@
+// test/lint.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkCrossCloud,
+  checkStoreStage,
+  findBackwardFlows,
+  findCycles,
+  findDuplicateTools,
+  findIsolatedNodes,
+  lintDiagram,
+} from '../utils/lint.js';
+
+const TOOLS = {
+  kinesis: { id: 'aws.buffer.kinesis', platform: 'AWS', category: 'Buffer' },
+  lambda: { id: 'aws.process.lambda', platform: 'AWS', category: 'Process' },
+  s3: { id: 'aws.store.s3', platform: 'AWS', category: 'Store' },
+  quicksight: { id: 'aws.visualize.quicksight', platform: 'AWS', category: 'Visualize' },
+  bigquery: { id: 'gcp.store.bigquery', platform: 'GCP', category: 'Store' },
+};
+const toolOf = (n) => TOOLS[n.data.tool];
+
+const node = (id, tool, description) => ({ id, position: { x: 0, y: 0 }, data: { label: id, tool, description } });
+const edge = (source, target, label) => ({ id: `${source}-${target}`, source, target, label });
+
+test('isolated nodes are the ones without any edge', () => {
+  const findings = findIsolatedNodes({ nodes: [node('a'), node('b'), node('c')], edges: [edge('a', 'b')] });
+  assert.deepEqual(findings.map((f) => f.nodeIds), [['c']]);
+});
+
+test('cycles are reported per strongly connected component, with self-loops', () => {
+  const findings = findCycles({
+    nodes: ['a', 'b', 'c', 'd', 'e'].map((nid) => node(nid)),
+    edges: [edge('a', 'b'), edge('b', 'c'), edge('c', 'a'), edge('c', 'd'), edge('e', 'e')],
+  });
+  assert.deepEqual(findings.map((f) => [...f.nodeIds].sort()), [['a', 'b', 'c'], ['e']]);
+  assert.deepEqual(findings[0].edgeIds.sort(), ['a-b', 'b-c', 'c-a']);
+});
+
+test('an acyclic diagram has no cycles', () => {
+  assert.deepEqual(findCycles({ nodes: [node('a'), node('b')], edges: [edge('a', 'b')] }), []);
+});
+
+test('backward flow allows one step back but not two, nor leaving Visualize', () => {
+  const nodes = [node('stream', 'kinesis'), node('fn', 'lambda'), node('lake', 's3'), node('bi', 'quicksight')];
+  const edges = [edge('lake', 'fn'), edge('lake', 'stream'), edge('bi', 'lake')];
+  const findings = findBackwardFlows({ nodes, edges }, { toolOf });
+  assert.deepEqual(findings.map((f) => f.edgeIds[0]), ['lake-stream', 'bi-lake']);
+});
+
+test('a design with catalog tools needs one from the Store stage', () => {
+  assert.equal(checkStoreStage({ nodes: [node('fn', 'lambda')] }, { toolOf }).length, 1);
+  assert.deepEqual(checkStoreStage({ nodes: [node('fn', 'lambda'), node('lake', 's3')] }, { toolOf }), []);
+  assert.deepEqual(checkStoreStage({ nodes: [node('free')] }, { toolOf }), []);
+});
+
+test('mixing clouds needs a cross-cloud note', () => {
+  const nodes = [node('lake', 's3'), node('dw', 'bigquery')];
+  const [finding] = checkCrossCloud({ nodes, edges: [edge('lake', 'dw')] }, { toolOf });
+  assert.deepEqual(finding.nodeIds, ['lake', 'dw']);
+  assert.deepEqual(checkCrossCloud({ nodes, edges: [edge('lake', 'dw', 'Multi-cloud transfer')] }, { toolOf }), []);
+});
+
+test('duplicates are tools used twice with the same description', () => {
+  const nodes = [node('a', 's3', 'Raw'), node('b', 's3', ' raw '), node('c', 's3', 'Curated'), node('d', 'lambda')];
+  const findings = findDuplicateTools({ nodes }, { toolOf });
+  assert.deepEqual(findings.map((f) => f.nodeIds), [['a', 'b']]);
+});
+
+test('lintDiagram leaves groups out and lists the worst findings first', () => {
+  const diagram = {
+    nodes: [{ ...node('g'), type: 'groupNode' }, node('a'), node('b', 's3'), node('c', 's3')],
+    edges: [edge('b', 'c'), edge('c', 'b')],
+  };
+  const rules = lintDiagram(diagram, { toolOf }).map((f) => f.rule);
+  assert.deepEqual(rules, ['cycle', 'isolated-node', 'duplicate-tool']);
+});
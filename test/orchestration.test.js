@@ -0,0 +1,26 @@
+// test/orchestration.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { planDag, toDagsterJob } from '../utils/orchestration.js';
+
+const catalog = JSON.parse(readFileSync('public/tools.json', 'utf8'));
+
+const node = (id, label) => ({
+  id,
+  type: 'sideNode',
+  position: { x: 0, y: 0 },
+  data: { label, toolId: 'aws.processing.lambda' },
+});
+
+test('tasks come after the tasks they depend on, whatever the node order', () => {
+  const diagram = {
+    nodes: [node('n2', 'Second'), node('n1', 'First')],
+    edges: [{ id: 'e1', source: 'n1', target: 'n2' }],
+  };
+  const plan = planDag(diagram, catalog);
+  assert.deepEqual(plan.tasks.map((t) => t.id), ['first', 'second']);
+
+  const job = toDagsterJob(plan);
+  assert.ok(job.indexOf('first_done = first()') < job.indexOf('second_done = second(after=[first_done])'));
+});
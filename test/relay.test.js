@@ -0,0 +1,117 @@
+// test/relay.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import { startRelay } from '../server/relay.js';
+import { applyOps, createDoc, localOps, materialize } from '../utils/collab.js';
+
+const EMPTY = { nodes: [], edges: [] };
+const node = (id, label, x = 0) => ({ id, type: 'sideNode', position: { x, y: 0 }, data: { label } });
+
+// A bare-bones participant: a replica of the room plus its socket, with the
+// messages it received queued until a test waits for them.
+function participant(port, clientId) {
+  const doc = createDoc(clientId);
+  const self = { doc, seq: 0, synced: EMPTY, inbox: [], waiting: [] };
+
+  self.connect = () =>
+    new Promise((resolve) => {
+      self.ws = new WebSocket(`ws://localhost:${port}`);
+      self.ws.on('message', (raw) => {
+        const msg = JSON.parse(raw);
+        if (msg.seq) self.seq = Math.max(self.seq, msg.seq);
+        if (msg.t === 'sync' || msg.t === 'ops') applyOps(doc, msg.ops);
+        const waiter = self.waiting.findIndex((w) => w.t === msg.t);
+        if (waiter === -1) self.inbox.push(msg);
+        else self.waiting.splice(waiter, 1)[0].resolve(msg);
+      });
+      self.ws.on('open', () => {
+        self.ws.send(JSON.stringify({ t: 'hello', room: 'test', since: self.seq, peer: { id: clientId, name: clientId } }));
+        resolve(self.next('sync'));
+      });
+    });
+
+  self.next = (t) => {
+    const i = self.inbox.findIndex((m) => m.t === t);
+    if (i !== -1) return Promise.resolve(self.inbox.splice(i, 1)[0]);
+    return new Promise((resolve) => self.waiting.push({ t, resolve }));
+  };
+
+  // Changes the local diagram and returns the operations for it.
+  self.edit = (diagram) => {
+    const ops = localOps(doc, self.synced, diagram);
+    self.synced = diagram;
+    return ops;
+  };
+  self.send = (ops) => self.ws.send(JSON.stringify({ t: 'ops', ops }));
+
+  self.disconnect = () =>
+    new Promise((resolve) => {
+      self.ws.once('close', resolve);
+      self.ws.close();
+    });
+  return self;
+}
+
+test('two participants converge on the same diagram', async (t) => {
+  const relay = await startRelay({ port: 0 });
+  t.after(() => relay.close());
+  const a = participant(relay.port, 'a');
+  const b = participant(relay.port, 'b');
+  await a.connect();
+  await b.connect();
+
+  a.send(a.edit({ nodes: [node('n1', 'Kafka')], edges: [] }));
+  await a.next('ack');
+  await b.next('ops');
+  b.synced = materialize(b.doc);
+  b.send(b.edit({ nodes: [{ ...b.synced.nodes[0], data: { label: 'Kinesis' } }], edges: [] }));
+  await b.next('ack');
+  await a.next('ops');
+
+  assert.deepEqual(materialize(a.doc), materialize(b.doc));
+  assert.equal(materialize(a.doc).nodes[0].data.label, 'Kinesis');
+  await Promise.all([a.disconnect(), b.disconnect()]);
+});
+
+test('operations made while offline arrive after reconnecting', async (t) => {
+  const relay = await startRelay({ port: 0 });
+  t.after(() => relay.close());
+  const a = participant(relay.port, 'a');
+  const b = participant(relay.port, 'b');
+  await a.connect();
+  await b.connect();
+
+  await b.disconnect();
+  a.send(a.edit({ nodes: [node('n1', 'Spark')], edges: [] }));
+  await a.next('ack');
+  const offline = b.edit({ nodes: [node('n2', 'S3', 300)], edges: [] });
+
+  await b.connect();
+  b.send(offline);
+  await b.next('ack');
+  await a.next('ops');
+
+  const labels = (doc) => materialize(doc).nodes.map((n) => n.data.label).sort();
+  assert.deepEqual(labels(a.doc), ['S3', 'Spark']);
+  assert.deepEqual(labels(b.doc), ['S3', 'Spark']);
+  await Promise.all([a.disconnect(), b.disconnect()]);
+});
+
+test('operations with a malformed clock are dropped', async (t) => {
+  const relay = await startRelay({ port: 0 });
+  t.after(() => relay.close());
+  const a = participant(relay.port, 'a');
+  const b = participant(relay.port, 'b');
+  await a.connect();
+  await b.connect();
+
+  a.send([
+    { kind: 'node', id: 'n1', field: 'data.label', value: 'Bad', clock: { c: 'x', by: 'a' } },
+    { kind: 'node', id: 'n2', field: 'data.label', value: 'Good', clock: { c: 1, by: 'a' } },
+  ]);
+  const { ops } = await b.next('ops');
+  assert.deepEqual(ops.map((op) => op.id), ['n2']);
+  assert.ok(Number.isFinite(b.doc.counter));
+  await Promise.all([a.disconnect(), b.disconnect()]);
+});
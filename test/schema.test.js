@@ -0,0 +1,82 @@
+// test/schema.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FORMAT, SCHEMA_VERSION, migrateDiagram, readDiagram, toDiagramFile, validateDiagram } from '../utils/schema.js';
+
+const node = (id, extra = {}) => ({ id, type: 'sideNode', position: { x: 0, y: 0 }, data: { label: id }, ...extra });
+const edge = (source, target) => ({ id: `${source}-${target}`, source, target });
+
+const diagram = {
+  nodes: [node('a')],
+  edges: [],
+  steps: [{ title: 'Start', nodeIds: ['a'] }],
+};
+
+test('walkthrough steps survive files and the unversioned form of projects and share links', () => {
+  assert.deepEqual(readDiagram(toDiagramFile(diagram)).steps, diagram.steps);
+  assert.deepEqual(readDiagram(diagram).steps, diagram.steps);
+});
+
+test('a valid diagram has no problems', () => {
+  const group = node('g', { type: 'groupNode', data: { label: 'VPC', kind: 'vpc' } });
+  assert.deepEqual(validateDiagram({ nodes: [group, node('a', { parentNode: 'g' }), node('b')], edges: [edge('a', 'b')] }), []);
+});
+
+test('validation reports every problem with its path', () => {
+  const problems = validateDiagram({
+    nodes: [
+      node('a'),
+      node('a'),
+      node('b', { type: 'box', position: { x: 'left', y: 0 }, parentNode: 'a' }),
+      node('c', { data: { label: 3 } }),
+    ],
+    edges: [edge('a', 'missing')],
+  });
+  assert.deepEqual(problems, [
+    { path: 'nodes[1].id', message: '"a" is already used by nodes[0]' },
+    { path: 'nodes[2].type', message: 'must be one of sideNode, groupNode' },
+    { path: 'nodes[2].position', message: 'must be { x, y } with finite numbers' },
+    { path: 'nodes[3].data.label', message: 'must be a string' },
+    { path: 'nodes[2].parentNode', message: '"a" is not a group' },
+    { path: 'edges[0].target', message: '"missing" is not a node id' },
+  ]);
+  assert.deepEqual(validateDiagram({ nodes: {} }), [
+    { path: 'nodes', message: 'must be an array' },
+    { path: 'edges', message: 'must be an array' },
+  ]);
+});
+
+test('groups that contain each other are rejected', () => {
+  const problems = validateDiagram({
+    nodes: [node('g', { type: 'groupNode', parentNode: 'h' }), node('h', { type: 'groupNode', parentNode: 'g' })],
+    edges: [],
+  });
+  assert.equal(problems.length, 2);
+  assert.match(problems[0].message, /contain each other/);
+});
+
+test('version 1 files get a format, node types and edge ids, without runtime fields', () => {
+  const migrated = migrateDiagram({
+    nodes: [{ id: 'a', position: { x: 0, y: 0 }, data: { label: 'A' }, selected: true, width: 200 }],
+    edges: [{ source: 'a', target: 'a', selected: false }],
+  });
+  assert.deepEqual(migrated, {
+    format: FORMAT,
+    version: SCHEMA_VERSION,
+    nodes: [{ id: 'a', type: 'sideNode', position: { x: 0, y: 0 }, data: { label: 'A' } }],
+    edges: [{ id: 'reactflow__edge-a-a', source: 'a', target: 'a' }],
+  });
+});
+
+test('files from a newer or unknown version are refused', () => {
+  assert.throws(() => migrateDiagram({ format: FORMAT, version: SCHEMA_VERSION + 1, nodes: [], edges: [] }), /newer/);
+  assert.throws(() => migrateDiagram({ format: FORMAT, version: 'two', nodes: [], edges: [] }), /Unknown/);
+});
+
+test('readDiagram lists the problems of an invalid file', () => {
+  assert.throws(() => readDiagram('{ nodes'), (err) => /Not valid JSON/.test(err.message) && err.problems.length === 0);
+  assert.throws(
+    () => readDiagram({ nodes: [node('a')], edges: [edge('a', 'b')] }),
+    (err) => err.message === 'The diagram has 1 problem(s).' && err.problems[0].path === 'edges[0].target'
+  );
+});
@@ -0,0 +1,78 @@
+// utils/align.js
+// Align and distribute commands for the selected nodes. Positions are
+// compared on the canvas, so nodes in different groups line up too; every
+// node stays in its group.
+import { absolutePosition, sizeOf } from './groups.js';
+
+// Which axis each alignment works on, and where on the node it lines up
+// (0 = start, 0.5 = centre, 1 = end).
+export const ALIGNMENTS = {
+  left: { axis: 'x', at: 0, label: 'Align left' },
+  center: { axis: 'x', at: 0.5, label: 'Align centres' },
+  right: { axis: 'x', at: 1, label: 'Align right' },
+  top: { axis: 'y', at: 0, label: 'Align top' },
+  middle: { axis: 'y', at: 0.5, label: 'Align middles' },
+  bottom: { axis: 'y', at: 1, label: 'Align bottom' },
+};
+
+const LENGTH = { x: 'width', y: 'height' };
+
+// Nodes inside a group that is itself given move with it.
+const boxesOf = (nodes, nodeIds) => {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const inGiven = (n) => {
+    for (let p = byId.get(n.parentNode); p; p = byId.get(p.parentNode)) if (nodeIds.includes(p.id)) return true;
+    return false;
+  };
+  return nodes
+    .filter((n) => nodeIds.includes(n.id) && !inGiven(n))
+    .map((n) => ({ id: n.id, position: absolutePosition(n, byId), size: sizeOf(n) }));
+};
+
+// `moves` maps node ids to their new position on the canvas.
+function moveTo(nodes, moves) {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  return nodes.map((n) => {
+    const to = moves.get(n.id);
+    if (!to) return n;
+    const parent = byId.get(n.parentNode);
+    const base = parent ? absolutePosition(parent, byId) : { x: 0, y: 0 };
+    return { ...n, position: { x: to.x - base.x, y: to.y - base.y } };
+  });
+}
+
+/** Lines the given nodes up along one of the ALIGNMENTS, within their bounding box. */
+export function alignNodes(nodes, nodeIds, alignment) {
+  const { axis, at } = ALIGNMENTS[alignment];
+  const length = LENGTH[axis];
+  const boxes = boxesOf(nodes, nodeIds);
+  if (boxes.length < 2) return nodes;
+  const start = Math.min(...boxes.map((b) => b.position[axis]));
+  const end = Math.max(...boxes.map((b) => b.position[axis] + b.size[length]));
+  const line = start + (end - start) * at;
+  return moveTo(
+    nodes,
+    new Map(boxes.map((b) => [b.id, { ...b.position, [axis]: line - b.size[length] * at }]))
+  );
+}
+
+/**
+ * Spaces the given nodes evenly along `axis` ('x' or 'y'): the outermost
+ * two stay, the others move so the gaps between neighbours are equal.
+ */
+export function distributeNodes(nodes, nodeIds, axis) {
+  const length = LENGTH[axis];
+  const boxes = boxesOf(nodes, nodeIds).sort((a, b) => a.position[axis] - b.position[axis]);
+  if (boxes.length < 3) return nodes;
+  const first = boxes[0];
+  const last = boxes[boxes.length - 1];
+  const span = last.position[axis] + last.size[length] - first.position[axis];
+  const gap = (span - boxes.reduce((sum, b) => sum + b.size[length], 0)) / (boxes.length - 1);
+  const moves = new Map();
+  let next = first.position[axis];
+  boxes.forEach((b) => {
+    moves.set(b.id, { ...b.position, [axis]: next });
+    next += b.size[length] + gap;
+  });
+  return moveTo(nodes, moves);
+}
@@ -0,0 +1,242 @@
+// utils/catalog.js
+import Papa from 'papaparse';
+
+export const PLATFORMS = ['AWS', 'Azure', 'GCP', 'Open Source', 'Vendor'];
+export const CATEGORIES = ['Connect', 'Buffer', 'Process', 'Store', 'Visualize'];
+
+// The tools guide separates tool names with spaces, so names that span
+// several words have to be known up front to keep them together.
+const MULTI_WORD_NAMES = [
+  'API Gateway', 'API Management', 'AWS Glue', 'AWS Glue Data Catalog',
+  'Apache Druid', 'Apache Flink', 'Apache Hive', 'Apache Kafka', 'Apache Nifi',
+  'Apache Spark', 'Apache Superset', 'Azure Batch', 'Azure Data Catalog',
+  'Azure Data Explorer', 'Azure Logic Apps', 'Azure ML', 'Azure SQL DB',
+  'Azure Synapse', 'Blob Storage', 'Cloud Batch', 'Cloud Composer',
+  'Cloud Data Catalog', 'Cloud Data Fusion', 'Cloud Datalab', 'Cloud Function',
+  'Cloud Scheduler', 'Cloud Storage', 'Cloud Workflows', 'Data Factory',
+  'Data Studio', 'Hevo Data', 'Hive Metastore', 'IBM Db2', 'Kinesis Firehose',
+  'Microsoft SQL Server', 'Oracle DW', 'Oracle SQL DB', 'Redshift Spectrum',
+  'SAP HANA', 'Synapse Analytics', 'Vertex AI',
+];
+const MAX_NAME_WORDS = Math.max(...MULTI_WORD_NAMES.map((n) => n.split(' ').length));
+
+// Typos and abbreviations in the guide. The original spelling is kept as an alias.
+const RENAMES = {
+  Perfect: 'Prefect',
+  ML: 'Cloud ML',
+  BigQueryML: 'BigQuery ML',
+};
+
+const ALIASES = {
+  'API Gateway': ['Amazon API Gateway'],
+  'API Management': ['API', 'APIM', 'Azure API Management'],
+  'AWS Glue': ['Glue'],
+  'Glue': ['AWS Glue'],
+  'AWS Glue Data Catalog': ['Glue Data Catalog', 'DataCatalog'],
+  'Apache Kafka': ['Kafka'],
+  'Apache Spark': ['Spark', 'PySpark'],
+  'Apache Flink': ['Flink'],
+  'Apache Nifi': ['NiFi'],
+  'Apache Hive': ['Hive'],
+  'Apache Druid': ['Druid'],
+  'Apache Superset': ['Superset'],
+  'Airflow': ['Apache Airflow'],
+  'Kinesis': ['Kinesis Data Streams'],
+  'Kinesis Firehose': ['Firehose', 'Kinesis Data Firehose'],
+  'Lambda': ['AWS Lambda'],
+  'Stepfunctions': ['Step Functions'],
+  'S3': ['Amazon S3'],
+  'Quicksight': ['Amazon QuickSight'],
+  'EventHub': ['Event Hubs', 'Azure Event Hubs'],
+  'Functions': ['Azure Functions'],
+  'Data Factory': ['ADF', 'Azure Data Factory'],
+  'Azure Synapse': ['Synapse'],
+  'CosmosDB': ['Cosmos DB'],
+  'Pub/Sub': ['Cloud Pub/Sub'],
+  'Cloud Function': ['Cloud Functions'],
+  'Cloud Storage': ['GCS'],
+  'Postgres': ['PostgreSQL'],
+  'Elasticsearch': ['Elastic'],
+};
+
+// Preferred counterparts across platforms, used when a row of the guide lists
+// several tools for one platform. A tool is named by its name, or by
+// [name, type] where the same name appears in more than one row.
+const EQUIVALENTS = {
+  api: { AWS: 'API Gateway', Azure: 'API Management', GCP: 'API Gateway', 'Open Source': 'FastAPI' },
+  integration: {
+    AWS: 'AWS Glue',
+    Azure: ['Data Factory', 'Data Integration Tools'],
+    GCP: 'Cloud Data Fusion',
+    'Open Source': 'Airbyte',
+    Vendor: 'Fivetran',
+  },
+  stream: { AWS: 'Kinesis', Azure: 'EventHub', GCP: 'Pub/Sub', 'Open Source': 'Apache Kafka' },
+  queue: { AWS: 'SQS', 'Open Source': 'RabbitMQ' },
+  functions: { AWS: 'Lambda', Azure: 'Functions', GCP: 'Cloud Function', 'Open Source': 'Python' },
+  etl: {
+    AWS: 'Glue',
+    Azure: ['Data Factory', 'Processing'],
+    GCP: 'DataFlow',
+    'Open Source': 'Apache Spark',
+    Vendor: ['Databricks', 'Processing'],
+  },
+  cluster: { AWS: 'EMR', GCP: 'DataProc' },
+  containers: { AWS: 'ECS', 'Open Source': 'Docker' },
+  kubernetes: { AWS: 'EKS', 'Open Source': 'Kubernetes' },
+  scheduler: { AWS: 'EventBridge', Azure: 'Azure Logic Apps', GCP: 'Cloud Scheduler', 'Open Source': 'Airflow' },
+  batch: { Azure: 'Azure Batch', GCP: 'Cloud Batch' },
+  ml: { AWS: 'SageMaker', Azure: 'Azure ML', GCP: 'Vertex AI', 'Open Source': 'Tensorflow' },
+  objectStorage: { AWS: 'S3', Azure: 'Data Lake Storage', GCP: 'Cloud Storage', 'Open Source': 'MinIO' },
+  relational: {
+    AWS: 'RDS',
+    Azure: 'Azure SQL DB',
+    GCP: 'CloudSQL',
+    'Open Source': 'Postgres',
+    Vendor: 'Microsoft SQL Server',
+  },
+  document: { AWS: 'DynamoDB', Azure: 'CosmosDB', GCP: 'Firestore', 'Open Source': 'MongoDB' },
+  timeseries: { AWS: 'Timestream', 'Open Source': 'TimescaleDB' },
+  warehouse: { AWS: 'Redshift', Azure: 'Azure Synapse', GCP: 'BigQuery', 'Open Source': 'Apache Hive', Vendor: 'Snowflake' },
+  queryEngine: { AWS: 'Athena', 'Open Source': 'Presto' },
+  dataCatalog: {
+    AWS: 'AWS Glue Data Catalog',
+    Azure: 'Azure Data Catalog',
+    GCP: 'Cloud Data Catalog',
+    'Open Source': 'Hive Metastore',
+    Vendor: 'Attacama',
+  },
+  bi: { AWS: 'Quicksight', Azure: 'PowerBI', GCP: 'Looker', 'Open Source': 'Apache Superset', Vendor: 'Tableau' },
+};
+
+const equivalenceGroup = ({ name, platform, type }) =>
+  Object.keys(EQUIVALENTS).find((group) => {
+    const entry = EQUIVALENTS[group][platform];
+    const [entryName, entryType] = Array.isArray(entry) ? entry : [entry];
+    return entryName === name && (!entryType || entryType === type);
+  });
+
+// Tools that are not in the guide but are used by the curated designs.
+const EXTRA_TOOLS = [
+  { name: 'Aurora', platform: 'AWS', category: 'Store', type: 'OLTP + File Stores' },
+  { name: 'Glue Crawler', platform: 'AWS', category: 'Store', type: 'Data Catalog', aliases: ['Crawler'] },
+  { name: 'Data Lake Storage', platform: 'Azure', category: 'Store', type: 'OLTP + File Stores', aliases: ['ADLS'] },
+  { name: 'MinIO', platform: 'Open Source', category: 'Store', type: 'OLTP + File Stores' },
+];
+
+export const slugify = (s) =>
+  s.toLowerCase().replace(/\+/g, ' plus ').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Lower-cases and drops everything but letters and digits, so that
+// "DataLakeStorage", "Data Lake Storage" and "data-lake-storage" compare equal.
+export const normalizeName = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+export const toolId = (platform, type, name) => [platform, type, name].map(slugify).join('.');
+
+/**
+ * Splits one cell of the tools guide ("Kinesis  Kinesis Firehose SQS") into
+ * tool names, keeping known multi-word names intact.
+ */
+export function splitToolCell(cell) {
+  const text = String(cell || '').trim();
+  if (!text) return [];
+  // A fully parenthesised cell, e.g. "(PowerBI)", is an optional entry.
+  const whole = /^\((.*)\)$/.exec(text);
+  // Otherwise parentheses qualify the previous tool ("Redis (K/V store)").
+  const cleaned = whole ? whole[1] : text.replace(/\([^)]*\)/g, ' ');
+  const words = cleaned.split(/[\s+,]+/).filter(Boolean);
+  const known = new Map(MULTI_WORD_NAMES.map((n) => [n.toLowerCase(), n]));
+
+  const names = [];
+  for (let i = 0; i < words.length; ) {
+    let taken = 1;
+    for (let len = Math.min(MAX_NAME_WORDS, words.length - i); len > 1; len--) {
+      const candidate = words.slice(i, i + len).join(' ').toLowerCase();
+      if (known.has(candidate)) {
+        taken = len;
+        break;
+      }
+    }
+    const raw = words.slice(i, i + taken).join(' ');
+    const name = known.get(raw.toLowerCase()) || raw;
+    if (!names.includes(name)) names.push(name);
+    i += taken;
+  }
+  return names;
+}
+
+const makeTool = ({ name, platform, category, type, aliases = [] }) => {
+  const tool = { id: toolId(platform, type, name), name, platform, category, type };
+  const all = [...aliases, ...(ALIASES[name] || [])].filter((a, i, arr) => a !== name && arr.indexOf(a) === i);
+  if (all.length) tool.aliases = all;
+  const group = equivalenceGroup(tool);
+  if (group) tool.equivalenceGroup = group;
+  return tool;
+};
+
+/**
+ * Builds the tool catalog from the CSV export of the tools guide
+ * (`tools.csv` / `tools2.csv`). Rows before the platform header row, rows
+ * outside the pipeline stages ("Bonus") and empty cells are skipped.
+ */
+export function buildCatalog(csvText) {
+  const { data: rows } = Papa.parse(csvText.replace(/^\uFEFF/, ''), { skipEmptyLines: true });
+  const headerIndex = rows.findIndex((r) => PLATFORMS.every((p) => r.includes(p)));
+  if (headerIndex === -1) throw new Error('No platform header row (AWS, Azure, GCP, ...) found in CSV.');
+  const header = rows[headerIndex];
+
+  const tools = [];
+  let category = '';
+  rows.slice(headerIndex + 1).forEach((row) => {
+    category = (row[0] || '').trim() || category;
+    const type = (row[1] || '').trim();
+    if (!type || !CATEGORIES.includes(category)) return;
+    PLATFORMS.forEach((platform) => {
+      splitToolCell(row[header.indexOf(platform)]).forEach((raw) => {
+        const name = RENAMES[raw] || raw;
+        tools.push(makeTool({ name, platform, category, type, aliases: name === raw ? [] : [raw] }));
+      });
+    });
+  });
+  EXTRA_TOOLS.forEach((t) => tools.push(makeTool(t)));
+
+  return { version: 1, platforms: PLATFORMS, categories: CATEGORIES, tools: mergeTools(tools) };
+}
+
+/** De-duplicates tools by id, keeping the first occurrence. */
+export function mergeTools(tools) {
+  const seen = new Set();
+  return tools.filter((t) => (seen.has(t.id) ? false : seen.add(t.id)));
+}
+
+/** Nests catalog tools as platform → category → type → [tool] for the palette. */
+export function groupCatalog(catalog) {
+  const nested = {};
+  catalog.platforms.forEach((p) => (nested[p] = {}));
+  catalog.tools.forEach((tool) => {
+    const categories = nested[tool.platform] || (nested[tool.platform] = {});
+    const types = categories[tool.category] || (categories[tool.category] = {});
+    (types[tool.type] || (types[tool.type] = [])).push(tool);
+  });
+  return nested;
+}
+
+/**
+ * Finds the catalog tool for a node. Nodes dropped from the palette carry a
+ * `toolId`; older diagrams only have a label, which is matched against tool
+ * names and aliases (preferring `platform` when the label is ambiguous).
+ */
+export function findTool(catalog, { toolId: tid, label } = {}, platform) {
+  if (!catalog) return null;
+  if (tid) {
+    const byId = catalog.tools.find((t) => t.id === tid);
+    if (byId) return byId;
+  }
+  const key = normalizeName(label);
+  if (!key) return null;
+  const byName = catalog.tools.filter((t) => normalizeName(t.name) === key);
+  const matches = byName.length
+    ? byName
+    : catalog.tools.filter((t) => (t.aliases || []).some((a) => normalizeName(a) === key));
+  return matches.find((t) => t.platform === platform) || matches[0] || null;
+}
@@ -0,0 +1,73 @@
+// utils/clipboard.js
+// Copy, paste and duplicate. The clipboard holds a diagram file (see
+// schema.js), so fragments paste into other tabs and projects, and an
+// exported design pastes like a fragment.
+import { edgeId, serializeDiagram } from './diagram.js';
+import { absolutePosition } from './groups.js';
+import { readDiagram, toDiagramFile } from './schema.js';
+
+/**
+ * The selected nodes, everything inside selected groups and the edges
+ * between them, as a plain `{ nodes, edges }`. Nodes copied without their
+ * group get its place on the canvas.
+ */
+export function selectedFragment({ nodes, edges }) {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const picked = (n) => !!n && (n.selected || picked(byId.get(n.parentNode)));
+  const ids = new Set(nodes.filter(picked).map((n) => n.id));
+  return serializeDiagram({
+    nodes: nodes
+      .filter((n) => ids.has(n.id))
+      .map((n) => {
+        if (ids.has(n.parentNode)) return n;
+        const { parentNode, ...rest } = n;
+        return { ...rest, position: absolutePosition(n, byId) };
+      }),
+    edges: edges.filter((e) => ids.has(e.source) && ids.has(e.target)),
+  });
+}
+
+export const toClipboardText = (fragment) => JSON.stringify(toDiagramFile(fragment), null, 2);
+
+/**
+ * The diagram in pasted `text`, or null when it is not JSON at all (plain
+ * text pasted onto the canvas). Throws like readDiagram when it is JSON but
+ * not a valid diagram.
+ */
+export function parseClipboardText(text) {
+  if (!/^\s*\{/.test(text)) return null;
+  return readDiagram(text);
+}
+
+/**
+ * A copy of `fragment` with a new id from `makeId` for every node, edges
+ * following them, and its top-level nodes moved by `offset`. Walkthrough
+ * steps are not copied.
+ */
+export function cloneFragment({ nodes, edges }, { makeId, offset = { x: 0, y: 0 } }) {
+  const ids = new Map(nodes.map((n) => [n.id, makeId()]));
+  const edgeIds = new Set();
+  return {
+    nodes: nodes.map((n) => {
+      const nid = ids.get(n.id);
+      const { parentNode, ...rest } = n;
+      return {
+        ...rest,
+        id: nid,
+        ...(ids.has(parentNode)
+          ? { parentNode: ids.get(parentNode), position: n.position }
+          : { position: { x: n.position.x + offset.x, y: n.position.y + offset.y } }),
+        data: { ...n.data, ...(n.data?.id ? { id: nid } : {}) },
+      };
+    }),
+    edges: edges
+      .filter((e) => ids.has(e.source) && ids.has(e.target))
+      .map((e) => {
+        const moved = { ...e, source: ids.get(e.source), target: ids.get(e.target) };
+        let eid = edgeId(moved);
+        for (let i = 2; edgeIds.has(eid); i++) eid = `${edgeId(moved)}-${i}`;
+        edgeIds.add(eid);
+        return { ...moved, id: eid };
+      }),
+  };
+}
@@ -0,0 +1,132 @@
+// utils/collab.js
+// Shared state of a collaborative session. Every node and edge field is a
+// last-writer-wins register stamped with a Lamport clock, so replicas that
+// have seen the same operations agree whatever order they arrived in, and
+// edits made offline merge in when they are finally delivered.
+//
+// An operation is `{ kind: 'node' | 'edge', id, field, value, clock }`, where
+// `field` is a top-level key ("position", "parentNode", …) or "data.<key>";
+// `field: null` deletes the whole element. `value: undefined` (sent as
+// `unset: true`) removes a key. The relay server stores and forwards them.
+
+/** Clocks are `{ c, by }`: a Lamport counter with the client id as tiebreak. */
+export function compareClocks(a, b) {
+  if (!a || !b) return a ? 1 : b ? -1 : 0;
+  return a.c - b.c || (a.by < b.by ? -1 : a.by > b.by ? 1 : 0);
+}
+
+/** The register an operation writes; the relay keeps the newest op per key. */
+export const opKey = (op) => `${op.kind}:${op.id}:${op.field ?? '#deleted'}`;
+
+export function createDoc(clientId) {
+  return { clientId, counter: 0, node: new Map(), edge: new Map() };
+}
+
+const entryOf = (doc, kind, id) => {
+  let entry = doc[kind].get(id);
+  if (!entry) doc[kind].set(id, (entry = { fields: new Map(), deleted: null }));
+  return entry;
+};
+
+/** Applies operations from anywhere; returns whether the state changed. */
+export function applyOps(doc, ops) {
+  let changed = false;
+  ops.forEach((op) => {
+    doc.counter = Math.max(doc.counter, op.clock.c);
+    const entry = entryOf(doc, op.kind, op.id);
+    if (op.field == null) {
+      if (compareClocks(op.clock, entry.deleted) > 0) {
+        entry.deleted = op.clock;
+        changed = true;
+      }
+      return;
+    }
+    const current = entry.fields.get(op.field);
+    if (compareClocks(op.clock, current?.clock) > 0) {
+      entry.fields.set(op.field, { value: op.unset ? undefined : op.value, clock: op.clock });
+      changed = true;
+    }
+  });
+  return changed;
+}
+
+// An element exists while some field was written after its last delete, so
+// an edit made concurrently with a delete brings the element back.
+const isAlive = (entry) =>
+  [...entry.fields.values()].some((f) => compareClocks(f.clock, entry.deleted) > 0);
+
+const build = (id, entry) => {
+  const out = { id };
+  const data = {};
+  entry.fields.forEach(({ value }, field) => {
+    if (value === undefined) return;
+    if (field.startsWith('data.')) data[field.slice(5)] = value;
+    else out[field] = value;
+  });
+  out.data = data;
+  return out;
+};
+
+/** The current `{ nodes, edges }`; edges whose ends are gone are left out. */
+export function materialize(doc) {
+  const nodes = [...doc.node].filter(([, e]) => isAlive(e)).map(([id, e]) => build(id, e));
+  const ids = new Set(nodes.map((n) => n.id));
+  const edges = [...doc.edge]
+    .filter(([, e]) => isAlive(e))
+    .map(([id, e]) => build(id, e))
+    .filter((e) => ids.has(e.source) && ids.has(e.target));
+  // Edges carry no `data` unless they had some.
+  edges.forEach((e) => !Object.keys(e.data).length && delete e.data);
+  return { nodes, edges };
+}
+
+const fieldsOf = (element) => {
+  const fields = new Map();
+  Object.entries(element).forEach(([key, value]) => {
+    if (key === 'id') return;
+    if (key === 'data' && value && typeof value === 'object') {
+      Object.entries(value).forEach(([k, v]) => fields.set(`data.${k}`, v));
+    } else {
+      fields.set(key, value);
+    }
+  });
+  return fields;
+};
+
+const same = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Operations turning serialized diagram `prev` into `next`, stamped with new
+ * clocks and already applied to `doc`.
+ */
+export function localOps(doc, prev, next) {
+  const ops = [];
+  const stamp = () => ({ c: ++doc.counter, by: doc.clientId });
+  ['node', 'edge'].forEach((kind) => {
+    const before = new Map(prev[`${kind}s`].map((el) => [el.id, fieldsOf(el)]));
+    const after = new Map(next[`${kind}s`].map((el) => [el.id, fieldsOf(el)]));
+    after.forEach((fields, id) => {
+      const old = before.get(id) || new Map();
+      fields.forEach((value, field) => {
+        if (!old.has(field) || !same(old.get(field), value)) ops.push({ kind, id, field, value, clock: stamp() });
+      });
+      old.forEach((_, field) => {
+        if (!fields.has(field)) ops.push({ kind, id, field, unset: true, clock: stamp() });
+      });
+    });
+    before.forEach((_, id) => {
+      if (!after.has(id)) ops.push({ kind, id, field: null, clock: stamp() });
+    });
+  });
+  applyOps(doc, ops);
+  return ops;
+}
+
+const COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#9a6324'];
+
+/** A stable colour per participant. */
+export function colorFor(clientId) {
+  let hash = 0;
+  for (const ch of clientId) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return COLORS[hash % COLORS.length];
+}
@@ -0,0 +1,177 @@
+// utils/designDoc.js
+// Architecture document skeleton built from the canvas: the node and edge
+// descriptions become a component table per pipeline stage and a data-flow
+// walk in topological order, ready to be filled in and reviewed.
+import { CATEGORIES, PLATFORMS, findTool } from './catalog.js';
+import { edgeSummary } from './edges.js';
+import { isGroupNode } from './groups.js';
+import { rankNodes } from './layout.js';
+
+const TODO = 'TODO';
+
+/**
+ * Collects what goes into the document:
+ *   { stages: [{ stage, components: [{ id, label, tool, description }] }],
+ *     flows: [{ id, from, to, fromPort, toPort, label, details }],
+ *     custom: [{ id, label, description }] }
+ * Components are ordered by platform inside each stage; custom components
+ * are the nodes that no catalog tool matches.
+ */
+export function planDocument({ nodes, edges }, catalog) {
+  const real = nodes.filter((n) => !isGroupNode(n));
+  const byId = new Map(real.map((n) => [n.id, n]));
+  const labelOf = (nid) => byId.get(nid)?.data?.label || nid;
+  const component = (n) => ({
+    id: n.id,
+    label: n.data?.label || n.id,
+    description: (n.data?.description || '').trim(),
+  });
+
+  const tools = real.map((n) => ({ node: n, tool: findTool(catalog, n.data) }));
+  const platformRank = (tool) => {
+    const i = PLATFORMS.indexOf(tool.platform);
+    return i === -1 ? PLATFORMS.length : i;
+  };
+  const stages = CATEGORIES.map((stage) => ({
+    stage,
+    components: tools
+      .filter(({ tool }) => tool?.category === stage)
+      .sort((a, b) => platformRank(a.tool) - platformRank(b.tool))
+      .map(({ node, tool }) => ({ ...component(node), tool })),
+  })).filter((s) => s.components.length);
+  const custom = tools.filter(({ tool }) => !tool).map(({ node }) => component(node));
+
+  // Cycles are broken where rankNodes breaks them, so every flow is listed once.
+  const order = new Map(rankNodes(real, edges).flat().map((nid, i) => [nid, i]));
+  const flows = edges
+    .filter((e) => byId.has(e.source) && byId.has(e.target))
+    .sort((a, b) => order.get(a.source) - order.get(b.source) || order.get(a.target) - order.get(b.target))
+    .map((e) => ({
+      id: e.id,
+      from: labelOf(e.source),
+      to: labelOf(e.target),
+      fromPort: e.sourceHandle || null,
+      toPort: e.targetHandle || null,
+      label: e.label || '',
+      details: edgeSummary(e),
+    }));
+
+  return { stages, flows, custom };
+}
+
+const endpoint = (name, port) => (port ? `${name} (${port})` : name);
+
+const mdCell = (text) => String(text || '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+
+/**
+ * The document as Markdown. `image` is the path of the diagram image next
+ * to the file, or null to leave it out.
+ */
+export function toMarkdown(plan, { title = 'Data pipeline architecture', image = null } = {}) {
+  const lines = [`# ${title}`, '', '## Overview', '', `_${TODO}: what the pipeline is for, its users and its SLAs._`, ''];
+  if (image) lines.push(`![Architecture diagram](${image})`, '');
+
+  lines.push('## Components', '');
+  if (!plan.stages.length) lines.push('_No catalog tools in the design._', '');
+  plan.stages.forEach(({ stage, components }) => {
+    lines.push(`### ${stage}`, '', '| Component | Platform | Tool | Type | Description |', '| --- | --- | --- | --- | --- |');
+    components.forEach((c) => {
+      const cells = [c.label, c.tool.platform, c.tool.name, c.tool.type, c.description || `_${TODO}_`];
+      lines.push(`| ${cells.map(mdCell).join(' | ')} |`);
+    });
+    lines.push('');
+  });
+
+  lines.push('## Data flow', '');
+  if (!plan.flows.length) lines.push('_No connections in the design._');
+  plan.flows.forEach((f, i) => {
+    const notes = [f.label, f.details].filter(Boolean).join(' · ');
+    lines.push(`${i + 1}. **${endpoint(f.from, f.fromPort)}** → **${endpoint(f.to, f.toPort)}**${notes ? `: ${notes}` : ''}`);
+  });
+  lines.push('');
+
+  if (plan.custom.length) {
+    lines.push('## Custom components', '');
+    plan.custom.forEach((c) => lines.push(`- **${c.label}**: ${c.description.replace(/\r?\n/g, ' ') || `_${TODO}_`}`));
+    lines.push('');
+  }
+
+  lines.push('## Open questions', '', `- _${TODO}_`, '');
+  return lines.join('\n');
+}
+
+const escapeHtml = (text) =>
+  String(text ?? '').replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+
+const htmlText = (text) => escapeHtml(text).replace(/\r?\n/g, '<br>');
+
+const STYLE = `
+  body { max-width: 960px; margin: 2em auto; padding: 0 1em; font-family: system-ui, sans-serif; color: #222; line-height: 1.5; }
+  img { max-width: 100%; border: 1px solid #ddd; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 1em; }
+  th, td { padding: 4px 8px; border: 1px solid #ddd; text-align: left; vertical-align: top; }
+  th { background: #f4f4f4; }
+  .todo { color: #b26a00; font-style: italic; }`;
+
+/**
+ * The document as a single HTML file. `image` is a data URL of the diagram
+ * so the file stands on its own, or null to leave it out.
+ */
+export function toHtml(plan, { title = 'Data pipeline architecture', image = null } = {}) {
+  const todo = (what = TODO) => `<span class="todo">${escapeHtml(what)}</span>`;
+  const out = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${STYLE}\n</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(title)}</h1>`,
+    '<h2>Overview</h2>',
+    `<p>${todo(`${TODO}: what the pipeline is for, its users and its SLAs.`)}</p>`,
+  ];
+  if (image) out.push(`<img src="${image}" alt="Architecture diagram">`);
+
+  out.push('<h2>Components</h2>');
+  if (!plan.stages.length) out.push('<p><em>No catalog tools in the design.</em></p>');
+  plan.stages.forEach(({ stage, components }) => {
+    out.push(
+      `<h3>${escapeHtml(stage)}</h3>`,
+      '<table>',
+      '<tr><th>Component</th><th>Platform</th><th>Tool</th><th>Type</th><th>Description</th></tr>',
+      ...components.map((c) =>
+        `<tr>${[c.label, c.tool.platform, c.tool.name, c.tool.type].map((v) => `<td>${escapeHtml(v)}</td>`).join('')}` +
+          `<td>${c.description ? htmlText(c.description) : todo()}</td></tr>`
+      ),
+      '</table>'
+    );
+  });
+
+  out.push('<h2>Data flow</h2>');
+  if (!plan.flows.length) {
+    out.push('<p><em>No connections in the design.</em></p>');
+  } else {
+    out.push('<ol>');
+    plan.flows.forEach((f) => {
+      const notes = [f.label, f.details].filter(Boolean).join(' · ');
+      out.push(
+        `<li><strong>${escapeHtml(endpoint(f.from, f.fromPort))}</strong> → ` +
+          `<strong>${escapeHtml(endpoint(f.to, f.toPort))}</strong>${notes ? `: ${escapeHtml(notes)}` : ''}</li>`
+      );
+    });
+    out.push('</ol>');
+  }
+
+  if (plan.custom.length) {
+    out.push('<h2>Custom components</h2>', '<ul>');
+    plan.custom.forEach((c) =>
+      out.push(`<li><strong>${escapeHtml(c.label)}</strong>: ${c.description ? htmlText(c.description) : todo()}</li>`)
+    );
+    out.push('</ul>');
+  }
+
+  out.push('<h2>Open questions</h2>', `<ul><li>${todo()}</li></ul>`, '</body>', '</html>', '');
+  return out.join('\n');
+}
@@ -0,0 +1,99 @@
+// utils/diagram.js
+import { withEdgeMeta } from './edges.js';
+import { sizeOf } from './groups.js';
+
+// Fields React Flow adds to nodes/edges at runtime that say nothing about the design.
+const UI_NODE_FIELDS = ['selected', 'dragging', 'positionAbsolute', 'width', 'height'];
+const UI_EDGE_FIELDS = ['selected'];
+
+const omit = (obj, keys) => Object.fromEntries(Object.entries(obj).filter(([k]) => !keys.includes(k)));
+const withoutFunctions = (obj = {}) =>
+  Object.fromEntries(Object.entries(obj).filter(([, v]) => typeof v !== 'function'));
+
+/**
+ * Plain `{ nodes, edges }` without runtime-only fields or node callbacks,
+ * plus the walkthrough `steps` if there are any.
+ */
+export function serializeDiagram({ nodes, edges, steps }) {
+  return {
+    nodes: nodes.map((n) => ({ ...omit(n, UI_NODE_FIELDS), data: withoutFunctions(n.data) })),
+    edges: edges.map((e) => omit(e, UI_EDGE_FIELDS)),
+    ...(steps?.length ? { steps } : {}),
+  };
+}
+
+export const edgeId = ({ source, sourceHandle, target, targetHandle }) =>
+  `reactflow__edge-${source}${sourceHandle || ''}-${target}${targetHandle || ''}`;
+
+/**
+ * An edge with the same defaults as one drawn on the canvas. Its animation
+ * and stroke follow its metadata, as after an edit in the edge inspector.
+ */
+export function createEdge({ source, target, sourceHandle = null, targetHandle = null, ...rest }) {
+  return withEdgeMeta(
+    {
+      id: edgeId({ source, sourceHandle, target, targetHandle }),
+      source,
+      sourceHandle,
+      target,
+      targetHandle,
+      markerEnd: { type: 'arrowclosed' },
+      ...rest,
+    },
+    {}
+  );
+}
+
+const MERGE_GAP = 100;
+
+/**
+ * Adds `incoming` to `base`: incoming nodes whose id is already taken get a
+ * fresh one from `makeId` (edges follow them), and the top-level ones move
+ * to the right of the base diagram. Returns the merged `{ nodes, edges }`
+ * and the `addedIds`.
+ */
+export function mergeDiagram(base, incoming, { makeId }) {
+  const baseIds = new Set(base.nodes.map((n) => n.id));
+  const taken = new Set([...baseIds, ...incoming.nodes.map((n) => n.id)]);
+  const fresh = () => {
+    let nid;
+    do nid = makeId();
+    while (taken.has(nid));
+    taken.add(nid);
+    return nid;
+  };
+  const ids = new Map(incoming.nodes.map((n) => [n.id, baseIds.has(n.id) ? fresh() : n.id]));
+  const baseRoots = base.nodes.filter((n) => !n.parentNode);
+  const roots = incoming.nodes.filter((n) => !ids.has(n.parentNode));
+  let dx = 0;
+  let dy = 0;
+  if (baseRoots.length && roots.length) {
+    dx = Math.max(...baseRoots.map((n) => n.position.x + sizeOf(n).width)) + MERGE_GAP
+      - Math.min(...roots.map((n) => n.position.x));
+    dy = Math.min(...baseRoots.map((n) => n.position.y)) - Math.min(...roots.map((n) => n.position.y));
+  }
+
+  const nodes = incoming.nodes.map((n) => {
+    const nid = ids.get(n.id);
+    const { parentNode, ...rest } = n;
+    return {
+      ...rest,
+      id: nid,
+      ...(ids.has(parentNode)
+        ? { parentNode: ids.get(parentNode), position: n.position }
+        : { position: { x: n.position.x + dx, y: n.position.y + dy } }),
+      data: { ...n.data, ...(n.data?.id ? { id: nid } : {}) },
+    };
+  });
+  const edgeIds = new Set(base.edges.map((e) => e.id));
+  const edges = incoming.edges
+    .filter((e) => ids.has(e.source) && ids.has(e.target))
+    .map((e) => {
+      const moved = { ...e, source: ids.get(e.source), target: ids.get(e.target) };
+      let eid = moved.source === e.source && moved.target === e.target ? e.id : edgeId(moved);
+      for (let i = 2; edgeIds.has(eid); i++) eid = `${edgeId(moved)}-${i}`;
+      edgeIds.add(eid);
+      return { ...moved, id: eid };
+    });
+  return { nodes: [...base.nodes, ...nodes], edges: [...base.edges, ...edges], addedIds: [...ids.values()] };
+}
@@ -0,0 +1,443 @@
+// utils/diagramCode.js
+// Converts diagrams to and from text formats that live in Markdown repos:
+// Mermaid flowcharts, Graphviz DOT and (export only) PlantUML. Node
+// descriptions are written as notes attached to their node, which the
+// importers fold back into descriptions. Group containers become Mermaid
+// subgraphs, DOT clusters and PlantUML rectangles; importers ignore them.
+import { createEdge } from './diagram.js';
+import { layeredLayout } from './layout.js';
+import { isGroupNode } from './groups.js';
+
+const NOTE_SUFFIX = '_note';
+
+const safeId = (nid) => String(nid).replace(/[^A-Za-z0-9_]/g, '_');
+const labelOf = (n) => n.data?.label || n.id;
+const descriptionOf = (n) => (n.data?.description || '').trim();
+
+// ---------------------------------------------------------------- export
+
+// Walks the group tree depth-first. `open`/`close` wrap the members of a
+// group, `leaf` writes a regular node; each returns an array of lines.
+function nestLines(nodes, { open, close, leaf }, indent = '  ') {
+  const ids = new Set(nodes.map((n) => n.id));
+  const members = new Map();
+  nodes.forEach((n) => {
+    const key = ids.has(n.parentNode) ? n.parentNode : null;
+    members.set(key, [...(members.get(key) || []), n]);
+  });
+  const lines = [];
+  const visit = (parentId, pad) =>
+    (members.get(parentId) || []).forEach((n) => {
+      if (!isGroupNode(n)) {
+        lines.push(...leaf(n, pad));
+        return;
+      }
+      lines.push(...open(n, pad));
+      visit(n.id, `${pad}  `);
+      lines.push(...close(n, pad));
+    });
+  visit(null, indent);
+  return lines;
+}
+
+const mermaidText = (s) =>
+  String(s).replace(/"/g, '#quot;').replace(/\r?\n/g, '<br/>');
+
+export function toMermaid({ nodes, edges }, { direction = 'LR' } = {}) {
+  const lines = [`flowchart ${direction}`];
+  const notes = [];
+  lines.push(...nestLines(nodes, {
+    open: (g, pad) => [`${pad}subgraph ${safeId(g.id)}["${mermaidText(labelOf(g))}"]`],
+    close: (g, pad) => [`${pad}end`],
+    leaf: (n, pad) => {
+      const nid = safeId(n.id);
+      if (!descriptionOf(n)) return [`${pad}${nid}["${mermaidText(labelOf(n))}"]`];
+      notes.push(`  ${nid}${NOTE_SUFFIX} -.- ${nid}`);
+      return [
+        `${pad}${nid}["${mermaidText(labelOf(n))}"]`,
+        `${pad}${nid}${NOTE_SUFFIX}["${mermaidText(descriptionOf(n))}"]:::note`,
+      ];
+    },
+  }));
+  edges.forEach((e) => {
+    const label = e.label ? `|"${mermaidText(e.label)}"|` : '';
+    lines.push(`  ${safeId(e.source)} -->${label} ${safeId(e.target)}`);
+  });
+  lines.push(...notes);
+  if (notes.length) lines.push('  classDef note fill:#fff8c4,stroke:#d8c36a,color:#333');
+  return `${lines.join('\n')}\n`;
+}
+
+const dotText = (s) => `"${String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+
+export function toDot({ nodes, edges }, { direction = 'LR' } = {}) {
+  const lines = [
+    'digraph architecture {',
+    `  rankdir=${direction};`,
+    '  node [shape=box, style=rounded, fontname="Helvetica"];',
+  ];
+  const notes = [];
+  lines.push(...nestLines(nodes, {
+    open: (g, pad) => [`${pad}subgraph ${dotText(`cluster_${g.id}`)} {`, `${pad}  label=${dotText(labelOf(g))};`],
+    close: (g, pad) => [`${pad}}`],
+    leaf: (n, pad) => {
+      const out = [`${pad}${dotText(n.id)} [label=${dotText(labelOf(n))}];`];
+      if (descriptionOf(n)) {
+        const noteId = `${n.id}${NOTE_SUFFIX}`;
+        out.push(`${pad}${dotText(noteId)} [label=${dotText(descriptionOf(n))}, shape=note, style=filled, fillcolor="#fff8c4"];`);
+        notes.push(`  ${dotText(noteId)} -> ${dotText(n.id)} [style=dashed, arrowhead=none];`);
+      }
+      return out;
+    },
+  }));
+  edges.forEach((e) => {
+    const attrs = e.label ? ` [label=${dotText(e.label)}]` : '';
+    lines.push(`  ${dotText(e.source)} -> ${dotText(e.target)}${attrs};`);
+  });
+  lines.push(...notes, '}');
+  return `${lines.join('\n')}\n`;
+}
+
+const plantText = (s) => String(s).replace(/"/g, "'").replace(/\r?\n/g, ' ');
+
+export function toPlantUml({ nodes, edges }, { direction = 'LR' } = {}) {
+  const lines = ['@startuml', direction === 'LR' ? 'left to right direction' : 'top to bottom direction'];
+  lines.push(...nestLines(nodes, {
+    open: (g, pad) => [`${pad}rectangle "${plantText(labelOf(g))}" as ${safeId(g.id)} {`],
+    close: (g, pad) => [`${pad}}`],
+    leaf: (n, pad) => {
+      const nid = safeId(n.id);
+      const out = [`${pad}rectangle "${plantText(labelOf(n))}" as ${nid}`];
+      if (descriptionOf(n)) {
+        out.push(`${pad}note bottom of ${nid}`, ...descriptionOf(n).split(/\r?\n/).map((l) => `${pad}  ${l}`), `${pad}end note`);
+      }
+      return out;
+    },
+  }, ''));
+  edges.forEach((e) => {
+    const label = e.label ? ` : ${plantText(e.label)}` : '';
+    lines.push(`${safeId(e.source)} --> ${safeId(e.target)}${label}`);
+  });
+  lines.push('@enduml');
+  return `${lines.join('\n')}\n`;
+}
+
+export const CODE_FORMATS = {
+  mermaid: { name: 'Mermaid', extension: 'mmd', serialize: toMermaid },
+  dot: { name: 'Graphviz DOT', extension: 'dot', serialize: toDot },
+  plantuml: { name: 'PlantUML', extension: 'puml', serialize: toPlantUml },
+};
+
+// ---------------------------------------------------------------- import
+//
+// Both parsers return { direction, nodes: [{ id, label, note }], edges: [{ source, target, label }] }.
+
+const unmermaid = (s) =>
+  s.replace(/#quot;/g, '"').replace(/<br\s*\/?>/gi, '\n').replace(/#(\d+);/g, (_, c) => String.fromCharCode(c));
+
+const OPENERS = ['(((', '[[', '[(', '[/', '[\\', '((', '([', '{{', '[', '(', '{', '>'];
+// A `-` only between other id characters, so `A-->B` still reads as an edge.
+const ID_RE = /^[A-Za-z0-9_]+(?:-[A-Za-z0-9_]+)*/;
+const TEXT_ARROW_RE = /^\s*(--|==|-\.)\s+(.+?)\s+(-->|==>|\.->|---|===|\.-)\s*/;
+const ARROW_RE = /^\s*<?(--+|==+|-\.+-?)(>|o|x)?\s*(?:\|(.*?)\|)?\s*/;
+
+// `"text"` or `text`, from `-- text -->` or `-->|text|`.
+const edgeLabel = (raw = '') => {
+  const label = raw.trim();
+  const quoted = label.length > 1 && label.startsWith('"') && label.endsWith('"');
+  const inner = quoted ? label.slice(1, -1) : label;
+  if (inner.includes('"')) throw new Error(`Unbalanced quotes in the edge label ${label}.`);
+  return unmermaid(inner.trim());
+};
+
+export function parseMermaid(text) {
+  const graph = { direction: 'LR', nodes: [], edges: [] };
+  const byId = new Map();
+  const noteIds = new Set();
+
+  const upsert = (nid, label) => {
+    if (!byId.has(nid)) {
+      byId.set(nid, { id: nid, label: nid });
+      graph.nodes.push(byId.get(nid));
+    }
+    if (label != null) byId.get(nid).label = unmermaid(label.trim());
+    return nid;
+  };
+
+  // Reads `id`, `id["label"]`, `id(label)`, ... optionally followed by `:::class`.
+  const readNode = (s) => {
+    const idMatch = ID_RE.exec(s);
+    if (!idMatch) return null;
+    const nid = idMatch[0];
+    let rest = s.slice(nid.length);
+    let label = null;
+    const opener = OPENERS.find((o) => rest.startsWith(o));
+    if (opener) {
+      rest = rest.slice(opener.length).trimStart();
+      if (rest.startsWith('"')) {
+        const end = rest.indexOf('"', 1);
+        if (end === -1) throw new Error(`Unbalanced quotes in the label of ${nid}.`);
+        label = rest.slice(1, end);
+        rest = rest.slice(end + 1);
+      } else {
+        const end = rest.search(/[\])}]/);
+        if (end === -1) throw new Error(`The label of ${nid} is not closed.`);
+        label = rest.slice(0, end).replace(/[/\\]$/, '');
+        rest = rest.slice(end);
+      }
+      rest = rest.replace(/^[\])}/\\]+/, '');
+    }
+    const cls = /^:::(\w+)/.exec(rest);
+    if (cls) {
+      if (cls[1] === 'note') noteIds.add(nid);
+      rest = rest.slice(cls[0].length);
+    }
+    upsert(nid, label);
+    return { nid, rest: rest.trimStart() };
+  };
+
+  // Reads `a & b & c`.
+  const readNodes = (s) => {
+    const ids = [];
+    let rest = s;
+    for (;;) {
+      const node = readNode(rest);
+      if (!node) return ids.length ? { ids, rest } : null;
+      ids.push(node.nid);
+      rest = node.rest;
+      if (!rest.startsWith('&')) return { ids, rest };
+      rest = rest.slice(1).trimStart();
+    }
+  };
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.replace(/%%.*$/, '').trim().replace(/;$/, '');
+    if (!line) return;
+    const header = /^(?:flowchart|graph)\b\s*(\w+)?/i.exec(line);
+    if (header) {
+      graph.direction = /^(TB|TD|BT)$/i.test(header[1] || '') ? 'TB' : 'LR';
+      return;
+    }
+    const classStmt = /^class\s+([\w,\s]+?)\s+(\w+)$/.exec(line);
+    if (classStmt) {
+      if (classStmt[2] === 'note') classStmt[1].split(/[\s,]+/).forEach((nid) => noteIds.add(nid));
+      return;
+    }
+    if (/^(classDef|style|linkStyle|click|subgraph|end|direction)\b/.test(line)) return;
+
+    const unread = (rest) => new Error(`Cannot read "${rest}" on line ${i + 1}.`);
+    let left = readNodes(line);
+    if (!left) throw unread(line);
+    while (left.rest) {
+      const textArrow = TEXT_ARROW_RE.exec(left.rest);
+      const arrow = textArrow || ARROW_RE.exec(left.rest);
+      if (!arrow || !arrow[0].trim()) throw unread(left.rest);
+      const label = edgeLabel(textArrow ? textArrow[2] : arrow[3]);
+      const right = readNodes(left.rest.slice(arrow[0].length));
+      if (!right) throw unread(left.rest);
+      left.ids.forEach((source) => right.ids.forEach((target) => graph.edges.push({ source, target, label })));
+      left = right;
+    }
+  });
+
+  return foldNotes(graph, noteIds);
+}
+
+function tokenizeDot(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    const rest = text.slice(i);
+    if (/\s/.test(c)) {
+      i++;
+    } else if (rest.startsWith('//') || (c === '#' && (i === 0 || text[i - 1] === '\n'))) {
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? text.length : end;
+    } else if (rest.startsWith('/*')) {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else if (c === '"') {
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && i + 1 < text.length) {
+          const next = text[i + 1];
+          value += 'nlr'.includes(next) ? '\n' : next;
+          i += 2;
+        } else {
+          value += text[i++];
+        }
+      }
+      i++;
+      tokens.push({ type: 'id', value });
+    } else if (c === '<') {
+      let depth = 0;
+      const start = i;
+      do {
+        if (text[i] === '<') depth++;
+        if (text[i] === '>') depth--;
+        i++;
+      } while (depth > 0 && i < text.length);
+      tokens.push({ type: 'id', value: text.slice(start + 1, i - 1).replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '') });
+    } else if (rest.startsWith('->') || rest.startsWith('--')) {
+      tokens.push({ type: 'edgeop' });
+      i += 2;
+    } else if ('{}[]=;,:'.includes(c)) {
+      tokens.push({ type: c });
+      i++;
+    } else {
+      const m = /^(-?(?:\d+\.?\d*|\.\d+)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)/.exec(rest);
+      if (!m) throw new Error(`Unexpected character "${c}" in DOT input.`);
+      tokens.push({ type: 'id', value: m[0] });
+      i += m[0].length;
+    }
+  }
+  return tokens;
+}
+
+export function parseDot(text) {
+  const tokens = tokenizeDot(text);
+  const graph = { direction: 'TB', nodes: [], edges: [] };
+  const byId = new Map();
+  const noteIds = new Set();
+  let pos = 0;
+  const peek = (offset = 0) => tokens[pos + offset] || { type: 'eof' };
+  const isKeyword = (t, word) => t.type === 'id' && t.value.toLowerCase() === word;
+
+  const upsert = (nid) => {
+    if (!byId.has(nid)) {
+      byId.set(nid, { id: nid, label: nid });
+      graph.nodes.push(byId.get(nid));
+    }
+    return byId.get(nid);
+  };
+
+  const readAttrs = () => {
+    const attrs = {};
+    while (peek().type === '[') {
+      pos++;
+      while (peek().type !== ']' && peek().type !== 'eof') {
+        const key = peek();
+        if (key.type === 'id' && peek(1).type === '=') {
+          attrs[key.value] = peek(2).value;
+          pos += 3;
+        } else {
+          pos++;
+        }
+      }
+      pos++;
+    }
+    return attrs;
+  };
+
+  // Node id with an optional `:port[:compass]`, which is ignored.
+  const readNodeId = () => {
+    const nid = peek().value;
+    pos++;
+    while (peek().type === ':' && peek(1).type === 'id') pos += 2;
+    return nid;
+  };
+
+  if (isKeyword(peek(), 'strict')) pos++;
+  if (!isKeyword(peek(), 'digraph') && !isKeyword(peek(), 'graph')) {
+    throw new Error('DOT input must start with "digraph" or "graph".');
+  }
+  pos++;
+  if (peek().type === 'id') pos++;
+
+  while (peek().type !== 'eof') {
+    const t = peek();
+    if (t.type !== 'id') {
+      pos++;
+    } else if (['graph', 'node', 'edge'].some((k) => isKeyword(t, k)) && peek(1).type === '[') {
+      pos++;
+      const attrs = readAttrs();
+      if (isKeyword(t, 'graph') && attrs.rankdir) graph.direction = /^(LR|RL)$/i.test(attrs.rankdir) ? 'LR' : 'TB';
+    } else if (isKeyword(t, 'subgraph')) {
+      pos += peek(1).type === 'id' ? 2 : 1;
+    } else if (peek(1).type === '=') {
+      if (t.value.toLowerCase() === 'rankdir') graph.direction = /^(LR|RL)$/i.test(peek(2).value) ? 'LR' : 'TB';
+      pos += 3;
+    } else {
+      const chain = [readNodeId()];
+      while (peek().type === 'edgeop' && peek(1).type === 'id') {
+        pos++;
+        chain.push(readNodeId());
+      }
+      const attrs = readAttrs();
+      chain.forEach((nid) => upsert(nid));
+      if (chain.length === 1) {
+        const node = upsert(chain[0]);
+        if (attrs.label != null) node.label = attrs.label;
+        if (attrs.shape === 'note') noteIds.add(node.id);
+      }
+      for (let i = 1; i < chain.length; i++) {
+        graph.edges.push({ source: chain[i - 1], target: chain[i], label: attrs.label || '' });
+      }
+    }
+  }
+
+  return foldNotes(graph, noteIds);
+}
+
+// Turns note nodes into the description of the node they are linked to.
+function foldNotes(graph, noteIds) {
+  const notes = new Map(graph.nodes.filter((n) => noteIds.has(n.id)).map((n) => [n.id, n.label]));
+  const descriptions = new Map();
+  const edges = graph.edges.filter((e) => {
+    const [note, owner] = notes.has(e.source) ? [e.source, e.target] : [e.target, e.source];
+    if (!notes.has(note)) return true;
+    if (!notes.has(owner)) {
+      descriptions.set(owner, [descriptions.get(owner), notes.get(note)].filter(Boolean).join('\n'));
+    }
+    return false;
+  });
+  return {
+    direction: graph.direction,
+    nodes: graph.nodes
+      .filter((n) => !notes.has(n.id))
+      .map((n) => ({ ...n, note: descriptions.get(n.id) || '' })),
+    edges,
+  };
+}
+
+/** Detects Mermaid or DOT input and parses it. */
+export function parseDiagramCode(text) {
+  if (/^\s*(?:strict\s+)?(?:di)?graph\b[^\n{]*\{/i.test(text)) return parseDot(text);
+  if (/^\s*(?:%%[^\n]*\n\s*)*(?:flowchart|graph)\b/i.test(text)) return parseMermaid(text);
+  throw new Error('Unrecognised format: expected a Mermaid flowchart or a Graphviz DOT digraph.');
+}
+
+/**
+ * Builds a laid-out `sideNode` diagram from a parsed graph. Node ids become
+ * `node_N`; `resolveTool(label)` may return a catalog tool to link the node to.
+ */
+export function graphToDiagram(graph, { resolveTool = () => null } = {}) {
+  const ids = new Map(graph.nodes.map((n, i) => [n.id, `node_${i}`]));
+  const nodes = graph.nodes.map((n) => {
+    const nid = ids.get(n.id);
+    const tool = resolveTool(n.label);
+    return {
+      id: nid,
+      type: 'sideNode',
+      position: { x: 0, y: 0 },
+      data: {
+        id: nid,
+        label: n.label,
+        ...(tool ? { toolId: tool.id } : {}),
+        description: n.note,
+        isCustom: !tool,
+      },
+    };
+  });
+  const seen = new Set();
+  const edges = graph.edges.map((e) => {
+    const edge = createEdge({ source: ids.get(e.source), target: ids.get(e.target), ...(e.label ? { label: e.label } : {}) });
+    let unique = edge.id;
+    for (let n = 1; seen.has(unique); n++) unique = `${edge.id}-${n}`;
+    seen.add(unique);
+    return { ...edge, id: unique };
+  });
+  return { nodes: layeredLayout(nodes, edges, { direction: graph.direction }), edges };
+}
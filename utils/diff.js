@@ -0,0 +1,176 @@
+// utils/diff.js
+// Compares two versions of a diagram ("before" and "after"). Nodes are
+// matched by id first, then by label; edges by their matched endpoints.
+import { FLOW_MODES } from './edges.js';
+import { isGroupNode, sortNodes } from './groups.js';
+
+const NODE_FIELDS = [
+  ['label', (n) => n.data?.label],
+  ['description', (n) => n.data?.description],
+  ['tool', (n) => n.data?.toolId],
+  ['kind', (n) => n.data?.kind],
+];
+const EDGE_FIELDS = [
+  ['label', (e) => e.label],
+  ['flow', (e) => FLOW_MODES[e.data?.flow] || e.data?.flow],
+  ['format', (e) => e.data?.format],
+  ['volume', (e) => e.data?.volume],
+  ['line', (e) => e.data?.lineStyle],
+];
+
+export const removedId = (nid) => `before:${nid}`;
+
+const normalize = (label) => String(label || '').trim().toLowerCase();
+
+const changesOf = (fields, before, after) =>
+  fields
+    .map(([field, get]) => ({ field, from: get(before) || '', to: get(after) || '' }))
+    .filter((c) => c.from !== c.to);
+
+// beforeId → afterId. Unmatched nodes with the same label pair up left to right.
+function matchNodes(before, after) {
+  const match = new Map();
+  const afterIds = new Set(after.map((n) => n.id));
+  before.forEach((n) => afterIds.has(n.id) && match.set(n.id, n.id));
+
+  const taken = new Set(match.values());
+  const byX = (a, b) => a.position.x - b.position.x;
+  const free = after.filter((n) => !taken.has(n.id)).sort(byX);
+  before
+    .filter((n) => !match.has(n.id))
+    .sort(byX)
+    .forEach((n) => {
+      const i = free.findIndex((m) => normalize(m.data?.label) === normalize(n.data?.label) && normalize(n.data?.label));
+      if (i !== -1) match.set(n.id, free.splice(i, 1)[0].id);
+    });
+  return match;
+}
+
+/**
+ * Returns `{ nodes, edges, match }`: nodes and edges are lists of
+ * `{ status: 'added' | 'removed' | 'changed' | 'unchanged', before, after, changes: [{ field, from, to }] }`,
+ * `match` maps "before" node ids to "after" ones.
+ */
+export function diffDiagrams(before, after) {
+  const match = matchNodes(before.nodes, after.nodes);
+  const afterById = new Map(after.nodes.map((n) => [n.id, n]));
+  const beforeById = new Map(before.nodes.map((n) => [n.id, n]));
+  const matched = new Set(match.values());
+  const parentLabel = (n, byId) => byId.get(n.parentNode)?.data?.label || '';
+
+  const nodes = [
+    ...before.nodes.map((b) => {
+      const a = afterById.get(match.get(b.id));
+      if (!a) return { status: 'removed', before: b, after: null, changes: [] };
+      const changes = changesOf(NODE_FIELDS, b, a);
+      const from = parentLabel(b, beforeById);
+      const to = parentLabel(a, afterById);
+      if (from !== to) changes.push({ field: 'group', from, to });
+      return { status: changes.length ? 'changed' : 'unchanged', before: b, after: a, changes };
+    }),
+    ...after.nodes.filter((a) => !matched.has(a.id)).map((a) => ({ status: 'added', before: null, after: a, changes: [] })),
+  ];
+
+  // Edges are keyed by their endpoints in "after" ids; parallel edges by order.
+  const keyed = (edges, mapId) => {
+    const seen = new Map();
+    return edges.map((e) => {
+      const base = `${mapId(e.source)}->${mapId(e.target)}`;
+      const n = seen.get(base) || 0;
+      seen.set(base, n + 1);
+      return [`${base}#${n}`, e];
+    });
+  };
+  const afterEdges = new Map(keyed(after.edges, (nid) => nid));
+  const beforeEdges = keyed(before.edges, (nid) => match.get(nid) ?? removedId(nid));
+  const beforeKeys = new Set(beforeEdges.map(([k]) => k));
+  const edges = [
+    ...beforeEdges.map(([key, b]) => {
+      const a = afterEdges.get(key);
+      if (!a) return { status: 'removed', before: b, after: null, changes: [] };
+      const changes = changesOf(EDGE_FIELDS, b, a);
+      return { status: changes.length ? 'changed' : 'unchanged', before: b, after: a, changes };
+    }),
+    ...[...afterEdges]
+      .filter(([key]) => !beforeKeys.has(key))
+      .map(([, a]) => ({ status: 'added', before: null, after: a, changes: [] })),
+  ];
+  return { nodes, edges, match };
+}
+
+/**
+ * One diagram holding both versions: the "after" nodes and edges plus the
+ * removed ones (ids prefixed with `before:`), each with its `status` and
+ * `changes` in `data`.
+ */
+export function overlayDiagram(diff) {
+  const mapId = (nid) => diff.match.get(nid) ?? removedId(nid);
+  const nodes = diff.nodes.map(({ status, before, after, changes }) => {
+    const node = after || before;
+    const parentNode = after ? after.parentNode : before.parentNode && mapId(before.parentNode);
+    return {
+      id: after ? after.id : removedId(before.id),
+      type: isGroupNode(node) ? 'diffGroup' : 'diffNode',
+      position: node.position,
+      ...(node.style ? { style: node.style } : {}),
+      ...(parentNode ? { parentNode } : {}),
+      data: { label: node.data?.label || node.id, kind: node.data?.kind, status, changes },
+    };
+  });
+  const edges = diff.edges.map(({ status, before, after, changes }) => ({
+    id: after ? after.id : removedId(before.id),
+    source: after ? after.source : mapId(before.source),
+    target: after ? after.target : mapId(before.target),
+    label: changes.length
+      ? changes.map((c) => `${c.field}: ${c.from || '—'} → ${c.to || '—'}`).join('; ')
+      : (after || before).label,
+    className: `diff-edge diff-${status}`,
+    data: { status, changes },
+  }));
+  return { nodes: sortNodes(nodes), edges };
+}
+
+export function diffCounts(diff) {
+  const count = (items, status) => items.filter((i) => i.status === status).length;
+  return Object.fromEntries(
+    ['added', 'removed', 'changed'].map((s) => [s, { nodes: count(diff.nodes, s), edges: count(diff.edges, s) }])
+  );
+}
+
+const quote = (v) => (v ? `"${String(v).replace(/\s+/g, ' ')}"` : '(none)');
+
+/** A Markdown change summary, for pasting into a pull request. */
+export function diffSummary(diff, { beforeName = 'before', afterName = 'after' } = {}) {
+  const nodeLabel = (n) => n.data?.label || n.id;
+  const labelIn = (byId) => (nid) => nodeLabel(byId.get(nid) || { id: nid });
+  const beforeLabel = labelIn(new Map(diff.nodes.filter((d) => d.before).map((d) => [d.before.id, d.before])));
+  const afterLabel = labelIn(new Map(diff.nodes.filter((d) => d.after).map((d) => [d.after.id, d.after])));
+  const flowName = (e, label) => `${label(e.source)} → ${label(e.target)}`;
+  const describe = (item, kind) => {
+    const name =
+      kind === 'node'
+        ? nodeLabel(item.after || item.before)
+        : item.after
+          ? flowName(item.after, afterLabel)
+          : flowName(item.before, beforeLabel);
+    const changes = item.changes.map((c) => `${c.field} ${quote(c.from)} → ${quote(c.to)}`).join('; ');
+    return `- ${kind === 'node' ? 'Node' : 'Flow'} **${name}**${changes ? `: ${changes}` : ''}`;
+  };
+
+  const counts = diffCounts(diff);
+  const lines = [`### Architecture changes: ${beforeName} → ${afterName}`, ''];
+  if (!Object.values(counts).some((c) => c.nodes || c.edges)) return `${lines.join('\n')}\nNo differences.\n`;
+  lines.push(
+    ['added', 'removed', 'changed']
+      .map((s) => `${counts[s].nodes} node(s) and ${counts[s].edges} flow(s) ${s}`)
+      .join(', ') + '.'
+  );
+  [['added', 'Added'], ['removed', 'Removed'], ['changed', 'Changed']].forEach(([status, title]) => {
+    const items = [
+      ...diff.nodes.filter((d) => d.status === status).map((d) => describe(d, 'node')),
+      ...diff.edges.filter((d) => d.status === status).map((d) => describe(d, 'flow')),
+    ];
+    if (items.length) lines.push('', `#### ${title}`, ...items);
+  });
+  return `${lines.join('\n')}\n`;
+}
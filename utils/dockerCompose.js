@@ -0,0 +1,469 @@
+// utils/dockerCompose.js
+// Turns the open-source tools of a diagram into a docker-compose sandbox:
+// one service per node with a sensible image, ports and volumes, and
+// `depends_on` derived from the data flows. Tools without a container that
+// runs on a laptop are reported instead.
+import { findTool, slugify } from './catalog.js';
+import { isGroupNode } from './groups.js';
+
+const PYTHON = 'python:3.12-slim';
+// The official image runs the command it is given: master and workers start
+// their Spark class directly.
+const SPARK = 'apache/spark:3.5.1';
+const SPARK_CLASS = '/opt/spark/bin/spark-class';
+
+// A service running code that lives next to the compose file.
+const pythonApp = (packages, command, stub) => ({
+  image: PYTHON,
+  working_dir: '/app',
+  volumes: (s) => [`./${s}:/app`],
+  command: ['sh', '-c', `pip install --quiet ${packages} && ${command}`],
+  stub,
+});
+
+const FASTAPI_STUB = [
+  'main.py',
+  [
+    'from fastapi import FastAPI',
+    '',
+    'app = FastAPI()',
+    '',
+    '',
+    '@app.get("/")',
+    'def read_root():',
+    '    return {"status": "ok"}',
+  ],
+];
+
+// Per catalog tool. `ports` are "host:container"; host ports are moved up
+// when two services want the same one. Functions receive the service name
+// and a lookup `ctx.service(toolKey)` for the name of another service.
+// `passive` services only hold data, see dependsOn().
+const SERVICES = {
+  'open-source.apis.fastapi': {
+    ...pythonApp('fastapi uvicorn', 'uvicorn main:app --host 0.0.0.0 --port 8000 --reload', FASTAPI_STUB),
+    ports: ['8000:8000'],
+    urls: [['API docs', 'http://localhost:{8000}/docs']],
+  },
+  'open-source.apis.flask': {
+    ...pythonApp('flask', 'flask --app app run --host 0.0.0.0 --port 5000 --debug', [
+      'app.py',
+      ['from flask import Flask', '', 'app = Flask(__name__)', '', '', '@app.get("/")', 'def index():', '    return {"status": "ok"}'],
+    ]),
+    ports: ['5000:5000'],
+    urls: [['App', 'http://localhost:{5000}']],
+  },
+  'open-source.processing.python': {
+    ...pythonApp('requests', 'python main.py', ['main.py', ['print("Hello from the pipeline")']]),
+  },
+  'open-source.message-queues.apache-kafka': {
+    passive: true,
+    image: 'apache/kafka:3.7.0',
+    ports: ['29092:29092'],
+    environment: (s) => ({
+      KAFKA_NODE_ID: '1',
+      KAFKA_PROCESS_ROLES: 'broker,controller',
+      KAFKA_LISTENERS: 'INTERNAL://:9092,EXTERNAL://:29092,CONTROLLER://:9093',
+      KAFKA_ADVERTISED_LISTENERS: `INTERNAL://${s}:9092,EXTERNAL://localhost:29092`,
+      KAFKA_LISTENER_SECURITY_PROTOCOL_MAP: 'INTERNAL:PLAINTEXT,EXTERNAL:PLAINTEXT,CONTROLLER:PLAINTEXT',
+      KAFKA_INTER_BROKER_LISTENER_NAME: 'INTERNAL',
+      KAFKA_CONTROLLER_LISTENER_NAMES: 'CONTROLLER',
+      KAFKA_CONTROLLER_QUORUM_VOTERS: `1@${s}:9093`,
+      KAFKA_OFFSETS_TOPIC_REPLICATION_FACTOR: '1',
+    }),
+    volumes: (s) => [`${s}-data:/var/lib/kafka/data`],
+    urls: [['Bootstrap server (from the host)', 'localhost:{29092}'], ['Bootstrap server (from containers)', '{service}:9092']],
+  },
+  'open-source.message-queues.rabbitmq': {
+    passive: true,
+    image: 'rabbitmq:3-management',
+    ports: ['5672:5672', '15672:15672'],
+    urls: [['Management UI (guest / guest)', 'http://localhost:{15672}']],
+  },
+  'open-source.message-queues.redis': {
+    passive: true,
+    image: 'redis:7',
+    ports: ['6379:6379'],
+    volumes: (s) => [`${s}-data:/data`],
+    urls: [['Redis', 'redis://localhost:{6379}']],
+  },
+  'open-source.oltp-plus-file-stores.redis': {
+    passive: true,
+    image: 'redis:7',
+    ports: ['6379:6379'],
+    volumes: (s) => [`${s}-data:/data`],
+    urls: [['Redis', 'redis://localhost:{6379}']],
+  },
+  'open-source.data-integration-tools.apache-nifi': {
+    image: 'apache/nifi:1.25.0',
+    ports: ['8443:8443'],
+    environment: () => ({
+      SINGLE_USER_CREDENTIALS_USERNAME: 'admin',
+      SINGLE_USER_CREDENTIALS_PASSWORD: 'adminpassword123',
+    }),
+    urls: [['NiFi (admin / adminpassword123)', 'https://localhost:{8443}/nifi']],
+  },
+  'open-source.processing.apache-spark': {
+    image: SPARK,
+    command: (s) => [SPARK_CLASS, 'org.apache.spark.deploy.master.Master', '--host', s],
+    ports: ['8080:8080', '7077:7077'],
+    extra: (s) => ({
+      [`${s}-worker`]: {
+        image: SPARK,
+        command: [SPARK_CLASS, 'org.apache.spark.deploy.worker.Worker', `spark://${s}:7077`],
+        depends_on: [s],
+      },
+    }),
+    urls: [['Spark master UI', 'http://localhost:{8080}'], ['Spark master', 'spark://localhost:{7077}']],
+  },
+  'open-source.processing.apache-flink': {
+    image: 'flink:1.19',
+    command: ['jobmanager'],
+    ports: ['8081:8081'],
+    environment: (s) => ({ FLINK_PROPERTIES: `jobmanager.rpc.address: ${s}` }),
+    extra: (s) => ({
+      [`${s}-taskmanager`]: {
+        image: 'flink:1.19',
+        command: ['taskmanager'],
+        environment: { FLINK_PROPERTIES: `jobmanager.rpc.address: ${s}` },
+        depends_on: [s],
+      },
+    }),
+    urls: [['Flink dashboard', 'http://localhost:{8081}']],
+  },
+  'open-source.processing.dbt': {
+    image: 'ghcr.io/dbt-labs/dbt-postgres:1.7.latest',
+    working_dir: '/usr/app',
+    volumes: (s) => [`./${s}:/usr/app`],
+    command: ['debug'],
+    stub: ['README.md', ['Put your dbt project (dbt_project.yml, profiles.yml, models/) here.']],
+  },
+  'open-source.processing.logstash': {
+    image: 'docker.elastic.co/logstash/logstash:8.13.4',
+    ports: ['5044:5044', '9600:9600'],
+    urls: [['Logstash API', 'http://localhost:{9600}']],
+  },
+  'open-source.scheduling.airflow': {
+    image: 'apache/airflow:2.9.2',
+    command: ['standalone'],
+    ports: ['8080:8080'],
+    environment: () => ({ AIRFLOW__CORE__LOAD_EXAMPLES: 'false' }),
+    volumes: (s) => [`./${s}/dags:/opt/airflow/dags`],
+    stub: ['dags/.gitkeep', []],
+    urls: [['Airflow (user admin, password in the container log)', 'http://localhost:{8080}']],
+  },
+  'open-source.scheduling.luigi': {
+    ...pythonApp('luigi', 'luigid --port 8082'),
+    ports: ['8082:8082'],
+    urls: [['Luigi scheduler', 'http://localhost:{8082}']],
+  },
+  'open-source.scheduling.dagster': {
+    ...pythonApp('dagster dagster-webserver', 'dagster dev -h 0.0.0.0 -p 3000 -f definitions.py', [
+      'definitions.py',
+      ['from dagster import Definitions, asset', '', '', '@asset', 'def hello():', '    return "hello"', '', '', 'defs = Definitions(assets=[hello])'],
+    ]),
+    ports: ['3000:3000'],
+    urls: [['Dagster UI', 'http://localhost:{3000}']],
+  },
+  'open-source.scheduling.prefect': {
+    image: 'prefecthq/prefect:2-latest',
+    command: ['prefect', 'server', 'start', '--host', '0.0.0.0'],
+    ports: ['4200:4200'],
+    urls: [['Prefect UI', 'http://localhost:{4200}']],
+  },
+  'open-source.machine-learning.tensorflow': {
+    image: 'tensorflow/tensorflow:latest-jupyter',
+    ports: ['8888:8888'],
+    volumes: (s) => [`./${s}:/tf/notebooks`],
+    urls: [['Jupyter (token in the container log)', 'http://localhost:{8888}']],
+  },
+  'open-source.machine-learning.keras': {
+    image: 'tensorflow/tensorflow:latest-jupyter',
+    ports: ['8888:8888'],
+    volumes: (s) => [`./${s}:/tf/notebooks`],
+    urls: [['Jupyter (token in the container log)', 'http://localhost:{8888}']],
+  },
+  'open-source.machine-learning.pytorch': {
+    image: 'quay.io/jupyter/pytorch-notebook:latest',
+    ports: ['8888:8888'],
+    volumes: (s) => [`./${s}:/home/jovyan/work`],
+    urls: [['Jupyter (token in the container log)', 'http://localhost:{8888}']],
+  },
+  'open-source.oltp-plus-file-stores.mysql': {
+    passive: true,
+    image: 'mysql:8.4',
+    ports: ['3306:3306'],
+    environment: () => ({ MYSQL_ROOT_PASSWORD: 'example', MYSQL_DATABASE: 'pipeline' }),
+    volumes: (s) => [`${s}-data:/var/lib/mysql`],
+    urls: [['MySQL (root / example)', 'mysql://localhost:{3306}/pipeline']],
+  },
+  'open-source.oltp-plus-file-stores.mongodb': {
+    passive: true,
+    image: 'mongo:7',
+    ports: ['27017:27017'],
+    volumes: (s) => [`${s}-data:/data/db`],
+    urls: [['MongoDB', 'mongodb://localhost:{27017}']],
+  },
+  'open-source.oltp-plus-file-stores.postgres': {
+    passive: true,
+    image: 'postgres:16',
+    ports: ['5432:5432'],
+    environment: () => ({ POSTGRES_PASSWORD: 'example', POSTGRES_DB: 'pipeline' }),
+    volumes: (s) => [`${s}-data:/var/lib/postgresql/data`],
+    urls: [['Postgres (postgres / example)', 'postgresql://localhost:{5432}/pipeline']],
+  },
+  'open-source.oltp-plus-file-stores.timescaledb': {
+    passive: true,
+    image: 'timescale/timescaledb:latest-pg16',
+    ports: ['5432:5432'],
+    environment: () => ({ POSTGRES_PASSWORD: 'example', POSTGRES_DB: 'pipeline' }),
+    volumes: (s) => [`${s}-data:/var/lib/postgresql/data`],
+    urls: [['TimescaleDB (postgres / example)', 'postgresql://localhost:{5432}/pipeline']],
+  },
+  'open-source.oltp-plus-file-stores.elasticsearch': {
+    passive: true,
+    image: 'docker.elastic.co/elasticsearch/elasticsearch:8.13.4',
+    ports: ['9200:9200'],
+    environment: () => ({
+      'discovery.type': 'single-node',
+      'xpack.security.enabled': 'false',
+      ES_JAVA_OPTS: '-Xms512m -Xmx512m',
+    }),
+    volumes: (s) => [`${s}-data:/usr/share/elasticsearch/data`],
+    urls: [['Elasticsearch', 'http://localhost:{9200}']],
+  },
+  'open-source.oltp-plus-file-stores.minio': {
+    passive: true,
+    image: 'minio/minio:latest',
+    command: ['server', '/data', '--console-address', ':9001'],
+    ports: ['9000:9000', '9001:9001'],
+    environment: () => ({ MINIO_ROOT_USER: 'minioadmin', MINIO_ROOT_PASSWORD: 'minioadmin' }),
+    volumes: (s) => [`${s}-data:/data`],
+    urls: [['S3 API', 'http://localhost:{9000}'], ['MinIO console (minioadmin / minioadmin)', 'http://localhost:{9001}']],
+  },
+  'open-source.olap.influxdb': {
+    passive: true,
+    image: 'influxdb:2.7',
+    ports: ['8086:8086'],
+    environment: () => ({
+      DOCKER_INFLUXDB_INIT_MODE: 'setup',
+      DOCKER_INFLUXDB_INIT_USERNAME: 'admin',
+      DOCKER_INFLUXDB_INIT_PASSWORD: 'adminpassword',
+      DOCKER_INFLUXDB_INIT_ORG: 'pipeline',
+      DOCKER_INFLUXDB_INIT_BUCKET: 'pipeline',
+    }),
+    volumes: (s) => [`${s}-data:/var/lib/influxdb2`],
+    urls: [['InfluxDB (admin / adminpassword)', 'http://localhost:{8086}']],
+  },
+  'open-source.olap.presto': {
+    image: 'prestodb/presto:0.287',
+    ports: ['8080:8080'],
+    urls: [['Presto UI', 'http://localhost:{8080}']],
+  },
+  'open-source.olap.apache-hive': {
+    passive: true,
+    image: 'apache/hive:4.0.0',
+    ports: ['10000:10000', '10002:10002'],
+    environment: () => ({ SERVICE_NAME: 'hiveserver2' }),
+    urls: [['HiveServer2 UI', 'http://localhost:{10002}'], ['JDBC', 'jdbc:hive2://localhost:{10000}']],
+  },
+  'open-source.data-catalog.hive-metastore': {
+    passive: true,
+    image: 'apache/hive:4.0.0',
+    ports: ['9083:9083'],
+    environment: () => ({ SERVICE_NAME: 'metastore' }),
+    urls: [['Metastore (Thrift)', 'thrift://localhost:{9083}']],
+  },
+  'open-source.bi-tools.streamlit': {
+    ...pythonApp('streamlit', 'streamlit run app.py --server.address 0.0.0.0 --server.port 8501', [
+      'app.py',
+      ['import streamlit as st', '', 'st.title("Pipeline dashboard")'],
+    ]),
+    ports: ['8501:8501'],
+    urls: [['Streamlit app', 'http://localhost:{8501}']],
+  },
+  'open-source.bi-tools.grafana': {
+    image: 'grafana/grafana:latest',
+    ports: ['3000:3000'],
+    volumes: (s) => [`${s}-data:/var/lib/grafana`],
+    urls: [['Grafana (admin / admin)', 'http://localhost:{3000}']],
+  },
+  'open-source.bi-tools.kibana': {
+    image: 'docker.elastic.co/kibana/kibana:8.13.4',
+    ports: ['5601:5601'],
+    environment: (s, ctx) => ({
+      ELASTICSEARCH_HOSTS: `http://${ctx.service('open-source.oltp-plus-file-stores.elasticsearch') || 'elasticsearch'}:9200`,
+    }),
+    urls: [['Kibana', 'http://localhost:{5601}']],
+  },
+  'open-source.bi-tools.apache-superset': {
+    image: 'apache/superset:4.0.1',
+    ports: ['8088:8088'],
+    environment: () => ({ SUPERSET_SECRET_KEY: 'change-me-in-production' }),
+    command: [
+      'sh',
+      '-c',
+      'superset db upgrade && superset fab create-admin --username admin --password admin --firstname Admin ' +
+        '--lastname User --email admin@example.com; superset init && superset run -h 0.0.0.0 -p 8088',
+    ],
+    urls: [['Superset (admin / admin)', 'http://localhost:{8088}']],
+  },
+  'open-source.bi-tools.metabase': {
+    image: 'metabase/metabase:latest',
+    ports: ['3000:3000'],
+    urls: [['Metabase', 'http://localhost:{3000}']],
+  },
+};
+
+// Open-source tools that are left out on purpose.
+const SKIPPED = {
+  'open-source.apis.django': 'needs a project layout, start one with django-admin',
+  'open-source.apis.graphql': 'a query language, not a service',
+  'open-source.data-integration-tools.airbyte': 'ships its own installer (abctl)',
+  'open-source.processing.docker': 'Docker runs the sandbox itself',
+  'open-source.processing.kubernetes': 'use a local cluster such as kind or minikube',
+  'open-source.olap.apache-druid': 'needs several cooperating services, see the Druid docker guide',
+  'open-source.data-catalog.amundsen': 'needs several cooperating services, see the Amundsen docker guide',
+};
+
+/**
+ * Maps the nodes of a diagram to services. Returns `{ services, skipped }`:
+ * services as `{ node, tool, name, spec }`, skipped as `{ label, reason }`.
+ */
+export function planCompose({ nodes }, catalog) {
+  const names = new Set();
+  const services = [];
+  const skipped = [];
+  nodes.filter((n) => !isGroupNode(n)).forEach((node) => {
+    const label = node.data?.label || node.id;
+    const tool = findTool(catalog, node.data);
+    const spec = tool && SERVICES[tool.id];
+    if (!spec) {
+      const reason = !tool
+        ? 'custom element'
+        : SKIPPED[tool.id] || `${tool.platform} tool, not available as a container`;
+      skipped.push({ label, reason });
+      return;
+    }
+    let name = slugify(tool.name).replace(/^apache-/, '') || 'service';
+    for (let i = 2; names.has(name); i++) name = `${name.replace(/-\d+$/, '')}-${i}`;
+    names.add(name);
+    services.push({ node, tool, name, spec });
+  });
+  return { services, skipped };
+}
+
+// Along an edge the active side waits for the passive one (a store or a
+// queue); between two active services the consumer waits for the producer.
+// Dependencies that would close a cycle are dropped, Compose rejects them.
+function dependsOn(services, edges) {
+  const byNode = new Map(services.map((s) => [s.node.id, s]));
+  const deps = new Map(services.map((s) => [s.name, new Set()]));
+  const reaches = (from, to) => {
+    const seen = new Set();
+    const stack = [from];
+    while (stack.length) {
+      const cur = stack.pop();
+      if (cur === to) return true;
+      if (seen.has(cur)) continue;
+      seen.add(cur);
+      stack.push(...deps.get(cur));
+    }
+    return false;
+  };
+  edges.forEach((e) => {
+    const source = byNode.get(e.source);
+    const target = byNode.get(e.target);
+    if (!source || !target || source === target) return;
+    const [waiter, waited] = target.spec.passive && !source.spec.passive ? [source, target] : [target, source];
+    if (!reaches(waited.name, waiter.name)) deps.get(waiter.name).add(waited.name);
+  });
+  return deps;
+}
+
+// YAML scalars are written as JSON strings, which YAML reads as-is.
+const scalar = (v) => (typeof v === 'number' ? String(v) : JSON.stringify(String(v)));
+
+function toYaml(value, indent = '') {
+  if (Array.isArray(value)) return value.map((v) => `${indent}- ${scalar(v)}`).join('\n');
+  return Object.entries(value)
+    .filter(([, v]) => v != null && !(Array.isArray(v) && !v.length))
+    .map(([k, v]) => (typeof v === 'object' ? `${indent}${k}:\n${toYaml(v, `${indent}  `)}` : `${indent}${k}: ${scalar(v)}`))
+    .join('\n');
+}
+
+/**
+ * Returns `{ files, services, skipped }` with `docker-compose.yml`, a README
+ * and stub code for the services that run code from the sandbox folder.
+ */
+export function generateCompose(diagram, catalog) {
+  const { services, skipped } = planCompose(diagram, catalog);
+  const deps = dependsOn(services, diagram.edges);
+  const ctx = { service: (tid) => services.find((s) => s.tool.id === tid)?.name };
+  const usedPorts = new Set();
+  const hostPorts = new Map();
+  const volumes = new Set();
+  const compose = {};
+  const files = {};
+
+  services.forEach(({ name, spec, node }) => {
+    const ports = (spec.ports || []).map((p) => {
+      const [host, container] = p.split(':').map(Number);
+      let free = host;
+      while (usedPorts.has(free)) free++;
+      usedPorts.add(free);
+      hostPorts.set(`${name}:${host}`, free);
+      return `${free}:${container}`;
+    });
+    const mounts = spec.volumes ? spec.volumes(name) : [];
+    mounts.filter((v) => !v.startsWith('.')).forEach((v) => volumes.add(v.split(':')[0]));
+    compose[name] = {
+      image: spec.image,
+      working_dir: spec.working_dir,
+      command: typeof spec.command === 'function' ? spec.command(name) : spec.command,
+      ports,
+      environment: spec.environment?.(name, ctx),
+      volumes: mounts,
+      depends_on: [...deps.get(name)],
+    };
+    Object.assign(compose, spec.extra?.(name));
+    if (spec.stub) {
+      const [file, lines] = spec.stub;
+      files[`${name}/${file}`] = lines.length ? `${lines.join('\n')}\n` : '';
+    }
+    if (node.data?.description) compose[name].labels = { description: node.data.description };
+  });
+
+  const urlOf = (name, template) =>
+    template.replace('{service}', name).replace(/\{(\d+)\}/g, (_, p) => hostPorts.get(`${name}:${p}`) ?? p);
+
+  const yaml = [
+    '# Generated from an ETL pipeline diagram: a local sandbox, not a production setup.',
+    `services:\n${toYaml(compose, '  ')}`,
+    ...(volumes.size ? [`volumes:\n${[...volumes].map((v) => `  ${v}:`).join('\n')}`] : []),
+  ].join('\n\n');
+
+  const readme = [
+    '# Local sandbox',
+    '',
+    'Generated from an ETL pipeline diagram. Start it with',
+    '',
+    '```sh',
+    'docker compose up -d',
+    '```',
+    '',
+    '## Services',
+    '',
+    ...services.flatMap(({ name, node, spec }) => [
+      `- **${name}** (${node.data?.label || name})`,
+      ...(spec.urls || []).map(([label, url]) => `  - ${label}: ${urlOf(name, url)}`),
+    ]),
+    ...(skipped.length
+      ? ['', '## Not included', '', ...skipped.map(({ label, reason }) => `- ${label}: ${reason}`)]
+      : []),
+  ];
+
+  files['docker-compose.yml'] = `${yaml}\n`;
+  files['README.md'] = `${readme.join('\n')}\n`;
+  return { files, services: services.length, skipped };
+}
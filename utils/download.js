@@ -0,0 +1,26 @@
+// utils/download.js
+
+export function downloadUrl(url, filename) {
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  downloadUrl(url, filename);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function downloadText(text, filename, type = 'text/plain') {
+  downloadBlob(new Blob([text], { type }), filename);
+}
+
+/** Zips `files` (a `{ path: text or Blob }` map; paths may contain folders) and downloads the archive. */
+export async function downloadZip(files, filename) {
+  const { default: JSZip } = await import('jszip');
+  const zip = new JSZip();
+  Object.entries(files).forEach(([path, text]) => zip.file(path, text));
+  downloadBlob(await zip.generateAsync({ type: 'blob' }), filename);
+}
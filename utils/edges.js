@@ -0,0 +1,45 @@
+// utils/edges.js
+// Data-flow metadata on edges. It lives in `edge.data` next to the edge
+// `label`; `animated` and the stroke style are derived from it so that
+// exported JSON renders the same wherever it is loaded.
+
+export const FLOW_MODES = {
+  batch: 'Batch',
+  streaming: 'Streaming',
+  request: 'Request/response',
+  cdc: 'CDC',
+};
+
+export const DATA_FORMATS = ['JSON', 'Avro', 'Parquet', 'CSV', 'Protobuf', 'ORC', 'Delta'];
+
+export const LINE_STYLES = {
+  solid: undefined,
+  dashed: '8 4',
+  dotted: '2 4',
+};
+
+const ANIMATED_FLOWS = ['streaming', 'cdc'];
+
+/**
+ * Returns `edge` with `changes` merged into its metadata. Accepts `label`
+ * plus the `data` fields `flow`, `format`, `volume` and `lineStyle`.
+ */
+export function withEdgeMeta(edge, { label, ...changes }) {
+  const data = { ...edge.data, ...changes };
+  Object.keys(data).forEach((k) => (data[k] === '' || data[k] == null) && delete data[k]);
+  const next = { ...edge, data };
+  if (label !== undefined) next.label = label;
+  if (!next.label) delete next.label;
+  next.animated = ANIMATED_FLOWS.includes(data.flow);
+  const dash = LINE_STYLES[data.lineStyle];
+  const { strokeDasharray, ...style } = next.style || {};
+  next.style = dash ? { ...style, strokeDasharray: dash } : style;
+  if (!Object.keys(next.style).length) delete next.style;
+  return next;
+}
+
+/** Short summary of the metadata for the label on the canvas, e.g. "Streaming · Avro · 5k events/s". */
+export function edgeSummary(edge) {
+  const { flow, format, volume } = edge.data || {};
+  return [FLOW_MODES[flow], format, volume].filter(Boolean).join(' · ');
+}
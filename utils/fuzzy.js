@@ -0,0 +1,54 @@
+// utils/fuzzy.js
+
+/**
+ * Matches `query` against `text`. A substring match scores highest; otherwise
+ * the query characters must appear in order without spreading too far apart.
+ * Returns `{ score, indices }` (indices of matched characters in `text`) or null.
+ */
+export function fuzzyMatch(query, text) {
+  const q = String(query || '').trim().toLowerCase();
+  const t = String(text || '').toLowerCase();
+  if (!q || !t) return null;
+
+  const at = t.indexOf(q);
+  if (at !== -1) {
+    const wordStart = at === 0 || /[^a-z0-9]/.test(t[at - 1]);
+    return {
+      score: 100 + (wordStart ? 20 : 0) - at,
+      indices: Array.from({ length: q.length }, (_, i) => at + i),
+    };
+  }
+
+  const chars = q.replace(/\s+/g, '');
+  const indices = [];
+  let from = 0;
+  for (const c of chars) {
+    const i = t.indexOf(c, from);
+    if (i === -1) return null;
+    indices.push(i);
+    from = i + 1;
+  }
+  const span = indices[indices.length - 1] - indices[0] + 1;
+  if (span > chars.length * 3) return null;
+  return { score: Math.round((chars.length / span) * 50) - indices[0], indices };
+}
+
+const ALIAS_PENALTY = 25;
+
+/**
+ * Matches a catalog tool by its name and aliases. Returns the best hit as
+ * `{ score, field, text, indices }` where `field` is 'name' or 'alias'.
+ */
+export function matchTool(query, tool) {
+  let best = null;
+  [tool.name, ...(tool.aliases || [])].forEach((text, i) => {
+    const m = fuzzyMatch(query, text);
+    if (!m) return;
+    // Aliases only win when they match clearly better than the display name.
+    const score = i === 0 ? m.score : m.score - ALIAS_PENALTY;
+    if (!best || score > best.score) {
+      best = { ...m, score, field: i === 0 ? 'name' : 'alias', text };
+    }
+  });
+  return best;
+}
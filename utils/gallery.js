@@ -0,0 +1,38 @@
+// utils/gallery.js
+// The example designs listed in `public/designs/index.json`. Older entries
+// only have `file` and `description`; the rest of the metadata is optional.
+
+export const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+export function normalizeEntry(entry) {
+  return {
+    file: entry.file,
+    title: entry.title || entry.description || entry.file.replace(/\.json$/, ''),
+    description: entry.description || '',
+    tags: entry.tags || [],
+    platforms: entry.platforms || [],
+    author: entry.author || '',
+    difficulty: DIFFICULTIES.includes(entry.difficulty) ? entry.difficulty : null,
+    updated: entry.updated || null,
+  };
+}
+
+/** Every tag and platform used in the gallery, for the filter chips. */
+export function galleryTags(entries) {
+  const tags = new Set(entries.flatMap((e) => [...e.platforms, ...e.tags]));
+  return [...tags].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Entries matching every word of `query` (title, description, tags,
+ * platforms, author) and carrying every tag in `tags`.
+ */
+export function filterDesigns(entries, { query = '', tags = [] } = {}) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return entries.filter((e) => {
+    const labels = [...e.platforms, ...e.tags];
+    if (!tags.every((t) => labels.includes(t))) return false;
+    const text = [e.title, e.description, e.author, ...labels].join(' ').toLowerCase();
+    return words.every((w) => text.includes(w));
+  });
+}
@@ -0,0 +1,196 @@
+// utils/groups.js
+// Group containers ("groupNode") hold other nodes through React Flow's
+// `parentNode`: a child's position is relative to its parent, so children
+// move with the container, and containers can be nested.
+import { CATEGORIES } from './catalog.js';
+
+export const GROUP_KINDS = {
+  group: { label: 'Group' },
+  vpc: { label: 'VPC' },
+  account: { label: 'AWS account' },
+  bronze: { label: 'Bronze layer' },
+  silver: { label: 'Silver layer' },
+  gold: { label: 'Gold layer' },
+  onprem: { label: 'On-premises' },
+  cloud: { label: 'Cloud' },
+  lane: { label: 'Lane' },
+};
+
+export const GROUP_SIZE = { width: 400, height: 260 };
+const DEFAULT_SIZE = { width: 200, height: 80 };
+const LANE_PADDING = 60;
+const LANE_HEADER = 40;
+const LANE_GAP = 30;
+
+export const isGroupNode = (n) => n.type === 'groupNode';
+
+export const sizeOf = (n) => ({
+  width: n.width ?? n.style?.width ?? DEFAULT_SIZE.width,
+  height: n.height ?? n.style?.height ?? DEFAULT_SIZE.height,
+});
+
+export function absolutePosition(node, byId) {
+  let { x, y } = node.position;
+  for (let p = byId.get(node.parentNode); p; p = byId.get(p.parentNode)) {
+    x += p.position.x;
+    y += p.position.y;
+  }
+  return { x, y };
+}
+
+const depthOf = (node, byId) => {
+  let depth = 0;
+  for (let p = byId.get(node.parentNode); p; p = byId.get(p.parentNode)) depth++;
+  return depth;
+};
+
+const isDescendant = (node, ancestorId, byId) => {
+  for (let p = byId.get(node.parentNode); p; p = byId.get(p.parentNode)) {
+    if (p.id === ancestorId) return true;
+  }
+  return false;
+};
+
+/**
+ * React Flow needs parents before their children. Groups go first (outer
+ * before inner) so they render behind the nodes they contain.
+ */
+export function sortNodes(nodes) {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const rank = (n) => (isGroupNode(n) ? depthOf(n, byId) : Number.MAX_SAFE_INTEGER);
+  return nodes
+    .map((n, i) => ({ n, i }))
+    .sort((a, b) => rank(a.n) - rank(b.n) || a.i - b.i)
+    .map(({ n }) => n);
+}
+
+/** Innermost group (excluding `node` and its descendants) that contains the centre of `node`. */
+function containerOf(node, nodes, byId) {
+  const pos = absolutePosition(node, byId);
+  const size = sizeOf(node);
+  const cx = pos.x + size.width / 2;
+  const cy = pos.y + size.height / 2;
+  let best = null;
+  nodes.forEach((g) => {
+    if (!isGroupNode(g) || g.id === node.id || isDescendant(g, node.id, byId)) return;
+    const gp = absolutePosition(g, byId);
+    const gs = sizeOf(g);
+    const inside = cx >= gp.x && cx <= gp.x + gs.width && cy >= gp.y && cy <= gp.y + gs.height;
+    if (inside && (!best || gs.width * gs.height < best.area)) best = { group: g, area: gs.width * gs.height };
+  });
+  return best?.group || null;
+}
+
+/**
+ * Moves the given nodes into the innermost group under their centre, or out
+ * of their group when they were dragged outside it. Positions are converted
+ * so nothing moves on screen.
+ */
+export function reparentNodes(nodes, nodeIds) {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const updates = new Map();
+  nodeIds.forEach((nid) => {
+    const node = byId.get(nid);
+    if (!node) return;
+    const parent = containerOf(node, nodes, byId);
+    if ((parent?.id || undefined) === (node.parentNode || undefined)) return;
+    const abs = absolutePosition(node, byId);
+    const base = parent ? absolutePosition(parent, byId) : { x: 0, y: 0 };
+    const { parentNode, ...rest } = node;
+    updates.set(nid, {
+      ...rest,
+      ...(parent ? { parentNode: parent.id } : {}),
+      position: { x: abs.x - base.x, y: abs.y - base.y },
+    });
+  });
+  if (!updates.size) return nodes;
+  return sortNodes(nodes.map((n) => updates.get(n.id) || n));
+}
+
+/** Hands the children of `groupId` to its own parent (or the canvas), keeping them in place. */
+export function releaseChildren(nodes, groupId) {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const group = byId.get(groupId);
+  if (!group) return nodes;
+  return nodes.map((n) => {
+    if (n.parentNode !== groupId) return n;
+    const { parentNode, ...rest } = n;
+    return {
+      ...rest,
+      ...(group.parentNode ? { parentNode: group.parentNode } : {}),
+      position: { x: n.position.x + group.position.x, y: n.position.y + group.position.y },
+    };
+  });
+}
+
+/**
+ * `{ nodes, edges }` without the nodes `nodeIds`, the edges `edgeIds` and the
+ * edges of removed nodes. Members of a removed group stay on the canvas, as
+ * with releaseChildren().
+ */
+export function removeElements({ nodes, edges }, { nodeIds = [], edgeIds = [] }) {
+  const removed = new Set(nodeIds);
+  const released = nodeIds.reduce(releaseChildren, nodes);
+  return {
+    nodes: released.filter((n) => !removed.has(n.id)),
+    edges: edges.filter((e) => !edgeIds.includes(e.id) && !removed.has(e.source) && !removed.has(e.target)),
+  };
+}
+
+export function createGroupNode(nid, kind, position, { label, size = GROUP_SIZE } = {}) {
+  return {
+    id: nid,
+    type: 'groupNode',
+    position,
+    style: { width: size.width, height: size.height },
+    data: { id: nid, label: label || GROUP_KINDS[kind]?.label || 'Group', kind },
+  };
+}
+
+/**
+ * Adds horizontal swimlanes, one per pipeline stage (Connect at the top,
+ * Visualize at the bottom), spanning the width of the diagram. Top-level
+ * catalog nodes move into the lane of their stage and keep their x
+ * position; other top-level nodes join whichever lane they end up over.
+ */
+export function addStageLanes(nodes, { makeId, toolOf }) {
+  const top = nodes.filter((n) => !n.parentNode && !isGroupNode(n));
+  const boxes = top.map((n) => ({ ...n.position, ...sizeOf(n) }));
+  const minX = boxes.length ? Math.min(...boxes.map((b) => b.x)) : 0;
+  const maxX = boxes.length ? Math.max(...boxes.map((b) => b.x + b.width)) : 800;
+  const minY = boxes.length ? Math.min(...boxes.map((b) => b.y)) : 0;
+  const laneX = minX - LANE_PADDING;
+  const width = maxX - minX + LANE_PADDING * 2;
+
+  const moved = new Map();
+  let y = minY - LANE_PADDING;
+  const lanes = CATEGORIES.map((stage) => {
+    const members = top
+      .filter((n) => toolOf(n)?.category === stage)
+      .sort((a, b) => a.position.x - b.position.x);
+    // Greedy rows: a node goes into the first row it does not overlap.
+    const rowEnds = [];
+    const rowOf = members.map((n) => {
+      const { width: w } = sizeOf(n);
+      let row = rowEnds.findIndex((end) => n.position.x >= end + LANE_GAP);
+      if (row === -1) row = rowEnds.push(0) - 1;
+      rowEnds[row] = n.position.x + w;
+      return row;
+    });
+    const rowHeight = Math.max(DEFAULT_SIZE.height, ...members.map((n) => sizeOf(n).height)) + LANE_GAP;
+    const height = Math.max(rowEnds.length, 1) * rowHeight + LANE_HEADER + LANE_GAP;
+    const lane = createGroupNode(makeId(), 'lane', { x: laneX, y }, { label: stage, size: { width, height } });
+    members.forEach((n, i) =>
+      moved.set(n.id, {
+        ...n,
+        parentNode: lane.id,
+        position: { x: n.position.x - laneX, y: LANE_HEADER + rowOf[i] * rowHeight },
+      })
+    );
+    y += height;
+    return lane;
+  });
+
+  const all = sortNodes([...lanes, ...nodes.map((n) => moved.get(n.id) || n)]);
+  return reparentNodes(all, top.filter((n) => !moved.has(n.id)).map((n) => n.id));
+}
@@ -0,0 +1,81 @@
+// utils/imageExport.js
+import { toPng, toSvg } from 'html-to-image';
+import { getRectOfNodes } from 'reactflow';
+import { downloadUrl } from './download.js';
+
+const PADDING = 40;
+const PDF_MARGIN = 24;
+
+/**
+ * html-to-image options for capturing `.react-flow__viewport`: either the
+ * visible area at the current zoom, or the whole diagram at zoom 1.
+ */
+function captureOptions(viewportEl, nodes, { area, background, includeDescriptions, scale }) {
+  const filter = (el) => {
+    const cls = el.classList;
+    if (!cls) return true;
+    if (cls.contains('node-delete-btn') || cls.contains('node-ports-btn')) return false;
+    return includeDescriptions || !cls.contains('node-desc');
+  };
+  const base = {
+    filter,
+    pixelRatio: scale,
+    backgroundColor: background === 'white' ? '#fff' : undefined,
+  };
+
+  if (area === 'viewport') {
+    const { width, height } = viewportEl.closest('.react-flow').getBoundingClientRect();
+    return { ...base, width, height };
+  }
+
+  const bounds = getRectOfNodes(nodes);
+  const width = Math.ceil(bounds.width + PADDING * 2);
+  const height = Math.ceil(bounds.height + PADDING * 2);
+  return {
+    ...base,
+    width,
+    height,
+    style: {
+      width: `${width}px`,
+      height: `${height}px`,
+      transform: `translate(${PADDING - bounds.x}px, ${PADDING - bounds.y}px) scale(1)`,
+    },
+  };
+}
+
+/** The whole diagram on white as a PNG data URL, e.g. to embed in a document. */
+export function renderDiagramPng(viewportEl, nodes, { includeDescriptions = false, scale = 2 } = {}) {
+  if (!nodes.length) throw new Error('The diagram is empty.');
+  return toPng(viewportEl, captureOptions(viewportEl, nodes, { area: 'full', background: 'white', includeDescriptions, scale }));
+}
+
+/**
+ * Renders the canvas in the browser and downloads it as `architecture.<format>`.
+ * Options: `format` ('png' | 'svg' | 'pdf'), `area` ('full' | 'viewport'),
+ * `background` ('white' | 'transparent'), `includeDescriptions` and `scale`
+ * (pixel ratio for PNG and the image embedded in the PDF).
+ */
+export async function exportDiagramImage(viewportEl, nodes, options) {
+  if (!nodes.length) throw new Error('The diagram is empty.');
+  const opts = captureOptions(viewportEl, nodes, options);
+
+  if (options.format === 'svg') {
+    downloadUrl(await toSvg(viewportEl, { ...opts, pixelRatio: 1 }), 'architecture.svg');
+    return;
+  }
+
+  const png = await toPng(viewportEl, opts);
+  if (options.format === 'png') {
+    downloadUrl(png, 'architecture.png');
+    return;
+  }
+
+  const { jsPDF } = await import('jspdf');
+  const { width, height } = opts;
+  const pdf = new jsPDF({ orientation: width >= height ? 'landscape' : 'portrait', unit: 'pt', format: 'a4' });
+  const pageW = pdf.internal.pageSize.getWidth();
+  const pageH = pdf.internal.pageSize.getHeight();
+  const ratio = Math.min((pageW - PDF_MARGIN * 2) / width, (pageH - PDF_MARGIN * 2) / height);
+  pdf.addImage(png, 'PNG', (pageW - width * ratio) / 2, (pageH - height * ratio) / 2, width * ratio, height * ratio);
+  pdf.save('architecture.pdf');
+}
@@ -0,0 +1,73 @@
+// utils/knowledge.js
+// The tool knowledge base in public/toolKnowledge.json: what each catalog
+// tool is for, so the inspector can explain it and new nodes start with a
+// description. Entries are matched to tools by name; `platform` tells tools
+// of the same name apart (API Gateway on AWS and on GCP).
+//
+//   { "tool": "Apache Kafka", "platform": "AWS" (optional),
+//     "summary", "typicalUse", "strengths": [...], "limits": [...],
+//     "processing": "batch" | "streaming" | "both",
+//     "hosting": "managed" | "self-hosted" | "both",
+//     "docs": "https://..." }
+import { normalizeName } from './catalog.js';
+
+export const PROCESSING = { batch: 'Batch', streaming: 'Streaming', both: 'Batch and streaming' };
+export const HOSTING = { managed: 'Managed service', 'self-hosted': 'Self-hosted', both: 'Managed or self-hosted' };
+
+const TEXT_FIELDS = ['summary', 'typicalUse', 'docs'];
+const LIST_FIELDS = ['strengths', 'limits'];
+
+const namesOf = (tool) => [tool.name, ...(tool.aliases || [])].map(normalizeName);
+
+/** The knowledge base entry for catalog `tool`, or null. */
+export function knowledgeFor(kb, tool) {
+  if (!kb || !tool) return null;
+  const names = namesOf(tool);
+  const matches = kb.tools.filter(
+    (k) => names.includes(normalizeName(k.tool)) && (!k.platform || k.platform === tool.platform)
+  );
+  return matches.find((k) => k.platform === tool.platform) || matches[0] || null;
+}
+
+/**
+ * Tools of the same catalog row (category and type) on the other
+ * platforms, as `[{ platform, tools }]` in catalog platform order. The
+ * counterpart from the tool's equivalence group comes first and is flagged
+ * `closest`.
+ */
+export function alternativesFor(catalog, tool) {
+  if (!catalog || !tool) return [];
+  return catalog.platforms
+    .filter((p) => p !== tool.platform)
+    .map((platform) => {
+      const row = catalog.tools.filter((t) => t.platform === platform && t.category === tool.category && t.type === tool.type);
+      const closest = tool.equivalenceGroup && row.find((t) => t.equivalenceGroup === tool.equivalenceGroup);
+      const tools = closest ? [{ ...closest, closest: true }, ...row.filter((t) => t !== closest)] : row;
+      return { platform, tools };
+    })
+    .filter((g) => g.tools.length);
+}
+
+/** Everything wrong with a knowledge base, checked against the catalog, as messages. */
+export function checkKnowledge(kb, catalog) {
+  const problems = [];
+  if (!Array.isArray(kb?.tools)) return ['"tools" must be an array'];
+  kb.tools.forEach((k, i) => {
+    const at = `tools[${i}] (${k?.tool})`;
+    if (typeof k?.tool !== 'string' || !k.tool) return problems.push(`tools[${i}]: "tool" must be a tool name`);
+    const known = catalog.tools.filter(
+      (t) => namesOf(t).includes(normalizeName(k.tool)) && (!k.platform || t.platform === k.platform)
+    );
+    if (!known.length) problems.push(`${at}: no such tool in the catalog`);
+    TEXT_FIELDS.forEach((f) => typeof k[f] !== 'string' && problems.push(`${at}: "${f}" must be text`));
+    LIST_FIELDS.forEach(
+      (f) => !(Array.isArray(k[f]) && k[f].every((s) => typeof s === 'string')) && problems.push(`${at}: "${f}" must be a list of text`)
+    );
+    if (!(k.processing in PROCESSING)) problems.push(`${at}: "processing" must be one of ${Object.keys(PROCESSING).join(', ')}`);
+    if (!(k.hosting in HOSTING)) problems.push(`${at}: "hosting" must be one of ${Object.keys(HOSTING).join(', ')}`);
+  });
+  catalog.tools.forEach((t) => {
+    if (!knowledgeFor(kb, t)) problems.push(`${t.name} (${t.platform}, ${t.type}) has no entry`);
+  });
+  return problems;
+}
@@ -0,0 +1,194 @@
+// utils/layout.js
+import { isGroupNode, sizeOf } from './groups.js';
+
+// Edges that close a cycle (found by DFS) are ignored for ranking.
+function acyclicEdges(ids, edges) {
+  const out = new Map(ids.map((i) => [i, []]));
+  edges.forEach((e) => out.has(e.source) && out.has(e.target) && out.get(e.source).push(e));
+  const state = new Map();
+  const keep = [];
+  const visit = (nid) => {
+    state.set(nid, 'active');
+    out.get(nid).forEach((e) => {
+      const s = state.get(e.target);
+      if (s === 'active') return;
+      keep.push(e);
+      if (!s) visit(e.target);
+    });
+    state.set(nid, 'done');
+  };
+  ids.forEach((nid) => !state.has(nid) && visit(nid));
+  return keep;
+}
+
+/**
+ * Assigns each node a rank (its longest distance from a source) and orders
+ * the nodes inside each rank with a few barycenter sweeps to reduce crossings.
+ * Returns an array of ranks, each an array of node ids.
+ */
+export function rankNodes(nodes, edges) {
+  const ids = nodes.map((n) => n.id);
+  const dag = acyclicEdges(ids, edges);
+  const rank = new Map(ids.map((i) => [i, 0]));
+  const indegree = new Map(ids.map((i) => [i, 0]));
+  dag.forEach((e) => indegree.set(e.target, indegree.get(e.target) + 1));
+  const queue = ids.filter((i) => indegree.get(i) === 0);
+  while (queue.length) {
+    const nid = queue.shift();
+    dag.filter((e) => e.source === nid).forEach((e) => {
+      rank.set(e.target, Math.max(rank.get(e.target), rank.get(nid) + 1));
+      indegree.set(e.target, indegree.get(e.target) - 1);
+      if (indegree.get(e.target) === 0) queue.push(e.target);
+    });
+  }
+
+  const layers = [];
+  ids.forEach((nid) => (layers[rank.get(nid)] ||= []).push(nid));
+  const order = new Map();
+  const index = () => layers.forEach((layer) => layer.forEach((nid, i) => order.set(nid, i)));
+  index();
+
+  // Moves each node of rank `r` towards the mean order of its neighbours.
+  const reorder = (r, self, other) => {
+    const center = (nid) => {
+      const adj = dag.filter((e) => e[self] === nid).map((e) => order.get(e[other]));
+      return adj.length ? adj.reduce((a, b) => a + b, 0) / adj.length : order.get(nid);
+    };
+    layers[r] = [...layers[r]].sort((a, b) => center(a) - center(b));
+    index();
+  };
+  for (let pass = 0; pass < 2; pass++) {
+    for (let r = 1; r < layers.length; r++) reorder(r, 'target', 'source');
+    for (let r = layers.length - 2; r >= 0; r--) reorder(r, 'source', 'target');
+  }
+  return layers.filter(Boolean);
+}
+
+/**
+ * Lays nodes out in ranks following edge direction: left-to-right ('LR') or
+ * top-to-bottom ('TB'). Returns copies of the nodes with new positions.
+ */
+export function layeredLayout(nodes, edges, { direction = 'LR', rankGap = 100, nodeGap = 40 } = {}) {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const horizontal = direction === 'LR';
+  const positions = new Map();
+  let rankOffset = 0;
+
+  rankNodes(nodes, edges).forEach((layer) => {
+    const sizes = layer.map((nid) => sizeOf(byId.get(nid)));
+    const depth = Math.max(...sizes.map((s) => (horizontal ? s.width : s.height)));
+    const spans = sizes.map((s) => (horizontal ? s.height : s.width));
+    const total = spans.reduce((a, b) => a + b, 0) + nodeGap * (layer.length - 1);
+    let offset = -total / 2;
+    layer.forEach((nid, i) => {
+      positions.set(nid, horizontal ? { x: rankOffset, y: offset } : { x: offset, y: rankOffset });
+      offset += spans[i] + nodeGap;
+    });
+    rankOffset += depth + rankGap;
+  });
+
+  return nodes.map((n) => ({ ...n, position: positions.get(n.id) || n.position }));
+}
+
+export const SPACINGS = {
+  compact: { rankGap: 60, nodeGap: 20 },
+  normal: { rankGap: 100, nodeGap: 40 },
+  wide: { rankGap: 160, nodeGap: 80 },
+};
+
+const GROUP_PADDING = 20;
+const GROUP_HEADER = 40;
+
+/**
+ * Layered layout that respects group containers: the members of every group
+ * are laid out inside it first and the group is resized to fit them, then
+ * the group is placed like a single node on its own level. Edges between
+ * nodes in different groups count as edges between the outermost groups
+ * involved. With `only` (a list of node ids) just those nodes, and the
+ * contents of selected groups, are moved; the rest keep their position.
+ * Every level keeps the top-left corner it had before.
+ */
+export function autoLayout(nodes, edges, { direction = 'LR', rankGap = 100, nodeGap = 40, only = null } = {}) {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const parentOf = (n) => (byId.has(n.parentNode) ? n.parentNode : null);
+  const members = new Map();
+  nodes.forEach((n) => members.set(parentOf(n), [...(members.get(parentOf(n)) || []), n]));
+  const updates = new Map();
+  const sizeNow = (n) => updates.get(n.id)?.size || sizeOf(n);
+
+  // Returns the member of `scope` that contains node `nid`, if any.
+  const lift = (nid, scope) => {
+    for (let n = byId.get(nid); n; n = byId.get(parentOf(n))) {
+      if (scope.has(n.id)) return n.id;
+    }
+    return null;
+  };
+
+  const arrange = (level, anchor) => {
+    level.forEach((n) => {
+      const inner = members.get(n.id);
+      if (!isGroupNode(n) || !inner?.length) return;
+      const box = arrange(inner, { x: GROUP_PADDING, y: GROUP_HEADER });
+      const size = { width: box.width + GROUP_PADDING * 2, height: box.height + GROUP_HEADER + GROUP_PADDING };
+      updates.set(n.id, { size });
+    });
+    // Swimlanes stay stacked in their order and share one width.
+    if (level.every((n) => isGroupNode(n) && n.data?.kind === 'lane')) {
+      const width = Math.max(...level.map((n) => sizeNow(n).width));
+      let y = anchor.y;
+      [...level].sort((a, b) => a.position.y - b.position.y).forEach((n) => {
+        const { height } = sizeNow(n);
+        updates.set(n.id, { size: { width, height }, position: { x: anchor.x, y } });
+        y += height;
+      });
+      return { width, height: y - anchor.y };
+    }
+    const scope = new Set(level.map((n) => n.id));
+    const lifted = edges
+      .map((e) => ({ ...e, source: lift(e.source, scope), target: lift(e.target, scope) }))
+      .filter((e) => e.source && e.target && e.source !== e.target);
+    const sized = level.map((n) => ({ ...n, ...sizeNow(n) }));
+    const laid = layeredLayout(sized, lifted, { direction, rankGap, nodeGap });
+    const minX = Math.min(...laid.map((n) => n.position.x));
+    const minY = Math.min(...laid.map((n) => n.position.y));
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    laid.forEach((n) => {
+      const position = { x: n.position.x - minX + anchor.x, y: n.position.y - minY + anchor.y };
+      updates.set(n.id, { ...updates.get(n.id), position });
+      maxX = Math.max(maxX, position.x + n.width);
+      maxY = Math.max(maxY, position.y + n.height);
+    });
+    return { width: maxX - anchor.x, height: maxY - anchor.y };
+  };
+
+  const topLeft = (level) => ({
+    x: Math.min(...level.map((n) => n.position.x)),
+    y: Math.min(...level.map((n) => n.position.y)),
+  });
+
+  if (only) {
+    const picked = new Set(only);
+    // Selected nodes inside a selected group are handled with that group.
+    const roots = nodes.filter((n) => {
+      if (!picked.has(n.id)) return false;
+      for (let p = byId.get(parentOf(n)); p; p = byId.get(parentOf(p))) {
+        if (picked.has(p.id)) return false;
+      }
+      return true;
+    });
+    const bySibling = new Map();
+    roots.forEach((n) => bySibling.set(parentOf(n), [...(bySibling.get(parentOf(n)) || []), n]));
+    bySibling.forEach((level) => arrange(level, topLeft(level)));
+  } else if (members.get(null)?.length) {
+    arrange(members.get(null), topLeft(members.get(null)));
+  }
+
+  return nodes.map((n) => {
+    const u = updates.get(n.id);
+    if (!u) return n;
+    const next = { ...n, position: u.position || n.position };
+    if (u.size) next.style = { ...n.style, width: u.size.width, height: u.size.height };
+    return next;
+  });
+}
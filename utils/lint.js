@@ -0,0 +1,182 @@
+// utils/lint.js
+// Architecture checks over a `{ nodes, edges }` diagram, i.e. the JSON that
+// "Export JSON" writes. Every rule is a pure function returning findings:
+//   { rule, severity: 'error' | 'warning' | 'info', message, nodeIds, edgeIds }
+import { CATEGORIES, findTool } from './catalog.js';
+import { isGroupNode } from './groups.js';
+
+const CLOUDS = ['AWS', 'Azure', 'GCP'];
+const CROSS_CLOUD_NOTE = /\b(cross|multi|hybrid)[- ]?cloud\b/i;
+
+const labelOf = (n) => n.data?.label || n.id;
+const stageOf = (tool) => (tool ? CATEGORIES.indexOf(tool.category) : -1);
+
+const finding = (rule, severity, message, nodeIds = [], edgeIds = []) => ({
+  rule,
+  severity,
+  message,
+  nodeIds,
+  edgeIds,
+});
+
+export function findIsolatedNodes({ nodes, edges }) {
+  const linked = new Set(edges.flatMap((e) => [e.source, e.target]));
+  return nodes
+    .filter((n) => !linked.has(n.id))
+    .map((n) => finding('isolated-node', 'warning', `"${labelOf(n)}" is not connected to anything.`, [n.id]));
+}
+
+/** Reports every strongly connected component with more than one node, and self-loops. */
+export function findCycles({ nodes, edges }) {
+  const out = new Map(nodes.map((n) => [n.id, []]));
+  edges.forEach((e) => out.has(e.source) && out.has(e.target) && out.get(e.source).push(e.target));
+
+  // Tarjan's algorithm.
+  let counter = 0;
+  const index = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  const connect = (v) => {
+    index.set(v, counter);
+    low.set(v, counter++);
+    stack.push(v);
+    onStack.add(v);
+    out.get(v).forEach((w) => {
+      if (!index.has(w)) {
+        connect(w);
+        low.set(v, Math.min(low.get(v), low.get(w)));
+      } else if (onStack.has(w)) {
+        low.set(v, Math.min(low.get(v), index.get(w)));
+      }
+    });
+    if (low.get(v) === index.get(v)) {
+      const component = [];
+      let w;
+      do {
+        w = stack.pop();
+        onStack.delete(w);
+        component.push(w);
+      } while (w !== v);
+      components.push(component);
+    }
+  };
+  nodes.forEach((n) => !index.has(n.id) && connect(n.id));
+
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  return components
+    .filter((c) => c.length > 1 || out.get(c[0]).includes(c[0]))
+    .map((c) => {
+      const members = new Set(c);
+      const edgeIds = edges.filter((e) => members.has(e.source) && members.has(e.target)).map((e) => e.id);
+      const names = c.map((nid) => `"${labelOf(byId.get(nid))}"`).join(', ');
+      return finding('cycle', 'warning', `Data flows in a cycle between ${names}.`, c, edgeIds);
+    });
+}
+
+/**
+ * Flags edges that go back more than `maxStageDrop` pipeline stages
+ * (Connect → Buffer → Process → Store → Visualize) and any edge leaving a
+ * Visualize tool. Reading from a store into processing is a normal step back.
+ */
+export function findBackwardFlows({ nodes, edges }, { toolOf, maxStageDrop = 1 }) {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  return edges.flatMap((e) => {
+    const source = byId.get(e.source);
+    const target = byId.get(e.target);
+    if (!source || !target) return [];
+    const from = toolOf(source);
+    const to = toolOf(target);
+    if (!from || !to) return [];
+    const fromStage = stageOf(from);
+    const toStage = stageOf(to);
+    const leavesVisualize = from.category === 'Visualize' && toStage < fromStage;
+    if (!leavesVisualize && fromStage - toStage <= maxStageDrop) return [];
+    return [finding(
+      'backward-flow',
+      'warning',
+      `Data flows backwards from "${labelOf(source)}" (${from.category}) to "${labelOf(target)}" (${to.category}).`,
+      [source.id, target.id],
+      [e.id]
+    )];
+  });
+}
+
+export function checkStoreStage({ nodes }, { toolOf }) {
+  const stages = nodes.map(toolOf).filter(Boolean).map((t) => t.category);
+  if (!stages.length || stages.includes('Store')) return [];
+  return [finding('no-store', 'warning', 'No tool from the Store stage is used: where does the data end up?')];
+}
+
+/**
+ * Using more than one cloud (AWS, Azure, GCP) needs an explicit note: a node
+ * or edge that mentions "cross-cloud", "multi-cloud" or "hybrid cloud".
+ */
+export function checkCrossCloud({ nodes, edges }, { toolOf }) {
+  const byCloud = new Map();
+  nodes.forEach((n) => {
+    const tool = toolOf(n);
+    if (tool && CLOUDS.includes(tool.platform)) {
+      byCloud.set(tool.platform, [...(byCloud.get(tool.platform) || []), n.id]);
+    }
+  });
+  if (byCloud.size < 2) return [];
+  const texts = [
+    ...nodes.flatMap((n) => [n.data?.label, n.data?.description]),
+    ...edges.map((e) => e.label),
+  ];
+  if (texts.some((t) => t && CROSS_CLOUD_NOTE.test(t))) return [];
+  return [finding(
+    'cross-cloud',
+    'warning',
+    `The design mixes ${[...byCloud.keys()].join(', ')} without a cross-cloud note. ` +
+      'Describe how data crosses clouds (e.g. in a node description mentioning "cross-cloud").',
+    [...byCloud.values()].flat()
+  )];
+}
+
+/**
+ * Flags a catalog tool used by several nodes that cannot be told apart,
+ * i.e. that share the same (possibly empty) description.
+ */
+export function findDuplicateTools({ nodes }, { toolOf }) {
+  const groups = new Map();
+  nodes.forEach((n) => {
+    const tool = toolOf(n);
+    if (!tool) return;
+    const key = `${tool.id}|${(n.data?.description || '').trim().toLowerCase()}`;
+    groups.set(key, [...(groups.get(key) || []), n]);
+  });
+  return [...groups.values()]
+    .filter((group) => group.length > 1)
+    .map((group) => finding(
+      'duplicate-tool',
+      'info',
+      `"${labelOf(group[0])}" appears ${group.length} times with the same description. ` +
+        'Remove the duplicate or describe what each one does.',
+      group.map((n) => n.id)
+    ));
+}
+
+export const RULES = [
+  findCycles,
+  findBackwardFlows,
+  checkStoreStage,
+  checkCrossCloud,
+  findIsolatedNodes,
+  findDuplicateTools,
+];
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+/**
+ * Runs all rules. Catalog tools are resolved via `findTool` unless `toolOf`
+ * is given. Group containers carry no data and are left out.
+ */
+export function lintDiagram(diagram, { catalog, toolOf = (n) => findTool(catalog, n.data) } = {}) {
+  const nodes = diagram.nodes.filter((n) => !isGroupNode(n));
+  return RULES.flatMap((rule) => rule({ ...diagram, nodes }, { toolOf })).sort(
+    (a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]
+  );
+}
@@ -0,0 +1,145 @@
+// utils/nodeStyle.js
+// How a tool node looks: its colour comes from the catalog category, its
+// badge from the platform, and its icon (when there is one) from Simple
+// Icons. Only the icons listed here end up in the bundle.
+import {
+  siAirbyte,
+  siApacheairflow,
+  siApachedruid,
+  siApacheflink,
+  siApachehive,
+  siApachekafka,
+  siApachenifi,
+  siApachespark,
+  siApachesuperset,
+  siDatabricks,
+  siDjango,
+  siDocker,
+  siElasticsearch,
+  siFastapi,
+  siFirebase,
+  siFlask,
+  siGrafana,
+  siGooglebigquery,
+  siGooglebigtable,
+  siGooglecloudcomposer,
+  siGooglecloudspanner,
+  siGooglecloudstorage,
+  siGoogledataflow,
+  siGoogledataproc,
+  siGooglepubsub,
+  siGraphql,
+  siInfluxdb,
+  siKeras,
+  siKibana,
+  siKubernetes,
+  siLogstash,
+  siLooker,
+  siMatillion,
+  siMetabase,
+  siMinio,
+  siMongodb,
+  siMysql,
+  siPostgresql,
+  siPrefect,
+  siPresto,
+  siPython,
+  siPytorch,
+  siQlik,
+  siRabbitmq,
+  siRedis,
+  siSap,
+  siSnowflake,
+  siStreamlit,
+  siTalend,
+  siTensorflow,
+  siTimescale,
+} from 'simple-icons';
+
+export const CATEGORY_COLORS = {
+  Connect: '#2f80ed',
+  Buffer: '#f2994a',
+  Process: '#9b51e0',
+  Store: '#27ae60',
+  Visualize: '#eb5757',
+};
+// Custom nodes and tools the catalog does not know.
+export const UNKNOWN_COLOR = '#8a8a8a';
+
+export const PLATFORM_BADGES = {
+  AWS: 'AWS',
+  Azure: 'Azure',
+  GCP: 'GCP',
+  'Open Source': 'OSS',
+  Vendor: 'Vendor',
+};
+
+// Catalog tool name → icon.
+const ICONS = {
+  Airbyte: siAirbyte,
+  Airflow: siApacheairflow,
+  'Apache Druid': siApachedruid,
+  'Apache Flink': siApacheflink,
+  'Apache Hive': siApachehive,
+  'Apache Kafka': siApachekafka,
+  'Apache Nifi': siApachenifi,
+  'Apache Spark': siApachespark,
+  'Apache Superset': siApachesuperset,
+  BigQuery: siGooglebigquery,
+  BigTable: siGooglebigtable,
+  'Cloud Composer': siGooglecloudcomposer,
+  'Cloud Storage': siGooglecloudstorage,
+  CloudSpanner: siGooglecloudspanner,
+  Databricks: siDatabricks,
+  DataFlow: siGoogledataflow,
+  DataProc: siGoogledataproc,
+  Django: siDjango,
+  Docker: siDocker,
+  Elasticsearch: siElasticsearch,
+  FastAPI: siFastapi,
+  Firestore: siFirebase,
+  Flask: siFlask,
+  Grafana: siGrafana,
+  GraphQL: siGraphql,
+  InfluxDB: siInfluxdb,
+  Keras: siKeras,
+  Kibana: siKibana,
+  Kubernetes: siKubernetes,
+  Logstash: siLogstash,
+  Looker: siLooker,
+  Matillion: siMatillion,
+  Metabase: siMetabase,
+  MinIO: siMinio,
+  MongoDB: siMongodb,
+  MySQL: siMysql,
+  Postgres: siPostgresql,
+  Prefect: siPrefect,
+  Presto: siPresto,
+  'Pub/Sub': siGooglepubsub,
+  Python: siPython,
+  PyTorch: siPytorch,
+  QlikSense: siQlik,
+  RabbitMQ: siRabbitmq,
+  Redis: siRedis,
+  'SAP HANA': siSap,
+  Snowflake: siSnowflake,
+  Streamlit: siStreamlit,
+  Talend: siTalend,
+  Tensorflow: siTensorflow,
+  TimescaleDB: siTimescale,
+};
+
+export const categoryColor = (tool) => CATEGORY_COLORS[tool?.category] || UNKNOWN_COLOR;
+
+/** `{ title, path, hex }` of the tool's icon (a 24×24 SVG path), or null. */
+export const toolIcon = (tool) => (tool && ICONS[tool.name]) || null;
+
+/** Colour, badge and icon for a node resolved to `tool` (null for custom nodes). */
+export function nodeAppearance(tool) {
+  return {
+    color: categoryColor(tool),
+    category: tool?.category || null,
+    badge: tool ? PLATFORM_BADGES[tool.platform] || tool.platform : null,
+    icon: toolIcon(tool),
+  };
+}
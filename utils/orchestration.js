@@ -0,0 +1,209 @@
+// utils/orchestration.js
+// Turns the processing steps of a diagram into an orchestration job: an
+// Apache Airflow DAG or a Dagster job. Every Connect/Process node becomes a
+// task; the edges, followed through stores and queues, become dependencies.
+// Scheduling tools (EventBridge, Cloud Scheduler, Airflow…) set the schedule.
+import { findTool } from './catalog.js';
+import { isGroupNode } from './groups.js';
+import { findCycles } from './lint.js';
+import { rankNodes } from './layout.js';
+
+const TASK_CATEGORIES = ['Connect', 'Process'];
+const SCHEDULING = 'Scheduling';
+const DEFAULT_CRON = '0 0 * * *';
+
+const PRESETS = [
+  [/\b(hourly|every hour)\b/i, '0 * * * *'],
+  [/\b(daily|every day|nightly|once a day)\b/i, '0 0 * * *'],
+  [/\b(weekly|every week)\b/i, '0 0 * * 0'],
+  [/\b(monthly|every month)\b/i, '0 0 1 * *'],
+];
+// EventBridge: cron(minutes hours day-of-month month day-of-week year)
+const AWS_CRON_RE = /\bcron\(\s*((?:\S+\s+){5}\S+)\s*\)/i;
+const CRON_RE = /(?:^|\s|\()((?:[\d*/,-]+\s+){4}[\d*/,-]+)(?=\s|\)|$)/;
+const EVERY_RE = /\b(?:every|rate\()\s*(\d+)\s*(minute|hour|day)s?\b/i;
+
+/** Reads a cron expression from free text ("rate(15 minutes)", "daily", "0 6 * * *"), or null. */
+export function parseSchedule(text = '') {
+  const aws = AWS_CRON_RE.exec(text);
+  if (aws) return aws[1].split(/\s+/).slice(0, 5).join(' ').replace(/\?/g, '*');
+  const cron = CRON_RE.exec(text);
+  if (cron) return cron[1].trim().replace(/\s+/g, ' ');
+  const every = EVERY_RE.exec(text);
+  if (every) {
+    const n = Number(every[1]);
+    const unit = every[2].toLowerCase();
+    if (unit === 'minute') return `*/${n} * * * *`;
+    if (unit === 'hour') return n === 1 ? '0 * * * *' : `0 */${n} * * *`;
+    return n === 1 ? DEFAULT_CRON : `0 0 */${n} * *`;
+  }
+  const preset = PRESETS.find(([re]) => re.test(text));
+  return preset ? preset[1] : null;
+}
+
+// Python keywords and the names the generated files import.
+const RESERVED = new Set([
+  'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else',
+  'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not',
+  'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield',
+  'dag', 'task', 'pendulum', 'job', 'op', 'defs',
+]);
+
+const identifier = (label, taken) => {
+  let name = String(label).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'task';
+  if (/^\d/.test(name) || RESERVED.has(name)) name = `${name}_step`;
+  const base = name;
+  for (let i = 2; taken.has(name); i++) name = `${base}_${i}`;
+  taken.add(name);
+  return name;
+};
+
+/**
+ * Works out the tasks, their dependencies and the schedule:
+ *   { tasks: [{ id, node, tool, label, upstream: [task ids] }], upstream first,
+ *     schedule: { cron, from: [labels] } | null }
+ * Throws if there is nothing to orchestrate, or if the tasks depend on each
+ * other in a cycle; that error carries the `nodeIds` of the cycle.
+ */
+export function planDag({ nodes, edges }, catalog) {
+  const real = nodes.filter((n) => !isGroupNode(n));
+  const toolOf = new Map(real.map((n) => [n.id, findTool(catalog, n.data)]));
+  const isScheduler = (n) => toolOf.get(n.id)?.type === SCHEDULING;
+  const isTask = (n) => TASK_CATEGORIES.includes(toolOf.get(n.id)?.category) && !isScheduler(n);
+
+  const taken = new Set();
+  const tasks = real.filter(isTask).map((node) => ({
+    id: identifier(node.data?.label || node.id, taken),
+    node,
+    tool: toolOf.get(node.id),
+    label: node.data?.label || node.id,
+    upstream: [],
+  }));
+  if (!tasks.length) throw new Error('The design has no Connect or Process steps to orchestrate.');
+
+  // A task depends on the nearest tasks upstream of it, looking through
+  // stores, queues and custom nodes in between.
+  const byNode = new Map(tasks.map((t) => [t.node.id, t]));
+  const incoming = new Map(real.map((n) => [n.id, []]));
+  edges.forEach((e) => incoming.get(e.target)?.push(e.source));
+  tasks.forEach((task) => {
+    const seen = new Set();
+    const stack = [...incoming.get(task.node.id)];
+    while (stack.length) {
+      const nid = stack.pop();
+      if (seen.has(nid)) continue;
+      seen.add(nid);
+      const upstream = byNode.get(nid);
+      if (upstream) {
+        if (!task.upstream.includes(upstream.id)) task.upstream.push(upstream.id);
+      } else {
+        stack.push(...(incoming.get(nid) || []));
+      }
+    }
+  });
+
+  const byId = new Map(tasks.map((t) => [t.id, t]));
+  const taskEdges = tasks.flatMap((t) =>
+    t.upstream.map((u) => ({ id: `${u}->${t.id}`, source: byId.get(u).node.id, target: t.node.id }))
+  );
+  const [cycle] = findCycles({ nodes: tasks.map((t) => t.node), edges: taskEdges });
+  if (cycle) {
+    const names = cycle.nodeIds.map((nid) => `"${byNode.get(nid).label}"`).join(', ');
+    throw Object.assign(new Error(`The steps ${names} depend on each other in a cycle; a DAG cannot have cycles.`), {
+      nodeIds: cycle.nodeIds,
+    });
+  }
+
+  // Dagster calls each op after the ops it depends on, so order matters.
+  const order = new Map(rankNodes(tasks.map((t) => t.node), taskEdges).flat().map((nid, i) => [nid, i]));
+  tasks.sort((a, b) => order.get(a.node.id) - order.get(b.node.id));
+
+  const schedulers = real.filter(isScheduler);
+  let schedule = null;
+  if (schedulers.length) {
+    const texts = schedulers.flatMap((n) => [
+      n.data?.description,
+      ...edges.filter((e) => e.source === n.id || e.target === n.id).map((e) => e.label),
+    ]);
+    const cron = texts.map((t) => t && parseSchedule(t)).find(Boolean);
+    schedule = { cron: cron || DEFAULT_CRON, guessed: !cron, from: schedulers.map((n) => n.data?.label || n.id) };
+  }
+  return { tasks, schedule };
+}
+
+const pyString = (s) => JSON.stringify(String(s));
+
+const docstring = (task, indent) => {
+  const lines = [
+    task.label,
+    ...(task.node.data?.description ? ['', ...task.node.data.description.trim().split(/\r?\n/)] : []),
+    '',
+    task.tool ? `Tool: ${task.tool.name} (${task.tool.platform})` : 'Custom step',
+  ].map((l) => l.replace(/\\/g, '\\\\').replace(/"""/g, '\\"""'));
+  return [`${indent}"""${lines[0]}`, ...lines.slice(1).map((l) => (l ? `${indent}${l}` : '')), `${indent}"""`];
+};
+
+const scheduleComment = (schedule) =>
+  schedule
+    ? `# Schedule from ${schedule.from.join(', ')}${schedule.guessed ? ' (no schedule in its description, daily assumed)' : ''}.`
+    : '# No scheduling tool in the design: the job only runs when triggered.';
+
+/** An Airflow 2 DAG using the TaskFlow API. */
+export function toAirflowDag(plan, { dagId = 'etl_pipeline' } = {}) {
+  const { tasks, schedule } = plan;
+  const lines = [
+    `"""${dagId}: generated from an ETL pipeline diagram."""`,
+    'import pendulum',
+    '',
+    'from airflow.decorators import dag, task',
+    '',
+    scheduleComment(schedule),
+    '',
+    '',
+    '@dag(',
+    `    dag_id=${pyString(dagId)},`,
+    `    schedule=${schedule ? pyString(schedule.cron) : 'None'},`,
+    '    start_date=pendulum.datetime(2024, 1, 1, tz="UTC"),',
+    '    catchup=False,',
+    '    tags=["generated"],',
+    ')',
+    `def ${dagId}():`,
+  ];
+  tasks.forEach((t) => {
+    lines.push('    @task', `    def ${t.id}():`, ...docstring(t, '        '), `        # TODO: implement ${t.label}`, '');
+  });
+  tasks.forEach((t) => lines.push(`    ${t.id}_task = ${t.id}()`));
+  const deps = tasks.flatMap((t) => t.upstream.map((u) => `    ${u}_task >> ${t.id}_task`));
+  if (deps.length) lines.push('', ...deps);
+  lines.push('', '', `${dagId}()`);
+  return `${lines.join('\n')}\n`;
+}
+
+/** A Dagster job of ops connected through `Nothing` dependencies. */
+export function toDagsterJob(plan, { dagId = 'etl_pipeline' } = {}) {
+  const { tasks, schedule } = plan;
+  const lines = [
+    `"""${dagId}: generated from an ETL pipeline diagram."""`,
+    `from dagster import Definitions, In, Nothing, Out, ${schedule ? 'ScheduleDefinition, ' : ''}job, op`,
+    '',
+  ];
+  tasks.forEach((t) => {
+    const ins = t.upstream.length ? 'ins={"after": In(Nothing)}, ' : '';
+    lines.push('', `@op(${ins}out=Out(Nothing))`, `def ${t.id}():`, ...docstring(t, '    '), `    # TODO: implement ${t.label}`, '');
+  });
+  const jobName = `${dagId}_job`;
+  lines.push('', '@job', `def ${jobName}():`);
+  tasks.forEach((t) => {
+    const after = t.upstream.length ? `after=[${t.upstream.map((u) => `${u}_done`).join(', ')}]` : '';
+    lines.push(`    ${t.id}_done = ${t.id}(${after})`);
+  });
+  lines.push('', '', scheduleComment(schedule));
+  if (schedule) {
+    lines.push(`${dagId}_schedule = ScheduleDefinition(job=${jobName}, cron_schedule=${pyString(schedule.cron)})`);
+  }
+  lines.push('', `defs = Definitions(jobs=[${jobName}]${schedule ? `, schedules=[${dagId}_schedule]` : ''})`);
+  return `${lines.join('\n')}\n`;
+}
+
+/** `etl_pipeline`-style identifier for a design name. */
+export const dagIdFor = (name) => identifier(name || 'etl_pipeline', new Set());
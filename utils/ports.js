@@ -0,0 +1,71 @@
+// utils/ports.js
+// Named connection points of a tool node. `data.inputs` and `data.outputs`
+// list port names, e.g. ["raw", "curated"]; a name is also the id of the
+// React Flow handle that edges refer to in `targetHandle` / `sourceHandle`.
+// A node without them has one unnamed port per side (handle id null).
+
+export const PORT_SIDES = ['inputs', 'outputs'];
+
+// The edge end and handle field attached to each side of a node.
+const EDGE_ENDS = { inputs: ['target', 'targetHandle'], outputs: ['source', 'sourceHandle'] };
+
+const DEFAULT_PORTS = [null];
+
+/** Handle ids of one side of a node: its port names, or [null]. */
+export const portsOf = (data, side) => (data?.[side]?.length ? data[side] : DEFAULT_PORTS);
+
+/** Port names typed as "raw, curated": trimmed, without blanks or repeats. */
+export function parsePortList(text) {
+  const names = String(text || '').split(',').map((s) => s.trim()).filter(Boolean);
+  return names.filter((name, i) => names.indexOf(name) === i);
+}
+
+/**
+ * Gives node `nodeId` the ports in `ports` (`{ inputs, outputs }`, each a
+ * list of names; an empty list means the single unnamed port). Edges on a
+ * port that is gone move to the first port on that side, so renaming or
+ * removing a port never disconnects the node.
+ */
+export function setNodePorts({ nodes, edges }, nodeId, ports) {
+  const nextNodes = nodes.map((n) => {
+    if (n.id !== nodeId) return n;
+    const data = { ...n.data };
+    PORT_SIDES.forEach((side) => {
+      if (!(side in ports)) return;
+      if (ports[side].length) data[side] = ports[side];
+      else delete data[side];
+    });
+    return { ...n, data };
+  });
+  const node = nextNodes.find((n) => n.id === nodeId);
+  const nextEdges = edges.map((e) => {
+    let out = e;
+    PORT_SIDES.forEach((side) => {
+      const [end, handle] = EDGE_ENDS[side];
+      const names = portsOf(node?.data, side);
+      if (out[end] === nodeId && !names.includes(out[handle] ?? null)) out = { ...out, [handle]: names[0] };
+    });
+    return out;
+  });
+  return { nodes: nextNodes, edges: nextEdges };
+}
+
+/** Problems with the ports an edge uses, as `{ field, message }` (for validation). */
+export function edgePortProblems(edge, nodesById) {
+  const problems = [];
+  PORT_SIDES.forEach((side) => {
+    const [end, handle] = EDGE_ENDS[side];
+    const node = nodesById.get(edge[end]);
+    if (!node || node.type === 'groupNode') return;
+    const names = portsOf(node.data, side);
+    if (!names.includes(edge[handle] ?? null)) {
+      problems.push({
+        field: handle,
+        message: names[0] === null
+          ? `"${edge[end]}" has no named ${side}`
+          : `must be one of the ${side} of "${edge[end]}": ${names.join(', ')}`,
+      });
+    }
+  });
+  return problems;
+}
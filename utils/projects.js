@@ -0,0 +1,71 @@
+// utils/projects.js
+// Named local projects kept in localStorage. The index holds the project
+// metadata; each diagram is stored under its own key so listing projects
+// does not parse every diagram.
+
+const PREFIX = 'etl-pipeline-app';
+const INDEX_KEY = `${PREFIX}:projects`;
+const CURRENT_KEY = `${PREFIX}:current`;
+const projectKey = (pid) => `${PREFIX}:project:${pid}`;
+
+const read = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+const write = (key, value) => localStorage.setItem(key, JSON.stringify(value));
+
+const newProjectId = () => `p_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/** Returns all projects as `{ id, name, updatedAt }`, most recently modified first. */
+export function listProjects() {
+  return [...read(INDEX_KEY, [])].sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+const writeIndex = (projects) => write(INDEX_KEY, projects);
+const touch = (pid, changes = {}) =>
+  writeIndex(read(INDEX_KEY, []).map((p) => (p.id === pid ? { ...p, ...changes, updatedAt: Date.now() } : p)));
+
+export function loadProject(pid) {
+  return read(projectKey(pid), null);
+}
+
+/** Stores the diagram of a project. Functions in node data are dropped by JSON. */
+export function saveProject(pid, diagram) {
+  write(projectKey(pid), diagram);
+  touch(pid);
+}
+
+export function createProject(name, diagram = { nodes: [], edges: [] }) {
+  const project = { id: newProjectId(), name, updatedAt: Date.now() };
+  write(projectKey(project.id), diagram);
+  writeIndex([...read(INDEX_KEY, []), project]);
+  return project;
+}
+
+export function renameProject(pid, name) {
+  touch(pid, { name });
+}
+
+export function duplicateProject(pid) {
+  const source = read(INDEX_KEY, []).find((p) => p.id === pid);
+  if (!source) return null;
+  return createProject(`${source.name} (copy)`, loadProject(pid) || { nodes: [], edges: [] });
+}
+
+export function deleteProject(pid) {
+  localStorage.removeItem(projectKey(pid));
+  writeIndex(read(INDEX_KEY, []).filter((p) => p.id !== pid));
+  if (getCurrentProjectId() === pid) localStorage.removeItem(CURRENT_KEY);
+}
+
+export function getCurrentProjectId() {
+  return read(CURRENT_KEY, null);
+}
+
+export function setCurrentProjectId(pid) {
+  write(CURRENT_KEY, pid);
+}
@@ -0,0 +1,183 @@
+// utils/schema.js
+// The diagram file format: what "Export JSON" writes and every import,
+// design and template goes through.
+//
+//   {
+//     "format": "etl-pipeline-diagram",
+//     "version": 2,
+//     "nodes": [{
+//       "id": "node_3",                      unique, referenced by edges and parentNode
+//       "type": "sideNode" | "groupNode",
+//       "position": { "x": 120, "y": 40 },   relative to the parent group, if any
+//       "parentNode": "node_1",              optional; the id of a group node
+//       "style": { "width": 400, ... },      optional; groups keep their size here
+//       "data": {
+//         "label": "Kafka",
+//         "description": "...",              optional
+//         "toolId": "open-source.message-queues.apache-kafka",   optional; the catalog tool, see catalog.js
+//         "isCustom": true,                  optional; free-text node
+//         "inputs": ["raw"],                 optional; named ports, see ports.js
+//         "outputs": ["raw", "curated"],     optional
+//         "sizing": { "capacity": 5000, ... },   optional; see simulation.js
+//         "kind": "vpc"                      groups only
+//       }
+//     }],
+//     "edges": [{
+//       "id": "reactflow__edge-node_3-node_4",   unique
+//       "source": "node_3", "target": "node_4",
+//       "sourceHandle": null, "targetHandle": null,   port names, or null
+//       "label": "...",                      optional
+//       "data": { "flow", "format", "volume", "lineStyle" },   optional, see edges.js
+//       "animated", "markerEnd", "style"     rendering, derived from data
+//     }],
+//     "steps": [{ "title", "narration", "nodeIds", "edgeIds" }]   optional; see walkthrough.js
+//   }
+//
+// Version 1 is the unversioned `{ nodes, edges }` the app wrote before,
+// including React Flow's runtime fields (`selected`, `positionAbsolute`, …).
+// Unknown fields are kept so newer minor additions survive a round trip.
+import { edgeId, serializeDiagram } from './diagram.js';
+import { PORT_SIDES, edgePortProblems } from './ports.js';
+import { sizingProblems } from './simulation.js';
+import { stepProblems } from './walkthrough.js';
+
+export const FORMAT = 'etl-pipeline-diagram';
+export const SCHEMA_VERSION = 2;
+
+const NODE_TYPES = ['sideNode', 'groupNode'];
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isOptionalString = (v) => v == null || typeof v === 'string';
+const isPortList = (v) =>
+  Array.isArray(v) && v.every((p) => typeof p === 'string' && p) && new Set(v).size === v.length;
+
+/** Lists what is wrong with a diagram in the current format, as `{ path, message }`. */
+export function validateDiagram(diagram) {
+  const problems = [];
+  const report = (path, message) => problems.push({ path, message });
+  if (!isObject(diagram)) {
+    report('', 'must be an object with "nodes" and "edges"');
+    return problems;
+  }
+  if (!Array.isArray(diagram.nodes)) report('nodes', 'must be an array');
+  if (!Array.isArray(diagram.edges)) report('edges', 'must be an array');
+  if (problems.length) return problems;
+
+  const seen = new Map();
+  diagram.nodes.forEach((n, i) => {
+    const at = `nodes[${i}]`;
+    if (!isObject(n)) return report(at, 'must be an object');
+    if (typeof n.id !== 'string' || !n.id) report(`${at}.id`, 'must be a non-empty string');
+    else if (seen.has(n.id)) report(`${at}.id`, `"${n.id}" is already used by nodes[${seen.get(n.id)}]`);
+    else seen.set(n.id, i);
+    if (!NODE_TYPES.includes(n.type)) report(`${at}.type`, `must be one of ${NODE_TYPES.join(', ')}`);
+    if (!isObject(n.position) || !isNumber(n.position.x) || !isNumber(n.position.y)) {
+      report(`${at}.position`, 'must be { x, y } with finite numbers');
+    }
+    if (!isObject(n.data)) report(`${at}.data`, 'must be an object');
+    else {
+      if (typeof n.data.label !== 'string') report(`${at}.data.label`, 'must be a string');
+      if (!isOptionalString(n.data.description)) report(`${at}.data.description`, 'must be a string');
+      if (!isOptionalString(n.data.toolId)) report(`${at}.data.toolId`, 'must be a string');
+      PORT_SIDES.forEach((side) => {
+        if (n.data[side] != null && !isPortList(n.data[side])) {
+          report(`${at}.data.${side}`, 'must be a list of different, non-empty names');
+        }
+      });
+      sizingProblems(n.data.sizing).forEach(({ field, message }) => report(`${at}.data.sizing${field}`, message));
+    }
+  });
+  diagram.nodes.forEach((n, i) => {
+    if (!isObject(n) || n.parentNode == null) return;
+    const at = `nodes[${i}].parentNode`;
+    const parent = diagram.nodes[seen.get(n.parentNode)];
+    if (!parent) return report(at, `"${n.parentNode}" is not a node id`);
+    if (parent.type !== 'groupNode') return report(at, `"${n.parentNode}" is not a group`);
+    const chain = new Set([n.id]);
+    for (let p = parent; p; p = diagram.nodes[seen.get(p.parentNode)]) {
+      if (chain.has(p.id)) return report(at, `groups "${[...chain].join('", "')}" contain each other`);
+      chain.add(p.id);
+    }
+  });
+
+  const nodesById = new Map([...seen].map(([nid, i]) => [nid, diagram.nodes[i]]));
+  const edgeIds = new Map();
+  diagram.edges.forEach((e, i) => {
+    const at = `edges[${i}]`;
+    if (!isObject(e)) return report(at, 'must be an object');
+    if (typeof e.id !== 'string' || !e.id) report(`${at}.id`, 'must be a non-empty string');
+    else if (edgeIds.has(e.id)) report(`${at}.id`, `"${e.id}" is already used by edges[${edgeIds.get(e.id)}]`);
+    else edgeIds.set(e.id, i);
+    ['source', 'target'].forEach((end) => {
+      if (!seen.has(e[end])) report(`${at}.${end}`, `"${e[end]}" is not a node id`);
+    });
+    ['sourceHandle', 'targetHandle'].forEach((h) => {
+      if (!isOptionalString(e[h])) report(`${at}.${h}`, 'must be a string or null');
+    });
+    edgePortProblems(e, nodesById).forEach(({ field, message }) => report(`${at}.${field}`, message));
+    if (!isOptionalString(e.label)) report(`${at}.label`, 'must be a string');
+    if (e.data != null && !isObject(e.data)) report(`${at}.data`, 'must be an object');
+  });
+  stepProblems(diagram.steps).forEach(({ field, message }) => report(`steps${field}`, message));
+  return problems;
+}
+
+const versionOf = (data) => (data.format === FORMAT ? data.version : 1);
+
+// Each step takes a diagram of version N to N + 1.
+const MIGRATIONS = {
+  // Projects and share links store the unversioned form, steps included.
+  1: ({ nodes, edges, steps }) => {
+    const clean = serializeDiagram({
+      nodes: (nodes || []).map((n) => ({ ...n, type: n?.type || 'sideNode' })),
+      edges: (edges || []).map((e) => ({ ...e, id: e.id || edgeId(e) })),
+      steps,
+    });
+    return { format: FORMAT, version: 2, ...clean };
+  },
+};
+
+/** Brings any known file version up to the current one, without validating it. */
+export function migrateDiagram(data) {
+  let version = versionOf(data);
+  if (!Number.isInteger(version) || version < 1) throw new Error(`Unknown diagram format version "${data.version}".`);
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`This file uses diagram format version ${version}, which is newer than this app supports.`);
+  }
+  let out = data;
+  for (; version < SCHEMA_VERSION; version++) out = MIGRATIONS[version](out);
+  return out;
+}
+
+/**
+ * Parses a diagram file (JSON text or an already parsed object), migrates
+ * it and validates it. Returns `{ nodes, edges }`, plus `steps` when the
+ * file has a walkthrough; throws an error listing
+ * every problem in `problems` when the file is not a valid diagram.
+ */
+export function readDiagram(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (err) {
+      throw Object.assign(new Error(`Not valid JSON: ${err.message}`), { problems: [] });
+    }
+  }
+  if (!isObject(data) || (!Array.isArray(data.nodes) && data.format !== FORMAT)) {
+    throw Object.assign(new Error('Not a diagram: expected an object with "nodes" and "edges".'), { problems: [] });
+  }
+  const migrated = migrateDiagram(data);
+  const problems = validateDiagram(migrated);
+  if (problems.length) {
+    throw Object.assign(new Error(`The diagram has ${problems.length} problem(s).`), { problems });
+  }
+  const { nodes, edges, steps } = migrated;
+  return steps?.length ? { nodes, edges, steps } : { nodes, edges };
+}
+
+/** The diagram as a current-version file, ready for JSON.stringify. */
+export function toDiagramFile(diagram) {
+  return { format: FORMAT, version: SCHEMA_VERSION, ...serializeDiagram(diagram) };
+}
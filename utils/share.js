@@ -0,0 +1,65 @@
+// utils/share.js
+// Share links carry the whole diagram in the URL fragment, which never
+// reaches the server: `#share=<version>.<deflated JSON, base64url>`.
+import { serializeDiagram } from './diagram.js';
+
+const PARAM = 'share';
+const VERSION = '1';
+
+// Links longer than this get cut off by some mail clients and chat apps.
+export const WARN_URL_LENGTH = 2000;
+// Beyond this browsers and servers start to refuse or truncate the URL.
+export const MAX_URL_LENGTH = 32000;
+
+async function pipe(bytes, stream) {
+  const out = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(out).arrayBuffer());
+}
+
+const toBase64Url = (bytes) => {
+  let bin = '';
+  bytes.forEach((b) => (bin += String.fromCharCode(b)));
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const bin = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+};
+
+// Whole-pixel positions are plenty for a shared view and compress better.
+const roundPositions = ({ nodes, ...rest }) => ({
+  nodes: nodes.map((n) => ({ ...n, position: { x: Math.round(n.position.x), y: Math.round(n.position.y) } })),
+  ...rest,
+});
+
+export async function encodeDiagram(diagram) {
+  const json = JSON.stringify(roundPositions(serializeDiagram(diagram)));
+  const packed = await pipe(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+  return `${VERSION}.${toBase64Url(packed)}`;
+}
+
+export async function decodeDiagram(code) {
+  const [version, data] = code.split('.');
+  if (version !== VERSION || !data) throw new Error(`Unsupported share link version "${version}".`);
+  const json = await pipe(fromBase64Url(data), new DecompressionStream('deflate-raw'));
+  const diagram = JSON.parse(new TextDecoder().decode(json));
+  if (!Array.isArray(diagram.nodes) || !Array.isArray(diagram.edges)) throw new Error('Not a diagram.');
+  return diagram;
+}
+
+/** Returns `{ url, length }` for a link to the current page showing `diagram`. */
+export async function createShareLink(diagram, location = window.location) {
+  const url = `${location.origin}${location.pathname}#${PARAM}=${await encodeDiagram(diagram)}`;
+  return { url, length: url.length };
+}
+
+/** The encoded diagram in a `#share=` fragment, or null. */
+export function readShareHash(hash = window.location.hash) {
+  const match = new RegExp(`^#${PARAM}=(.+)$`).exec(hash);
+  return match ? match[1] : null;
+}
+
+export function clearShareHash() {
+  if (readShareHash()) window.history.replaceState(null, '', window.location.pathname + window.location.search);
+}
@@ -0,0 +1,158 @@
+// utils/simulation.js
+// Back-of-the-envelope sizing of a design. Nodes carry capacity hints in
+// `data.sizing`, source nodes an expected input volume; the load is pushed
+// along the edges in topological order and compared with each capacity.
+//
+//   data.sizing = {
+//     inputRate: 5000, inputUnit: 'events/s',      sources: the volume they emit
+//     capacity: 20, capacityUnit: 'GB/h',          what the node can handle
+//     latencyMs: 200,                              processing time per event
+//     batchInterval: 300,                          seconds between batch runs
+//   }
+//
+// Every outgoing edge carries the node's whole output (a topic read by two
+// consumers delivers everything to both). Edges that close a cycle are
+// ignored, like in the auto-layout.
+import { isGroupNode } from './groups.js';
+import { rankNodes } from './layout.js';
+
+export const RATE_UNITS = ['events/s', 'GB/h'];
+export const DEFAULT_EVENT_KB = 1;
+const MAX_PATHS = 100;
+
+// Utilisation from which a node counts as busy, and as overloaded.
+const BUSY = 0.7;
+const OVERLOADED = 1;
+
+const NUMBER_FIELDS = ['inputRate', 'capacity', 'latencyMs', 'batchInterval'];
+const UNIT_FIELDS = ['inputUnit', 'capacityUnit'];
+
+/** `value` in `unit` as events per second, with events of `eventKb` kilobytes. */
+export function toEventsPerSecond(value, unit, eventKb = DEFAULT_EVENT_KB) {
+  return unit === 'GB/h' ? (value * 1e6) / eventKb / 3600 : value;
+}
+
+/**
+ * Returns node `data` with `changes` merged into its sizing. Blank values
+ * remove a field; a sizing left with nothing in it is removed.
+ */
+export function withSizing(data, changes) {
+  const sizing = { ...data.sizing, ...changes };
+  Object.keys(sizing).forEach((k) => (sizing[k] === '' || sizing[k] == null) && delete sizing[k]);
+  const { sizing: _, ...rest } = data;
+  return Object.keys(sizing).length ? { ...rest, sizing } : rest;
+}
+
+/** Problems with a node's `data.sizing`, as `{ field, message }` (for validation). */
+export function sizingProblems(sizing) {
+  if (sizing == null) return [];
+  if (typeof sizing !== 'object' || Array.isArray(sizing)) return [{ field: '', message: 'must be an object' }];
+  const problems = [];
+  NUMBER_FIELDS.forEach((k) => {
+    const v = sizing[k];
+    if (v != null && !(typeof v === 'number' && Number.isFinite(v) && v >= 0)) {
+      problems.push({ field: `.${k}`, message: 'must be a number of at least 0' });
+    }
+  });
+  UNIT_FIELDS.forEach((k) => {
+    if (sizing[k] != null && !RATE_UNITS.includes(sizing[k])) {
+      problems.push({ field: `.${k}`, message: `must be one of ${RATE_UNITS.join(', ')}` });
+    }
+  });
+  return problems;
+}
+
+const levelOf = (utilisation) =>
+  utilisation == null ? 'unknown' : utilisation >= OVERLOADED ? 'over' : utilisation >= BUSY ? 'busy' : 'ok';
+
+/**
+ * Runs the model on `{ nodes, edges }`. Returns
+ *   { nodes: Map(id → { load, capacity, utilisation, level, latencyMs }),
+ *     bottleneck: node id or null,
+ *     paths: [{ nodeIds, latencyMs, bottleneck }], slowest first,
+ *     truncated: whether there were more than MAX_PATHS paths }
+ * Rates are in events/s. A path through an overloaded node has an infinite
+ * latency: its queue grows without bound.
+ */
+export function simulate({ nodes, edges }, { eventKb = DEFAULT_EVENT_KB } = {}) {
+  const real = nodes.filter((n) => !isGroupNode(n));
+  const order = rankNodes(real, edges).flat();
+  const position = new Map(order.map((nid, i) => [nid, i]));
+  const forward = edges.filter(
+    (e) => position.has(e.source) && position.has(e.target) && position.get(e.source) < position.get(e.target)
+  );
+  const incoming = new Map(order.map((nid) => [nid, []]));
+  const outgoing = new Map(order.map((nid) => [nid, []]));
+  forward.forEach((e) => {
+    incoming.get(e.target).push(e.source);
+    outgoing.get(e.source).push(e.target);
+  });
+  const byId = new Map(real.map((n) => [n.id, n]));
+
+  const results = new Map();
+  order.forEach((nid) => {
+    const s = byId.get(nid).data?.sizing || {};
+    const load = toEventsPerSecond(s.inputRate || 0, s.inputUnit, eventKb) +
+      incoming.get(nid).reduce((sum, src) => sum + results.get(src).load, 0);
+    const capacity = s.capacity ? toEventsPerSecond(s.capacity, s.capacityUnit, eventKb) : null;
+    const utilisation = capacity ? load / capacity : null;
+    results.set(nid, {
+      load,
+      capacity,
+      utilisation,
+      level: levelOf(utilisation),
+      latencyMs: (s.latencyMs || 0) + (s.batchInterval || 0) * 1000,
+    });
+  });
+
+  const busiest = (ids) =>
+    ids.reduce((best, nid) => {
+      const u = results.get(nid).utilisation;
+      return u != null && u > 0 && (best === null || u > results.get(best).utilisation) ? nid : best;
+    }, null);
+
+  const paths = [];
+  let truncated = false;
+  const walk = (nid, trail) => {
+    if (paths.length >= MAX_PATHS) {
+      truncated = true;
+      return;
+    }
+    const next = [...trail, nid];
+    const targets = outgoing.get(nid);
+    if (!targets.length) {
+      if (next.length < 2) return;
+      const overloaded = next.some((id) => results.get(id).level === 'over');
+      paths.push({
+        nodeIds: next,
+        latencyMs: overloaded ? Infinity : next.reduce((sum, id) => sum + results.get(id).latencyMs, 0),
+        bottleneck: busiest(next),
+      });
+      return;
+    }
+    targets.forEach((t) => walk(t, next));
+  };
+  order.filter((nid) => !incoming.get(nid).length).forEach((nid) => walk(nid, []));
+  paths.sort((a, b) => b.latencyMs - a.latencyMs);
+
+  return { nodes: results, bottleneck: busiest(order), paths, truncated };
+}
+
+/** e.g. "850 events/s", "12.5k events/s". */
+export function formatRate(eventsPerSecond) {
+  const v = eventsPerSecond;
+  if (v >= 1e6) return `${+(v / 1e6).toFixed(1)}M events/s`;
+  if (v >= 1e3) return `${+(v / 1e3).toFixed(1)}k events/s`;
+  return `${+v.toFixed(v < 10 ? 2 : 0)} events/s`;
+}
+
+/** e.g. "120 ms", "2.5 s", "5 min"; Infinity reads "unbounded". */
+export function formatLatency(ms) {
+  if (ms === Infinity) return 'unbounded';
+  if (ms < 1000) return `${Math.round(ms)} ms`;
+  if (ms < 60000) return `${+(ms / 1000).toFixed(1)} s`;
+  if (ms < 3600000) return `${+(ms / 60000).toFixed(1)} min`;
+  return `${+(ms / 3600000).toFixed(1)} h`;
+}
+
+export const formatUtilisation = (u) => (u == null ? '–' : `${Math.round(u * 100)}%`);
@@ -0,0 +1,690 @@
+// utils/terraform.js
+// Turns the AWS, Azure and GCP tools of a diagram into a Terraform skeleton:
+// one resource stub per node, variables for names and regions, and an
+// IAM/permission placeholder for every data-flow edge between two generated
+// resources. Whatever cannot be generated is written as a TODO comment.
+import { findTool, slugify } from './catalog.js';
+import { edgeSummary } from './edges.js';
+import { isGroupNode } from './groups.js';
+
+const PROVIDERS = {
+  AWS: { name: 'aws', source: 'hashicorp/aws', version: '~> 5.0', config: ['region = var.aws_region'] },
+  Azure: { name: 'azurerm', source: 'hashicorp/azurerm', version: '~> 3.0', config: ['features {}'] },
+  GCP: {
+    name: 'google',
+    source: 'hashicorp/google',
+    version: '~> 5.0',
+    config: ['project = var.gcp_project', 'region = var.gcp_region'],
+  },
+};
+
+// [name, description, default (HCL) or null for a required variable]
+const VARIABLES = {
+  common: [
+    ['project', 'Short name used as a prefix for every resource.', '"etl-pipeline"'],
+    ['environment', 'Deployment environment, e.g. dev or prod.', '"dev"'],
+  ],
+  AWS: [['aws_region', 'AWS region to deploy to.', '"eu-central-1"']],
+  Azure: [['azure_location', 'Azure region to deploy to.', '"westeurope"']],
+  GCP: [
+    ['gcp_project', 'Id of the GCP project to deploy to.', null],
+    ['gcp_region', 'GCP region to deploy to.', '"europe-west1"'],
+  ],
+};
+
+const AZURE_COMMON = [
+  'location = azurerm_resource_group.main.location',
+  'resource_group_name = azurerm_resource_group.main.name',
+];
+
+// Per catalog tool: the resource type, the body of the stub and the kind of
+// access other nodes need to it (a key of ACCESS). `n` holds ready-made
+// name expressions: `name` (dashes), `snake` (underscores), `flat` (neither).
+const RESOURCES = {
+  // AWS
+  'aws.apis.api-gateway': { type: 'aws_apigatewayv2_api', body: (n) => [`name = ${n.name}`, 'protocol_type = "HTTP"'] },
+  'aws.data-integration-tools.aws-glue': { type: 'aws_glue_job', access: 'glueJob', body: glueJob },
+  'aws.processing.glue': { type: 'aws_glue_job', access: 'glueJob', body: glueJob },
+  'aws.data-integration-tools.stepfunctions': { type: 'aws_sfn_state_machine', access: 'sfn', body: stateMachine },
+  'aws.processing.stepfunctions': { type: 'aws_sfn_state_machine', access: 'sfn', body: stateMachine },
+  'aws.message-queues.kinesis': { type: 'aws_kinesis_stream', access: 'kinesis', body: (n) => [`name = ${n.name}`, 'shard_count = 1'] },
+  'aws.message-queues.kinesis-firehose': {
+    type: 'aws_kinesis_firehose_delivery_stream',
+    access: 'firehose',
+    body: (n) => [
+      `name = ${n.name}`,
+      'destination = "extended_s3"',
+      '',
+      'extended_s3_configuration {',
+      '  role_arn = "TODO" # role allowed to write to the bucket',
+      '  bucket_arn = "TODO"',
+      '}',
+    ],
+  },
+  'aws.message-queues.sqs': { type: 'aws_sqs_queue', access: 'sqs', body: (n) => [`name = ${n.name}`] },
+  'aws.processing.lambda': {
+    type: 'aws_lambda_function',
+    access: 'lambda',
+    body: (n) => [
+      `function_name = ${n.name}`,
+      'role = "TODO" # execution role ARN',
+      'runtime = "python3.12"',
+      'handler = "handler.main"',
+      'filename = "TODO.zip"',
+    ],
+  },
+  'aws.processing.ecs': { type: 'aws_ecs_cluster', body: (n) => [`name = ${n.name}`] },
+  'aws.processing.emr': {
+    type: 'aws_emr_cluster',
+    body: (n) => [
+      `name = ${n.name}`,
+      'release_label = "emr-7.0.0"',
+      'applications = ["Spark"]',
+      'service_role = "TODO"',
+    ],
+  },
+  'aws.processing.eks': {
+    type: 'aws_eks_cluster',
+    body: (n) => [`name = ${n.name}`, 'role_arn = "TODO"', '', 'vpc_config {', '  subnet_ids = [] # TODO', '}'],
+  },
+  'aws.scheduling.eventbridge': {
+    type: 'aws_cloudwatch_event_rule',
+    access: 'events',
+    body: (n) => [`name = ${n.name}`, 'schedule_expression = "rate(1 hour)" # TODO'],
+  },
+  'aws.scheduling.cloudwatch': { type: 'aws_cloudwatch_log_group', body: (n) => [`name = ${n.name}`] },
+  'aws.machine-learning.sagemaker': {
+    type: 'aws_sagemaker_notebook_instance',
+    body: (n) => [`name = ${n.name}`, 'role_arn = "TODO"', 'instance_type = "ml.t3.medium"'],
+  },
+  'aws.oltp-plus-file-stores.s3': { type: 'aws_s3_bucket', access: 's3', body: (n) => [`bucket = ${n.name}`] },
+  'aws.oltp-plus-file-stores.rds': {
+    type: 'aws_db_instance',
+    access: 'rds',
+    body: (n) => [
+      `identifier = ${n.name}`,
+      'engine = "postgres"',
+      'instance_class = "db.t3.micro"',
+      'allocated_storage = 20',
+      'username = "admin_user"',
+      'manage_master_user_password = true',
+    ],
+  },
+  'aws.oltp-plus-file-stores.aurora': {
+    type: 'aws_rds_cluster',
+    access: 'rds',
+    body: (n) => [
+      `cluster_identifier = ${n.name}`,
+      'engine = "aurora-postgresql"',
+      'master_username = "admin_user"',
+      'manage_master_user_password = true',
+    ],
+  },
+  'aws.oltp-plus-file-stores.dynamodb': {
+    type: 'aws_dynamodb_table',
+    access: 'dynamodb',
+    body: (n) => [
+      `name = ${n.name}`,
+      'billing_mode = "PAY_PER_REQUEST"',
+      'hash_key = "id"',
+      '',
+      'attribute {',
+      '  name = "id"',
+      '  type = "S"',
+      '}',
+    ],
+  },
+  'aws.oltp-plus-file-stores.timestream': {
+    type: 'aws_timestreamwrite_database',
+    access: 'timestream',
+    body: (n) => [`database_name = ${n.name}`],
+  },
+  'aws.olap.redshift': {
+    type: 'aws_redshift_cluster',
+    access: 'redshift',
+    body: (n) => [
+      `cluster_identifier = ${n.name}`,
+      'node_type = "ra3.xlplus"',
+      'number_of_nodes = 1',
+      'master_username = "admin_user"',
+      'manage_master_password = true',
+    ],
+  },
+  'aws.olap.athena': { type: 'aws_athena_workgroup', access: 'athena', body: (n) => [`name = ${n.name}`] },
+  'aws.data-catalog.aws-glue-data-catalog': { type: 'aws_glue_catalog_database', access: 'glueCatalog', body: (n) => [`name = ${n.snake}`] },
+  'aws.data-catalog.glue-crawler': {
+    type: 'aws_glue_crawler',
+    body: (n) => [
+      `name = ${n.name}`,
+      'database_name = "TODO"',
+      'role = "TODO"',
+      '',
+      's3_target {',
+      '  path = "TODO"',
+      '}',
+    ],
+  },
+
+  // Azure
+  'azure.apis.api-management': {
+    type: 'azurerm_api_management',
+    body: (n) => [
+      `name = ${n.name}`,
+      ...AZURE_COMMON,
+      'publisher_name = "TODO"',
+      'publisher_email = "TODO@example.com"',
+      'sku_name = "Developer_1"',
+    ],
+  },
+  'azure.data-integration-tools.data-factory': { type: 'azurerm_data_factory', access: 'azureDataFactory', body: azureNamed },
+  'azure.processing.data-factory': { type: 'azurerm_data_factory', access: 'azureDataFactory', body: azureNamed },
+  'azure.message-queues.eventhub': {
+    type: 'azurerm_eventhub_namespace',
+    access: 'eventhub',
+    body: (n) => [`name = ${n.name}`, ...AZURE_COMMON, 'sku = "Standard"'],
+  },
+  'azure.processing.functions': {
+    type: 'azurerm_linux_function_app',
+    body: (n) => [
+      `name = ${n.name}`,
+      ...AZURE_COMMON,
+      'service_plan_id = "TODO"',
+      'storage_account_name = "TODO"',
+      '',
+      'site_config {}',
+    ],
+  },
+  'azure.scheduling.azure-logic-apps': { type: 'azurerm_logic_app_workflow', body: azureNamed },
+  'azure.scheduling.azure-batch': { type: 'azurerm_batch_account', body: (n) => [`name = ${n.flat}`, ...AZURE_COMMON] },
+  'azure.machine-learning.azure-ml': {
+    type: 'azurerm_machine_learning_workspace',
+    body: (n) => [
+      `name = ${n.name}`,
+      ...AZURE_COMMON,
+      'application_insights_id = "TODO"',
+      'key_vault_id = "TODO"',
+      'storage_account_id = "TODO"',
+      '',
+      'identity {',
+      '  type = "SystemAssigned"',
+      '}',
+    ],
+  },
+  'azure.machine-learning.synapse-analytics': { type: 'azurerm_synapse_workspace', access: 'synapse', body: synapseWorkspace },
+  'azure.olap.azure-synapse': { type: 'azurerm_synapse_workspace', access: 'synapse', body: synapseWorkspace },
+  'azure.oltp-plus-file-stores.cosmosdb': {
+    type: 'azurerm_cosmosdb_account',
+    access: 'cosmos',
+    body: (n) => [
+      `name = ${n.name}`,
+      ...AZURE_COMMON,
+      'offer_type = "Standard"',
+      '',
+      'consistency_policy {',
+      '  consistency_level = "Session"',
+      '}',
+      '',
+      'geo_location {',
+      '  location = azurerm_resource_group.main.location',
+      '  failover_priority = 0',
+      '}',
+    ],
+  },
+  'azure.oltp-plus-file-stores.azure-sql-db': {
+    type: 'azurerm_mssql_database',
+    access: 'azureSql',
+    body: (n) => [`name = ${n.name}`, 'server_id = "TODO" # azurerm_mssql_server id'],
+  },
+  'azure.oltp-plus-file-stores.blob-storage': { type: 'azurerm_storage_account', access: 'azureStorage', body: (n) => storageAccount(n, false) },
+  'azure.oltp-plus-file-stores.data-lake-storage': { type: 'azurerm_storage_account', access: 'azureStorage', body: (n) => storageAccount(n, true) },
+  'azure.olap.azure-data-explorer': {
+    type: 'azurerm_kusto_cluster',
+    body: (n) => [
+      `name = ${n.flat}`,
+      ...AZURE_COMMON,
+      '',
+      'sku {',
+      '  name = "Dev(No SLA)_Standard_D11_v2"',
+      '  capacity = 1',
+      '}',
+    ],
+  },
+
+  // GCP
+  'gcp.data-integration-tools.cloud-data-fusion': {
+    type: 'google_data_fusion_instance',
+    body: (n) => [`name = ${n.name}`, 'region = var.gcp_region', 'type = "BASIC"'],
+  },
+  'gcp.message-queues.pub-sub': { type: 'google_pubsub_topic', access: 'pubsub', body: (n) => [`name = ${n.name}`] },
+  'gcp.processing.cloud-function': {
+    type: 'google_cloudfunctions2_function',
+    access: 'cloudFunction',
+    body: (n) => [
+      `name = ${n.name}`,
+      'location = var.gcp_region',
+      '',
+      'build_config {',
+      '  runtime = "python312"',
+      '  entry_point = "main"',
+      '}',
+    ],
+  },
+  'gcp.processing.dataflow': {
+    type: 'google_dataflow_job',
+    body: (n) => [
+      `name = ${n.name}`,
+      'template_gcs_path = "TODO"',
+      'temp_gcs_location = "TODO"',
+    ],
+  },
+  'gcp.processing.dataproc': { type: 'google_dataproc_cluster', body: (n) => [`name = ${n.name}`, 'region = var.gcp_region'] },
+  'gcp.scheduling.cloud-scheduler': {
+    type: 'google_cloud_scheduler_job',
+    body: (n) => [`name = ${n.name}`, 'region = var.gcp_region', 'schedule = "0 * * * *" # TODO'],
+  },
+  'gcp.scheduling.cloud-workflows': {
+    type: 'google_workflows_workflow',
+    body: (n) => [`name = ${n.name}`, 'region = var.gcp_region', 'source_contents = "" # TODO'],
+  },
+  'gcp.scheduling.cloud-composer': { type: 'google_composer_environment', body: (n) => [`name = ${n.name}`, 'region = var.gcp_region'] },
+  'gcp.oltp-plus-file-stores.cloud-storage': {
+    type: 'google_storage_bucket',
+    access: 'gcs',
+    body: (n) => [`name = ${n.name}`, 'location = upper(var.gcp_region)'],
+  },
+  'gcp.oltp-plus-file-stores.cloudspanner': {
+    type: 'google_spanner_instance',
+    access: 'spanner',
+    body: (n) => [
+      `name = ${n.name}`,
+      'config = "regional-${var.gcp_region}"',
+      `display_name = ${n.name}`,
+      'num_nodes = 1',
+    ],
+  },
+  'gcp.oltp-plus-file-stores.cloudsql': {
+    type: 'google_sql_database_instance',
+    access: 'cloudSql',
+    body: (n) => [
+      `name = ${n.name}`,
+      'database_version = "POSTGRES_15"',
+      'region = var.gcp_region',
+      '',
+      'settings {',
+      '  tier = "db-f1-micro"',
+      '}',
+    ],
+  },
+  'gcp.oltp-plus-file-stores.bigtable': {
+    type: 'google_bigtable_instance',
+    access: 'bigtable',
+    body: (n) => [
+      `name = ${n.name}`,
+      '',
+      'cluster {',
+      `  cluster_id = ${n.name}`,
+      '  zone = "${var.gcp_region}-b"',
+      '}',
+    ],
+  },
+  'gcp.oltp-plus-file-stores.firestore': {
+    type: 'google_firestore_database',
+    access: 'firestore',
+    body: () => ['name = "(default)"', 'location_id = var.gcp_region', 'type = "FIRESTORE_NATIVE"'],
+  },
+  'gcp.olap.bigquery': {
+    type: 'google_bigquery_dataset',
+    access: 'bigquery',
+    body: (n) => [`dataset_id = ${n.snake}`, 'location = var.gcp_region'],
+  },
+  'gcp.data-catalog.cloud-data-catalog': {
+    type: 'google_data_catalog_entry_group',
+    body: (n) => [`entry_group_id = ${n.snake}`, 'region = var.gcp_region'],
+  },
+};
+
+function glueJob(n) {
+  return [
+    `name = ${n.name}`,
+    'role_arn = "TODO"',
+    '',
+    'command {',
+    '  script_location = "TODO" # s3://bucket/script.py',
+    '}',
+  ];
+}
+
+function stateMachine(n) {
+  return [
+    `name = ${n.name}`,
+    'role_arn = "TODO"',
+    'definition = jsonencode({ StartAt = "TODO", States = {} })',
+  ];
+}
+
+function azureNamed(n) {
+  return [`name = ${n.name}`, ...AZURE_COMMON];
+}
+
+function synapseWorkspace(n) {
+  return [
+    `name = ${n.name}`,
+    ...AZURE_COMMON,
+    'storage_data_lake_gen2_filesystem_id = "TODO"',
+    'sql_administrator_login = "sqladmin"',
+    '',
+    'identity {',
+    '  type = "SystemAssigned"',
+    '}',
+  ];
+}
+
+function storageAccount(n, dataLake) {
+  return [
+    `name = ${n.flat}`,
+    ...AZURE_COMMON,
+    'account_tier = "Standard"',
+    'account_replication_type = "LRS"',
+    ...(dataLake ? ['is_hns_enabled = true'] : []),
+  ];
+}
+
+// What a principal needs to read from or write to a resource: IAM actions
+// on AWS, role names on Azure and GCP. `passive` resources (stores, queues)
+// never act themselves, so along an edge it is the other side that needs
+// access to them.
+const ACCESS = {
+  s3: {
+    passive: true,
+    read: ['s3:GetObject', 's3:ListBucket'],
+    write: ['s3:PutObject'],
+    arns: (ref) => [`${ref}.arn`, `"\${${ref}.arn}/*"`],
+  },
+  kinesis: {
+    passive: true,
+    read: ['kinesis:DescribeStream', 'kinesis:GetShardIterator', 'kinesis:GetRecords'],
+    write: ['kinesis:PutRecord', 'kinesis:PutRecords'],
+  },
+  firehose: { write: ['firehose:PutRecord', 'firehose:PutRecordBatch'] },
+  sqs: {
+    passive: true,
+    read: ['sqs:ReceiveMessage', 'sqs:DeleteMessage', 'sqs:GetQueueAttributes'],
+    write: ['sqs:SendMessage'],
+  },
+  dynamodb: {
+    passive: true,
+    read: ['dynamodb:GetItem', 'dynamodb:Query', 'dynamodb:Scan'],
+    write: ['dynamodb:PutItem', 'dynamodb:BatchWriteItem'],
+  },
+  timestream: { passive: true, read: ['timestream:Select'], write: ['timestream:WriteRecords'] },
+  rds: { passive: true, read: ['rds-db:connect'], write: ['rds-db:connect'] },
+  redshift: {
+    passive: true,
+    read: ['redshift-data:ExecuteStatement', 'redshift-data:GetStatementResult'],
+    write: ['redshift-data:ExecuteStatement'],
+  },
+  glueCatalog: {
+    passive: true,
+    read: ['glue:GetDatabase', 'glue:GetTable', 'glue:GetPartitions'],
+    write: ['glue:CreateTable', 'glue:UpdateTable', 'glue:BatchCreatePartition'],
+  },
+  athena: { write: ['athena:StartQueryExecution', 'athena:GetQueryResults'] },
+  lambda: { write: ['lambda:InvokeFunction'] },
+  sfn: { write: ['states:StartExecution'] },
+  glueJob: { write: ['glue:StartJobRun'] },
+  events: { write: ['events:PutEvents'] },
+
+  azureStorage: { passive: true, read: 'Storage Blob Data Reader', write: 'Storage Blob Data Contributor' },
+  eventhub: { passive: true, read: 'Azure Event Hubs Data Receiver', write: 'Azure Event Hubs Data Sender' },
+  cosmos: { passive: true, read: 'Cosmos DB Account Reader Role', write: 'DocumentDB Account Contributor' },
+  azureSql: { passive: true, read: 'Reader', write: 'SQL DB Contributor' },
+  synapse: { passive: true, read: 'Reader', write: 'Contributor' },
+  azureDataFactory: { write: 'Data Factory Contributor' },
+
+  gcs: { passive: true, read: 'roles/storage.objectViewer', write: 'roles/storage.objectCreator' },
+  pubsub: { passive: true, read: 'roles/pubsub.subscriber', write: 'roles/pubsub.publisher' },
+  bigquery: { passive: true, read: 'roles/bigquery.dataViewer', write: 'roles/bigquery.dataEditor' },
+  bigtable: { passive: true, read: 'roles/bigtable.reader', write: 'roles/bigtable.user' },
+  spanner: { passive: true, read: 'roles/spanner.databaseReader', write: 'roles/spanner.databaseUser' },
+  cloudSql: { passive: true, read: 'roles/cloudsql.client', write: 'roles/cloudsql.client' },
+  firestore: { passive: true, read: 'roles/datastore.viewer', write: 'roles/datastore.user' },
+  cloudFunction: { write: 'roles/cloudfunctions.invoker' },
+};
+
+const comment = (text, pad = '') =>
+  String(text).split(/\r?\n/).map((l) => `${pad}# ${l}`.trimEnd());
+
+const ATTRIBUTE = /^(\s*)([\w.]+) = (?!.*\{$)/;
+
+// Pads the keys of consecutive `key = value` lines at the same depth, like
+// `terraform fmt` does.
+function align(lines) {
+  const out = [...lines];
+  let run = [];
+  const flush = () => {
+    const width = Math.max(...run.map((i) => ATTRIBUTE.exec(out[i])[2].length));
+    run.forEach((i) => {
+      const [, indent, key] = ATTRIBUTE.exec(out[i]);
+      out[i] = `${indent}${key.padEnd(width)} = ${out[i].slice(ATTRIBUTE.exec(out[i])[0].length)}`;
+    });
+    run = [];
+  };
+  out.forEach((line, i) => {
+    const m = ATTRIBUTE.exec(line);
+    if (run.length && (!m || m[1] !== ATTRIBUTE.exec(out[run[0]])[1])) flush();
+    if (m) run.push(i);
+  });
+  if (run.length) flush();
+  return out;
+}
+
+const block = (header, lines) => [`${header} {`, ...align(lines).map((l) => (l ? `  ${l}` : '')), '}'];
+
+const quote = (s) => `"${s}"`;
+
+/** Catalog tools on AWS, Azure or GCP used in `diagram`. */
+export function cloudTools({ nodes }, catalog) {
+  return nodes
+    .filter((n) => !isGroupNode(n))
+    .map((n) => findTool(catalog, n.data))
+    .filter((t) => t && PROVIDERS[t.platform]);
+}
+
+/**
+ * Returns `{ files, resources, todos }`: the Terraform files keyed by file
+ * name, the number of resource stubs and the number of nodes left as TODO.
+ */
+export function generateTerraform(diagram, catalog) {
+  const nodes = diagram.nodes.filter((n) => !isGroupNode(n));
+  const used = new Set();
+  const names = new Set();
+  const byNode = new Map();
+  const todos = [];
+
+  nodes.forEach((n) => {
+    const label = n.data?.label || n.id;
+    const tool = findTool(catalog, n.data);
+    const spec = tool && RESOURCES[tool.id];
+    if (!spec) {
+      todos.push({ node: n, label, tool });
+      return;
+    }
+    let name = slugify(label).replace(/-/g, '_') || 'resource';
+    if (!/^[a-z]/.test(name)) name = `r_${name}`;
+    for (let i = 2; names.has(name); i++) name = `${name.replace(/_\d+$/, '')}_${i}`;
+    names.add(name);
+    used.add(tool.platform);
+    const slug = name.replace(/_/g, '-');
+    byNode.set(n.id, {
+      node: n,
+      label,
+      tool,
+      spec,
+      ref: `${spec.type}.${name}`,
+      address: name,
+      exprs: {
+        name: quote(`\${local.prefix}-${slug}`),
+        snake: quote(`\${local.prefix_snake}_${name}`),
+        flat: `substr(${quote(`\${local.prefix_flat}${name.replace(/_/g, '')}`)}, 0, 24)`,
+      },
+    });
+  });
+
+  const platforms = Object.keys(PROVIDERS).filter((p) => used.has(p));
+
+  const providers = [
+    ...block('terraform', [
+      'required_version = ">= 1.5"',
+      '',
+      ...block('required_providers', platforms.flatMap((p) => {
+        const { name, source, version } = PROVIDERS[p];
+        return block(`${name} =`, [`source = "${source}"`, `version = "${version}"`]);
+      })),
+    ]),
+    ...platforms.flatMap((p) => ['', ...block(`provider "${PROVIDERS[p].name}"`, PROVIDERS[p].config)]),
+  ];
+
+  const variables = [...VARIABLES.common, ...platforms.flatMap((p) => VARIABLES[p])].flatMap(
+    ([name, description, fallback], i) => [
+      ...(i ? [''] : []),
+      ...block(`variable "${name}"`, [
+        `description = "${description}"`,
+        'type = string',
+        ...(fallback ? [`default = ${fallback}`] : []),
+      ]),
+    ]
+  );
+
+  const main = [
+    ...block('locals', [
+      'prefix = "${var.project}-${var.environment}"',
+      'prefix_snake = replace(local.prefix, "-", "_")',
+      'prefix_flat = replace(local.prefix, "-", "")',
+    ]),
+  ];
+  if (used.has('Azure')) {
+    main.push('', ...block('resource "azurerm_resource_group" "main"', [
+      'name = "${local.prefix}-rg"',
+      'location = var.azure_location',
+    ]));
+  }
+  platforms.forEach((platform) => {
+    main.push('', `# ---------------------------------------------------------------- ${platform}`);
+    [...byNode.values()].filter((r) => r.tool.platform === platform).forEach((r) => {
+      main.push('', ...comment(r.label));
+      if (r.node.data?.description) main.push(...comment(r.node.data.description));
+      main.push(...block(`resource "${r.spec.type}" "${r.address}"`, r.spec.body(r.exprs)));
+    });
+  });
+  if (todos.length) {
+    main.push('', '# ---------------------------------------------------------------- TODO');
+    todos.forEach(({ label, tool, node }) => {
+      const reason = !tool
+        ? 'custom element, add the resources it needs'
+        : PROVIDERS[tool.platform]
+          ? `no Terraform stub for ${tool.platform} ${tool.name} yet`
+          : `${tool.platform} tool, deploy it separately or add its resources`;
+      main.push('', ...comment(`TODO: ${label} – ${reason}.`));
+      if (node.data?.description) main.push(...comment(node.data.description));
+    });
+  }
+
+  const iam = [];
+  diagram.edges.forEach((e) => {
+    const source = byNode.get(e.source);
+    const target = byNode.get(e.target);
+    const labelOf = (nid) => byNode.get(nid)?.label || nodes.find((n) => n.id === nid)?.data?.label || nid;
+    const details = [e.label, edgeSummary(e)].filter(Boolean).join(' – ');
+    iam.push('', ...comment(`Data flow: ${labelOf(e.source)} -> ${labelOf(e.target)}${details ? ` (${details})` : ''}`));
+    if (!source || !target) {
+      iam.push('# TODO: grant access by hand, one side is not generated.');
+      return;
+    }
+    if (source.tool.platform !== target.tool.platform) {
+      iam.push(`# TODO: cross-cloud flow (${source.tool.platform} -> ${target.tool.platform}), set up credentials or federation by hand.`);
+      return;
+    }
+    if (ACCESS[source.spec.access]?.passive && ACCESS[target.spec.access]?.passive) {
+      iam.push('# TODO: both sides only hold data, grant access to whatever moves it between them.');
+      return;
+    }
+    iam.push(...permission(source, target));
+  });
+
+  const readme = [
+    '# Terraform skeleton',
+    '',
+    'Generated from an ETL pipeline diagram. It is a starting point, not a',
+    'deployable configuration: search for `TODO` to find the values and',
+    'resources that still need attention.',
+    '',
+    '- `providers.tf` – providers for the clouds used in the diagram',
+    '- `variables.tf` – name prefix, environment and regions',
+    '- `main.tf` – one resource stub per diagram node',
+    '- `iam.tf` – a permission placeholder for every data flow',
+    '',
+    '```sh',
+    'terraform init',
+    'terraform validate',
+    '```',
+    '',
+    `Resources: ${byNode.size}. Nodes left as TODO: ${todos.length}.`,
+  ];
+
+  const text = (lines) => `${lines.join('\n')}\n`;
+  return {
+    files: {
+      'providers.tf': text(providers),
+      'variables.tf': text(variables),
+      'main.tf': text(main),
+      'iam.tf': text(iam.length ? iam.slice(1) : ['# No data flows between generated resources.']),
+      'README.md': text(readme),
+    },
+    resources: byNode.size,
+    todos: todos.length,
+  };
+}
+
+// Along an edge the active side acts on the other one: it writes to a
+// passive target, or reads from a passive source that feeds it.
+function permission(source, target) {
+  const sourceAccess = ACCESS[source.spec.access] || {};
+  const targetAccess = ACCESS[target.spec.access] || {};
+  const reads = !targetAccess.passive && sourceAccess.passive;
+  const [principal, resource, mode] = reads ? [target, source, 'read'] : [source, target, 'write'];
+  const access = reads ? sourceAccess : targetAccess;
+  const grant = access[mode];
+  const name = `${principal.address}_${mode}s_${resource.address}`;
+  const note = `# ${principal.label} ${mode}s ${mode === 'read' ? 'from' : 'to'} ${resource.label}.`;
+
+  switch (principal.tool.platform) {
+    case 'AWS':
+      return [
+        note,
+        ...block(`data "aws_iam_policy_document" "${name}"`, block('statement', [
+          `actions = [${(grant || ['TODO']).map(quote).join(', ')}]`,
+          `resources = [${(access.arns ? access.arns(resource.ref) : [`${resource.ref}.arn`]).join(', ')}]`,
+        ])),
+        `# TODO: attach to the role ${principal.label} runs as.`,
+      ];
+    case 'Azure':
+      return [
+        note,
+        ...block(`resource "azurerm_role_assignment" "${name}"`, [
+          `scope = ${resource.ref}.id`,
+          `role_definition_name = "${grant || 'TODO'}"`,
+          `principal_id = "TODO" # managed identity of ${principal.label}`,
+        ]),
+      ];
+    default:
+      return [
+        note,
+        ...block(`resource "google_project_iam_member" "${name}"`, [
+          'project = var.gcp_project',
+          `role = "${grant || 'TODO'}"`,
+          `member = "serviceAccount:TODO" # service account of ${principal.label}`,
+        ]),
+        `# TODO: narrow down to ${resource.ref} once the service account exists.`,
+      ];
+  }
+}
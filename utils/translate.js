@@ -0,0 +1,69 @@
+// utils/translate.js
+import { findTool } from './catalog.js';
+import { isGroupNode } from './groups.js';
+
+/**
+ * Works out the counterpart of every catalog node on `platform`. Each entry is
+ *   { nodeId, label, status, from, to, candidates }
+ * with status
+ *   'custom'    – not a catalog tool, left alone
+ *   'same'      – already on the target platform
+ *   'mapped'    – counterpart found (equivalence group, or the only tool of the same row)
+ *   'ambiguous' – several tools of the same row on the target platform
+ *   'unmapped'  – no tool of the same row; `candidates` lists the same category
+ * Group containers are skipped.
+ */
+export function planTranslation({ nodes }, catalog, platform) {
+  const onTarget = catalog.tools.filter((t) => t.platform === platform);
+  return nodes.filter((n) => !isGroupNode(n)).map((n) => {
+    const entry = { nodeId: n.id, label: n.data?.label || n.id, from: null, to: null, candidates: [] };
+    const from = findTool(catalog, n.data);
+    if (!from) return { ...entry, status: 'custom' };
+    if (from.platform === platform) return { ...entry, status: 'same', from, to: from };
+
+    const counterpart = from.equivalenceGroup && onTarget.find((t) => t.equivalenceGroup === from.equivalenceGroup);
+    if (counterpart) return { ...entry, status: 'mapped', from, to: counterpart };
+
+    const sameRow = onTarget.filter((t) => t.category === from.category && t.type === from.type);
+    if (sameRow.length === 1) return { ...entry, status: 'mapped', from, to: sameRow[0] };
+    if (sameRow.length > 1) return { ...entry, status: 'ambiguous', from, candidates: sameRow };
+    return { ...entry, status: 'unmapped', from, candidates: onTarget.filter((t) => t.category === from.category) };
+  });
+}
+
+/**
+ * Applies a plan: nodes keep their id, position, description and edges; only
+ * the tool (label and `toolId`) changes. `choices` maps node ids to a tool id
+ * picked by hand for ambiguous/unmapped nodes, or to null to keep the node.
+ */
+export function applyTranslation({ nodes, edges }, catalog, plan, choices = {}) {
+  const targets = new Map();
+  plan.forEach((p) => {
+    const chosen = p.nodeId in choices ? catalog.tools.find((t) => t.id === choices[p.nodeId]) : p.to;
+    if (chosen && p.status !== 'custom') targets.set(p.nodeId, chosen);
+  });
+  return {
+    nodes: nodes.map((n) => {
+      const tool = targets.get(n.id);
+      return tool ? { ...n, data: { ...n.data, label: tool.name, toolId: tool.id } } : n;
+    }),
+    edges,
+  };
+}
+
+/**
+ * Puts catalog `tool` in place of node `nodeId`'s tool. Like a translation,
+ * the node keeps its id, and so its edges. A description that is empty or
+ * still the text pre-filled for the old tool is replaced by `description`.
+ */
+export function swapTool(nodes, nodeId, tool, { description = '', previousDefault = '' } = {}) {
+  return nodes.map((n) => {
+    if (n.id !== nodeId) return n;
+    const current = (n.data.description || '').trim();
+    const keep = current && current !== previousDefault.trim();
+    return {
+      ...n,
+      data: { ...n.data, label: tool.name, toolId: tool.id, description: keep ? n.data.description : description },
+    };
+  });
+}
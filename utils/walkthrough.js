@@ -0,0 +1,105 @@
+// utils/walkthrough.js
+// Walkthroughs: the steps a presenter goes through, saved in the diagram's
+// top-level `steps`. Each step focuses some nodes and edges and narrates
+// them; a step that focuses nothing shows the whole design.
+//
+//   "steps": [{
+//     "title": "Ingestion",
+//     "narration": "Clients post events to the API...",
+//     "nodeIds": ["node_17", "node_19"],
+//     "edgeIds": ["reactflow__edge-node_17-node_19"]
+//   }]
+//
+// Ids of nodes and edges deleted since are ignored rather than reported, so
+// editing the design never breaks its walkthrough.
+import { isGroupNode } from './groups.js';
+import { rankNodes } from './layout.js';
+
+const isIdList = (v) => Array.isArray(v) && v.every((x) => typeof x === 'string');
+
+/** `step` with every field set; all of them are optional in a file. */
+export const normalizeStep = ({ title = '', narration = '', nodeIds = [], edgeIds = [], ...rest }) => ({
+  ...rest,
+  title,
+  narration,
+  nodeIds,
+  edgeIds,
+});
+
+/** A step focusing the selected nodes and edges of `{ nodes, edges }`. */
+export function stepFromSelection({ nodes, edges }, { title = '', narration = '' } = {}) {
+  return {
+    title,
+    narration,
+    nodeIds: nodes.filter((n) => n.selected).map((n) => n.id),
+    edgeIds: edges.filter((e) => e.selected).map((e) => e.id),
+  };
+}
+
+/**
+ * The walk offered when a design has no steps: an overview, then every node
+ * in data-flow order with the edges that bring data to it from the nodes
+ * already shown. Nodes narrate themselves with their description.
+ */
+export function defaultWalkthrough({ nodes, edges }) {
+  const real = nodes.filter((n) => !isGroupNode(n));
+  if (!real.length) return [];
+  const byId = new Map(real.map((n) => [n.id, n]));
+  const shown = new Set();
+  const steps = rankNodes(real, edges)
+    .flat()
+    .map((nid) => {
+      shown.add(nid);
+      const { label, description } = byId.get(nid).data;
+      return {
+        title: label || nid,
+        narration: description || '',
+        nodeIds: [nid],
+        edgeIds: edges.filter((e) => e.target === nid && shown.has(e.source) && e.source !== nid).map((e) => e.id),
+      };
+    });
+  return [{ title: 'Overview', narration: '', nodeIds: [], edgeIds: [] }, ...steps];
+}
+
+/**
+ * What `step` shows on `{ nodes, edges }`: `{ nodeIds, edgeIds }` as Sets
+ * of existing ids. Focused edges bring their ends along; a step focusing
+ * nothing shows every node and edge.
+ */
+export function resolveStep(step, { nodes, edges }) {
+  const focused = edges.filter((e) => (step.edgeIds || []).includes(e.id));
+  const nodeIds = new Set(
+    [...(step.nodeIds || []), ...focused.flatMap((e) => [e.source, e.target])].filter((nid) =>
+      nodes.some((n) => n.id === nid)
+    )
+  );
+  if (!nodeIds.size) return { nodeIds: new Set(nodes.map((n) => n.id)), edgeIds: new Set(edges.map((e) => e.id)) };
+  return { nodeIds, edgeIds: new Set(focused.map((e) => e.id)) };
+}
+
+/** Steps with `index` moved by `offset` places; unchanged at either end. */
+export function moveStep(steps, index, offset) {
+  const to = index + offset;
+  if (to < 0 || to >= steps.length) return steps;
+  const next = [...steps];
+  next.splice(to, 0, ...next.splice(index, 1));
+  return next;
+}
+
+/** Problems with a diagram's `steps`, as `{ field, message }` (for validation). */
+export function stepProblems(steps) {
+  if (steps == null) return [];
+  if (!Array.isArray(steps)) return [{ field: '', message: 'must be an array' }];
+  const problems = [];
+  steps.forEach((s, i) => {
+    const at = `[${i}]`;
+    if (s === null || typeof s !== 'object' || Array.isArray(s)) return problems.push({ field: at, message: 'must be an object' });
+    ['title', 'narration'].forEach((k) => {
+      if (s[k] != null && typeof s[k] !== 'string') problems.push({ field: `${at}.${k}`, message: 'must be a string' });
+    });
+    ['nodeIds', 'edgeIds'].forEach((k) => {
+      if (s[k] != null && !isIdList(s[k])) problems.push({ field: `${at}.${k}`, message: 'must be a list of ids' });
+    });
+  });
+  return problems;
+}